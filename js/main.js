@@ -58,6 +58,7 @@ class QuantumBlackJack {
             
             console.log("Creating GameManager");
             this.gameManager = new GameManager();
+            this.applySeedFromUrl();
             
             console.log("Creating UIManager");
             this.uiManager = new UIManager(this.gameManager, this.soundManager);
@@ -119,6 +120,20 @@ class QuantumBlackJack {
         }
     }
     
+    // Replay a specific deal with ?seed=<seed>&hand=<n>, and a blackjack shoe
+    // from its first hand with &shoe=<k>
+    applySeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed');
+        
+        if (seed) {
+            const hand = parseInt(params.get('hand'), 10);
+            const shoe = parseInt(params.get('shoe'), 10);
+            this.gameManager.setSeed(seed, hand > 0 ? hand : 1, shoe > 0 ? shoe : 1);
+            console.log(`Using seed "${seed}" starting at hand ${hand > 0 ? hand : 1}, shoe ${shoe > 0 ? shoe : 1}`);
+        }
+    }
+    
     async loadAssets() {
         return new Promise((resolve) => {
             try {
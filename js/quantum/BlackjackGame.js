@@ -1,15 +1,71 @@
 import { CardState } from './CardState.js';
 import { QuantumCard } from './QuantumCard.js';
-import * as THREE from 'three';
+import { DeckAuditor } from './DeckAuditor.js';
+import { HandEvaluator } from './HandEvaluator.js';
+import { QuantumDealer } from './QuantumDealer.js';
+import { DEFAULT_BLACKJACK_RULES, BET_CHIPS, formatPayout } from './BlackjackRules.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
-export class BlackjackGame {
+// A player hand and its stake. Splitting a pair makes more of them (see playerSplit).
+function createHand(fromSplit = false) {
+    return {
+        cards: [],
+        bet: 0,
+        doubled: false,
+        fromSplit,              // Made by a split, so 21 on two cards is not a natural
+        splitAces: false,       // Split aces take one card each
+        status: 'playing',      // 'playing', 'stood', 'bust' or 'surrendered'
+        result: null,           // 'win', 'blackjack', 'push', 'surrender' or 'lose' once settled
+        payout: 0,
+        odds: HandEvaluator.evaluate([])
+    };
+}
+
+/**
+ * Quantum blackjack rules. The game never touches the scene or the DOM; it
+ * reports what happened through events for a renderer or a simulation -
+ *   'cardDealt'          (card, { hand: 'player' | 'dealer', handIndex, index, faceUp, restored, branchedFrom })
+ *                        handIndex picks the player's hand after a split; restored
+ *                        is set when a saved hand is put back on the table, and
+ *                        branchedFrom when a quantum split made the card
+ *   'cardBranched'       (card, branch) a quantum split turned card's second branch into branch
+ *   'cardRevealed'       (card, collapsed) the dealer's hole card was turned over; collapsed
+ *                        when it was still superposed and turning it over measured it
+ *   'handValuesChanged'  (playerOdds, dealerOdds)
+ *   'status'             (message)
+ *   'handsChanged'       (playerHands, activeHand) a split, a hand finished or its odds moved
+ *   'controlsChanged'    ({ hit, stand, double, split, quantumSplit, surrender, insurance, evenMoney,
+ *                        noInsurance, playOn, chip5 ... chip500, clearBet, rebet, doubleRebet, deal, shop, newGame })
+ *                        which actions are available
+ *   'surrendered'        (hand, { early, unresolved }) the player gave the hand up;
+ *                        unresolved if a card was still superposed or entangled
+ *   'betChanged'         (bet, money) the stake on all hands and the bankroll
+ *   'wagerChanged'       (wager, lastWager) chips in the bet circle before the deal
+ *   'shoeChanged'        ({ remaining, discarded, size, cutCard, cutCardReached }) cards left in
+ *                        the shoe and in the discard tray, and where the cut card sits
+ *   'shoeShuffled'       (size) the discards went back in and a fresh shoe was shuffled
+ *   'dealerChipPlayed'   ({ chip, cards, correlation, message }) the quantum dealer played one of its chips
+ *   'dealerChipsChanged' (chips) the quantum dealer's chips left this hand
+ *   'gameOver'           (winner, note) 'player', 'dealer', 'tie' or 'surrender', and how it was decided
+ */
+export class BlackjackGame extends EventEmitter {
     constructor(gameManager) {
-        this.gameManager = gameManager;
-        this.deck = [];
-        this.playerHand = [];
+        super();
+        this.gameManager = gameManager;     // The GameEngine playing this game
+        this.deck = [];                     // The shoe; it carries over from round to round
+        this.shoeDecks = 1;                 // Decks shuffled into the shoe, kept until the next shuffle
+        this.discardTray = [];              // Played cards as { value, suit }, until the next shuffle
+        this.cutCard = 0;                   // Cards left in the shoe when the cut card comes out
+        this.cutCardReached = false;        // The cut card is out: shuffle before the next round
+        this.shoeFirstHand = 0;             // Hand the shoe was shuffled for (see GameEngine.getShoeSeed)
+        this.playerHands = [createHand()];  // Up to rules.maxHands after splits
+        this.activeHand = 0;                // Index of the hand being played
         this.dealerHand = [];
         this.playerValue = 0;
         this.dealerValue = 0;
+        this.playerOdds = HandEvaluator.evaluate([]);  // Distribution of the active hand's total
+        this.dealerOdds = HandEvaluator.evaluate([]);  // Distribution of the dealer's visible total
         this.gameState = 'betting';
         this.playerCardCount = 0;
         this.dealerCardCount = 0;
@@ -18,84 +74,99 @@ export class BlackjackGame {
         this.quantumBonusApplied = false;      // Track if quantum bonus was applied
         this.quantumStreak = 0;                // Track consecutive quantum plays
         this.dealerHiddenCard = null;          // Reference to dealer's hidden card
+        this.insuranceBet = 0;                 // Side bet on a dealer natural under an ace
+        this.insurancePayout = 0;
+        this.dealerNatural = false;            // The dealer's first two cards made a blackjack
+        this.wager = 0;                        // Chips in the bet circle, staked on the deal
+        this.lastWager = 0;                    // The previous hand's opening bet, for a rebet
+        this.dealer = new QuantumDealer(this); // Plays chips against the player under rules.quantumDealer
+        
+        // Stakes are taken from the engine's bankroll into each hand
+        this.rules = { ...DEFAULT_BLACKJACK_RULES };
+        
+        // Pause between dealer draws in ms; simulations set 0 to play instantly
+        this.dealerDelay = 1000;
     }
 
     initialize() {
         console.log("Initializing Blackjack game");
         this.reset();
-        this.setupTable();
-        this.startNewGame();
     }
 
+    // Start over with an empty table and no shoe; the first deal shuffles one
     reset() {
         console.log("Resetting Blackjack game");
+        this.resetRound();
         this.deck = [];
-        this.playerHand = [];
-        this.dealerHand = [];
-        this.playerValue = 0;
-        this.dealerValue = 0;
+        this.discardTray = [];
+        this.cutCard = 0;
+        this.cutCardReached = false;
+        this.wager = 0;
+        this.lastWager = 0;
+    }
+
+    // Clear the table and the round's state. The shoe is kept.
+    resetRound() {
+        this.clearHands();
         this.gameState = 'betting';
-        this.playerCardCount = 0;
-        this.dealerCardCount = 0;
         this.quantumBonusApplied = false;
         this.quantumStreak = 0;
         this.dealerHiddenCard = null;
-        
-        // Create a new deck
-        this.createDeck();
+        this.insuranceBet = 0;
+        this.insurancePayout = 0;
+        this.dealerNatural = false;
     }
 
-    update(deltaTime) {
-        // Update card animations and effects
-        this.updateCards(deltaTime);
-        
-        // Update dealer AI if it's the dealer's turn
-        if (this.gameState === 'dealerTurn') {
-            this.updateDealerTurn();
-        }
+    // The hand being played
+    get currentHand() {
+        return this.playerHands[this.activeHand];
     }
 
-    updateCards(deltaTime) {
-        // Update player cards
-        for (const card of this.playerHand) {
-            if (card.isInSuperposition) {
-                // Update superposition effects
-                card.phase += deltaTime * 2.0; // Rotate phase for quantum interference
-                
-                // Update mesh if available
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyQuantumEffects(card.mesh, card);
-                }
-            }
-            
-            if (card.isEntangled && card.entangledWith) {
-                // Update entanglement effects
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyEntanglementEffects(card.mesh, card);
-                }
-            }
+    // Cards of the hand being played
+    get playerHand() {
+        return this.currentHand.cards;
+    }
+
+    // Total stake on the table
+    get bet() {
+        return this.playerHands.reduce((sum, hand) => sum + hand.bet, 0);
+    }
+
+    // Every card of every player hand
+    getPlayerCards() {
+        return this.playerHands.flatMap(hand => hand.cards);
+    }
+
+    // Quantum chips may target cards of hands that are still being played
+    isPlayableCard(card) {
+        return this.playerHands.some(hand => hand.status === 'playing' && hand.cards.includes(card));
+    }
+
+    // Empty the table for the next deal. Every physical card on it, each
+    // branch of a superposed card included, goes into the discard tray.
+    clearHands() {
+        for (const card of [...this.getPlayerCards(), ...this.dealerHand]) {
+            this.discardTray.push(...card.superpositionStates.map(({ value, suit }) => ({ value, suit })));
         }
         
-        // Update dealer cards
-        for (const card of this.dealerHand) {
-            if (card.isInSuperposition) {
-                // Update superposition effects
-                card.phase += deltaTime * 2.0;
-                
-                // Update mesh if available
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyQuantumEffects(card.mesh, card);
-                }
-            }
-        }
+        this.playerHands = [createHand()];
+        this.activeHand = 0;
+        this.dealerHand = [];
+        this.playerValue = 0;
+        this.dealerValue = 0;
+        this.playerOdds = HandEvaluator.evaluate([]);
+        this.dealerOdds = HandEvaluator.evaluate([]);
+        this.playerCardCount = 0;
+        this.dealerCardCount = 0;
+        this.emitShoeChanged();
     }
 
-    setupTable() {
-        console.log("Setting up blackjack table");
-        if (this.gameManager.sceneManager) {
-            this.gameManager.sceneManager.clearScene();
-            this.gameManager.sceneManager.addTable();
-        }
+    // Change the table rules (see DEFAULT_BLACKJACK_RULES). A new deck count
+    // or penetration takes effect with the next shoe.
+    setRules(rules = {}) {
+        this.rules = { ...DEFAULT_BLACKJACK_RULES, ...rules };
+        this.rules.decks = Math.min(8, Math.max(1, Math.round(this.rules.decks)));
+        this.rules.penetration = Math.min(0.9, Math.max(0.25, this.rules.penetration));
     }
 
     createDeck() {
@@ -105,50 +176,344 @@ export class BlackjackGame {
         const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
         const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]; // 1=Ace, 11=Jack, 12=Queen, 13=King
         
-        for (const suit of suits) {
-            for (const value of values) {
-                this.deck.push(new QuantumCard(value, suit));
+        this.shoeDecks = this.rules.decks;
+        for (let deck = 0; deck < this.shoeDecks; deck++) {
+            for (const suit of suits) {
+                for (const value of values) {
+                    this.deck.push(this.createCard(value, suit));
+                }
             }
         }
     }
 
-    shuffleDeck() {
+    // A physical card belonging to this deck
+    createCard(value, suit) {
+        const card = new QuantumCard(value, suit, this.gameManager.rng);
+        card.shoe = this;
+        return card;
+    }
+
+    // Take a real card out of the deck to serve as an alternative state of a
+    // superposed card. Values the card can already be are skipped.
+    drawAlternativeState(card) {
+        const candidates = this.deck.filter(deckCard =>
+            !card.superpositionStates.some(state => state.value === deckCard.value)
+        );
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const drawn = this.gameManager.rng.pick(candidates);
+        this.deck.splice(this.deck.indexOf(drawn), 1);
+        this.emitShoeChanged();
+        return { value: drawn.value, suit: drawn.suit };
+    }
+
+    // A branch was ruled out: shuffle its physical card back into the deck
+    returnState(state) {
+        const position = this.gameManager.rng.nextInt(this.deck.length + 1);
+        this.deck.splice(position, 0, this.createCard(state.value, state.suit));
+        this.emitShoeChanged();
+    }
+
+    // Assert that every physical card is in the shoe, the discard tray or on the table, once
+    auditDeck() {
+        DeckAuditor.assertIntegrity([...this.deck, ...this.discardTray], [...this.getPlayerCards(), ...this.dealerHand], this.shoeDecks);
+    }
+
+    // How full the shoe and the discard tray are, for the table display
+    getShoeInfo() {
+        return {
+            remaining: this.deck.length,
+            discarded: this.discardTray.length,
+            size: this.shoeDecks * 52,
+            cutCard: this.cutCard,
+            cutCardReached: this.cutCardReached
+        };
+    }
+
+    emitShoeChanged() {
+        this.emit('shoeChanged', this.getShoeInfo());
+    }
+
+    // A fresh shoe is due once the cut card has come out, the shoe is empty,
+    // or the rules now call for a different number of decks
+    needsShuffle() {
+        return this.cutCardReached || this.deck.length === 0 || this.shoeDecks !== this.rules.decks;
+    }
+
+    // Gather every card back into the shoe, shuffle it and place the cut card
+    // rules.penetration of the way in. Only done between rounds. Each shoe is
+    // shuffled from its own stream, so a replay can rebuild it.
+    shuffleShoe() {
+        this.createDeck();
+        this.discardTray = [];
+        this.gameManager.shoeNumber++;
+        this.shoeFirstHand = this.gameManager.handNumber;
+        this.shuffleDeck(new SeededRandom(this.gameManager.getShoeSeed()));
+        this.cutCard = Math.round(this.deck.length * (1 - this.rules.penetration));
+        this.cutCardReached = false;
+        
+        this.emit('shoeShuffled', this.deck.length);
+        this.emitShoeChanged();
+    }
+
+    // Take the top card of the shoe. Passing the cut card finishes the round
+    // but calls for a shuffle; should the shoe run dry anyway, the discards
+    // are shuffled in to finish the round.
+    drawFromShoe() {
+        if (this.deck.length === 0 && this.discardTray.length > 0) {
+            console.log("Shoe empty: shuffling the discard tray back in");
+            this.deck = this.discardTray.map(state => this.createCard(state.value, state.suit));
+            this.discardTray = [];
+            this.shuffleDeck(new SeededRandom(`${this.gameManager.getShoeSeed()}:refill`));
+            this.cutCardReached = true;
+        }
+        if (this.deck.length === 0) {
+            console.error("No cards left in deck");
+            return null;
+        }
+        
+        const card = this.deck.pop();
+        if (!this.cutCardReached && this.deck.length <= this.cutCard) {
+            console.log("The cut card is out");
+            this.cutCardReached = true;
+        }
+        this.emitShoeChanged();
+        return card;
+    }
+
+    // Snapshot of the hand in progress for saving (see GameEngine.toJSON)
+    toJSON() {
+        return {
+            gameState: this.gameState,
+            deck: this.deck.map(card => ({ value: card.value, suit: card.suit })),
+            shoeDecks: this.shoeDecks,
+            discardTray: this.discardTray.map(({ value, suit }) => ({ value, suit })),
+            cutCard: this.cutCard,
+            cutCardReached: this.cutCardReached,
+            shoeFirstHand: this.shoeFirstHand,
+            playerHands: this.playerHands.map(({ odds, ...hand }) => ({
+                ...hand,
+                cards: hand.cards.map(card => card.toJSON())
+            })),
+            activeHand: this.activeHand,
+            dealerHand: this.dealerHand.map(card => card.toJSON()),
+            quantumBonusApplied: this.quantumBonusApplied,
+            quantumStreak: this.quantumStreak,
+            insuranceBet: this.insuranceBet,
+            insurancePayout: this.insurancePayout,
+            dealerNatural: this.dealerNatural,
+            wager: this.wager,
+            lastWager: this.lastWager,
+            dealerChips: { ...this.dealer.chips },
+            dealerHoleCardPlan: this.dealer.holeCardPlan,
+            rules: { ...this.rules }
+        };
+    }
+
+    // Load a saved hand and deal its cards back onto the table. The game
+    // object is kept, so everything listening to it stays attached.
+    fromJSON(data) {
+        this.reset();
+        
+        this.deck = data.deck.map(state => this.createCard(state.value, state.suit));
+        this.discardTray = data.discardTray.map(({ value, suit }) => ({ value, suit }));
+        this.cutCardReached = data.cutCardReached;
+        this.shoeFirstHand = data.shoeFirstHand;
+        
+        const tableCards = QuantumCard.fromJSONList([...data.playerHands.flatMap(hand => hand.cards), ...data.dealerHand], this.gameManager.rng);
+        for (const card of tableCards) {
+            card.shoe = this;
+        }
+        let next = 0;
+        this.playerHands = data.playerHands.map(saved => ({
+            ...createHand(),
+            ...saved,
+            cards: tableCards.slice(next, next += saved.cards.length)
+        }));
+        this.activeHand = data.activeHand || 0;
+        this.dealerHand = tableCards.slice(next);
+        this.dealerHiddenCard = this.dealerHand.find(card => !card.isFaceUp) || null;
+        this.quantumBonusApplied = data.quantumBonusApplied;
+        this.quantumStreak = data.quantumStreak;
+        this.insuranceBet = data.insuranceBet || 0;
+        this.insurancePayout = data.insurancePayout || 0;
+        this.dealerNatural = Boolean(data.dealerNatural);
+        this.wager = data.wager || 0;
+        this.lastWager = data.lastWager || 0;
+        this.setRules(data.rules);
+        this.dealer.chips = { ...data.dealerChips };
+        this.dealer.holeCardPlan = data.dealerHoleCardPlan ?? null;
+        this.shoeDecks = data.shoeDecks;
+        this.cutCard = data.cutCard;
+        this.gameState = data.gameState;
+        this.auditDeck();
+        this.emitShoeChanged();
+        
+        this.playerHands.forEach((hand, handIndex) => {
+            hand.cards.forEach((card, index) => {
+                this.emit('cardDealt', card, { hand: 'player', handIndex, index, faceUp: card.isFaceUp, restored: true });
+                this.playerCardCount++;
+            });
+        });
+        for (const card of this.dealerHand) {
+            this.emit('cardDealt', card, { hand: 'dealer', index: this.dealerCardCount++, faceUp: card.isFaceUp, restored: true });
+        }
+        this.updateHandValues();
+        this.emit('betChanged', this.bet, this.gameManager.money);
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        this.emitDealerChips();
+        this.updateControls();
+        
+        // Pick the dealer's turn up where it stopped
+        if (this.gameState === 'dealerTurn') {
+            this.scheduleDealerTurn();
+        }
+    }
+
+    shuffleDeck(rng = this.gameManager.rng) {
         console.log("Shuffling deck");
         
-        // Fisher-Yates shuffle algorithm
-        for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
+        // Fisher-Yates shuffle using a seeded RNG, the hand's unless a shoe's is given
+        rng.shuffle(this.deck);
+    }
+
+    // Clear the table and take chips into the bet circle for the next deal
+    openBetting() {
+        console.log("Taking bets");
+        this.resetRound();
+        this.wager = 0;
+        
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        this.emit('status', `Place your bet: ${this.rules.minBet} to ${this.rules.maxBet}.`);
+        this.updateControls();
+    }
+
+    // Why the bet circle can't hold this amount, or null if it can
+    getBetRestriction(amount) {
+        if (amount > this.rules.maxBet) {
+            return `The table maximum is ${this.rules.maxBet}.`;
+        }
+        if (amount > this.gameManager.money) {
+            return `Not enough money for a ${amount} bet.`;
+        }
+        return null;
+    }
+
+    // Put a chip in the bet circle
+    addToWager(amount) {
+        if (this.gameState !== 'betting') {
+            this.emit('status', "Bets are placed before the deal.");
+            return false;
+        }
+        
+        const restriction = this.getBetRestriction(this.wager + amount);
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        
+        this.wager += amount;
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        this.updateControls();
+        return true;
+    }
+
+    // Take the chips back out of the bet circle
+    clearWager() {
+        if (this.gameState !== 'betting') {
+            return false;
         }
+        
+        this.wager = 0;
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        this.updateControls();
+        return true;
+    }
+
+    // Bet the last hand's opening bet again, or a multiple of it
+    rebet(multiplier = 1) {
+        if (this.gameState !== 'betting') {
+            this.emit('status', "Bets are placed before the deal.");
+            return false;
+        }
+        if (this.lastWager === 0) {
+            this.emit('status', "There is no previous bet to repeat.");
+            return false;
+        }
+        
+        const amount = this.lastWager * multiplier;
+        const restriction = this.getBetRestriction(amount);
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        
+        this.wager = amount;
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        this.updateControls();
+        return true;
+    }
+
+    // Why the cards can't be dealt yet, or null once the bet is in
+    getDealRestriction() {
+        if (this.gameState !== 'betting') {
+            return "Place a bet for the next hand first.";
+        }
+        if (this.wager < this.rules.minBet) {
+            return `The table minimum is ${this.rules.minBet}: place your bet first.`;
+        }
+        return this.getBetRestriction(this.wager);
     }
 
     async startNewGame() {
         console.log("Starting new blackjack game");
         
-        // Reset game state
-        this.reset();
+        const restriction = this.getDealRestriction();
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        const wager = this.wager;
+        
+        // Clear the table; the shoe carries over until the cut card comes out
+        this.resetRound();
+        if (this.needsShuffle()) {
+            this.shuffleShoe();
+        }
+        
+        // The bet circle becomes the hand's stake
+        if (!this.placeBet(wager)) {
+            return false;
+        }
+        this.lastWager = wager;
+        this.wager = 0;
+        this.emit('wagerChanged', this.wager, this.lastWager);
+        
+        // A quantum dealer starts each hand with a fresh stack of chips
+        if (this.rules.quantumDealer) {
+            this.dealer.refill();
+        }
+        this.emitDealerChips();
         
         // Deal initial cards
         await this.dealInitialCards();
         
-        // Check for blackjack
-        if (this.checkForBlackjack()) {
-            await this.handleBlackjack();
+        // An ace showing: insurance, or even money on a natural, before the peek
+        if (this.offersInsurance()) {
+            this.gameState = 'insurance';
+            this.emit('status', this.isBlackjack(this.playerHand)
+                ? "Dealer shows an Ace. Take even money, or play your blackjack for 3:2?"
+                : `Dealer shows an Ace. Insurance for ${this.getInsuranceCost()}?` +
+                  (this.rules.surrender === 'early' ? " You may also surrender before the peek." : ""));
+            this.updateControls();
+        } else if (this.offersEarlySurrender()) {
+            this.gameState = 'earlySurrender';
+            this.emit('status', "Dealer shows a ten. Surrender half your bet before the peek, or play on?");
+            this.updateControls();
         } else {
-            // Set game state to player's turn
-            this.gameState = 'playerTurn';
-            
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.updateStatus("Your turn. Hit or Stand?");
-            }
-            
-            // Enable player controls
-            const hitBtn = document.getElementById('hit-btn');
-            const standBtn = document.getElementById('stand-btn');
-            
-            if (hitBtn) hitBtn.disabled = false;
-            if (standBtn) standBtn.disabled = false;
+            await this.beginPlay();
         }
         
         // Update hand values display
@@ -157,6 +522,35 @@ export class BlackjackGame {
         return true;
     }
 
+    // The dealer peeks, naturals are paid, and otherwise the player's turn starts
+    async beginPlay() {
+        const peeked = this.dealerPeeks();
+        if (peeked) {
+            this.peekAtHoleCard();
+        }
+        const dealerHasBlackjack = peeked && this.isBlackjack(this.dealerHand);
+        this.dealerNatural = dealerHasBlackjack;
+        
+        if (this.insuranceBet > 0) {
+            this.settleInsurance(dealerHasBlackjack);
+        }
+        
+        // Check for blackjack
+        if (dealerHasBlackjack || this.isBlackjack(this.playerHand)) {
+            await this.handleBlackjack();
+            return;
+        }
+        
+        // Set game state to player's turn
+        this.gameState = 'playerTurn';
+        
+        const turn = this.canDouble() ? "Your turn. Hit, Stand or Double?" : "Your turn. Hit or Stand?";
+        this.emit('status', peeked ? `Dealer peeks: no blackjack. ${turn}` : turn);
+        
+        // Enable player controls
+        this.updateControls();
+    }
+
     async dealInitialCards() {
         console.log("Dealing initial cards for blackjack");
         
@@ -169,65 +563,50 @@ export class BlackjackGame {
         // Deal second card to player (face up)
         await this.dealCardToPlayer(true);
         
-        // Deal second card to dealer (face down)
-        await this.dealCardToDealer(false);
+        // Deal second card to dealer (face down); European tables deal it after the player's turn
+        if (!this.rules.noHoleCard) {
+            const holeCard = await this.dealCardToDealer(false);
+            
+            // Schrödinger's hole card: not merely hidden, but undecided until it is turned over
+            if (holeCard && this.rules.superposedHoleCard) {
+                holeCard.applySuperposition();
+            }
+        }
         
         // Update hand values
         this.updateHandValues();
     }
 
-    async dealCardToPlayer(faceUp = true) {
-        if (this.deck.length === 0) {
-            console.error("No cards left in deck");
+    async dealCardToPlayer(faceUp = true, handIndex = this.activeHand) {
+        // Take the top card from the shoe
+        const card = this.drawFromShoe();
+        if (!card) {
             return null;
         }
-        
-        // Take the top card from the deck
-        const card = this.deck.pop();
         card.isFaceUp = faceUp;
         
         // Add to player's hand
-        this.playerHand.push(card);
-        
-        // Calculate position for the card
-        const posX = -10 + this.playerCardCount * 2.5;
-        const posY = -2;
-        const posZ = 0;
+        const hand = this.playerHands[handIndex];
+        hand.cards.push(card);
         
-        // Create position and rotation vectors
-        const position = new THREE.Vector3(posX, posY, posZ);
-        const rotation = new THREE.Euler(0, 0, 0);
-        
-        // Create card mesh and add to scene
-        if (this.gameManager.sceneManager) {
-            const cardMesh = this.gameManager.sceneManager.addCard(card, position, rotation, true);
-            card.mesh = cardMesh;
-            
-            // Add click handler for the card
-            this.gameManager.sceneManager.addClickListener(cardMesh, () => {
-                this.gameManager.handleCardSelection(card);
-            });
-            
-            // Animate card dealing
-            if (this.gameManager.soundManager) {
-                this.gameManager.soundManager.playCardPlaceSound();
-            }
-        }
+        // Let the renderer place the card
+        this.emit('cardDealt', card, { hand: 'player', handIndex, index: hand.cards.length - 1, faceUp });
         
         // Increment player card count
         this.playerCardCount++;
         
+        this.gameManager.applyDecoherence('cardDealt');
+        this.auditDeck();
+        
         return card;
     }
 
     async dealCardToDealer(faceUp = true) {
-        if (this.deck.length === 0) {
-            console.error("No cards left in deck");
+        // Take the top card from the shoe
+        const card = this.drawFromShoe();
+        if (!card) {
             return null;
         }
-        
-        // Take the top card from the deck
-        const card = this.deck.pop();
         card.isFaceUp = faceUp;
         
         // Store reference to hidden card
@@ -238,119 +617,252 @@ export class BlackjackGame {
         // Add to dealer's hand
         this.dealerHand.push(card);
         
-        // Calculate position for the card
-        const posX = -10 + this.dealerCardCount * 2.5;
-        const posY = 2;
-        const posZ = 0;
-        
-        // Create position and rotation vectors
-        const position = new THREE.Vector3(posX, posY, posZ);
-        const rotation = new THREE.Euler(0, 0, 0);
-        
-        // Create card mesh and add to scene
-        if (this.gameManager.sceneManager) {
-            const cardMesh = this.gameManager.sceneManager.addCard(card, position, rotation, false);
-            card.mesh = cardMesh;
-            
-            // Animate card dealing
-            if (this.gameManager.soundManager) {
-                this.gameManager.soundManager.playCardPlaceSound();
-            }
-        }
+        // Let the renderer place the card
+        this.emit('cardDealt', card, { hand: 'dealer', index: this.dealerCardCount, faceUp });
         
         // Increment dealer card count
         this.dealerCardCount++;
         
+        this.gameManager.applyDecoherence('cardDealt');
+        this.auditDeck();
+        
         return card;
     }
 
     updateHandValues() {
-        // Calculate player's hand value
-        this.playerValue = this.calculateHandValue(this.playerHand);
+        // Distribution of each player hand's total; the panel shows the active hand
+        for (const hand of this.playerHands) {
+            hand.odds = HandEvaluator.evaluate(hand.cards);
+        }
+        this.playerOdds = this.currentHand.odds;
+        this.playerValue = this.playerOdds.isDefinite ? this.playerOdds.total : this.playerOdds.expectedValue;
         
-        // Calculate dealer's hand value (only count face-up cards)
+        // Distribution of the dealer's total (only count face-up cards)
         const visibleDealerCards = this.dealerHand.filter(card => card.isFaceUp);
-        this.dealerValue = this.calculateHandValue(visibleDealerCards);
+        this.dealerOdds = HandEvaluator.evaluate(visibleDealerCards);
+        this.dealerValue = this.dealerOdds.isDefinite ? this.dealerOdds.total : this.dealerOdds.expectedValue;
+        
+        this.emit('handValuesChanged', this.playerOdds, this.dealerOdds);
+        this.emit('handsChanged', this.playerHands, this.activeHand);
+    }
+
+    // A two-card hand that is certainly 21
+    isBlackjack(hand) {
+        return hand.length === 2 && HandEvaluator.isCertain(HandEvaluator.evaluate(hand).twentyOneProbability);
+    }
+
+    checkForBlackjack() {
+        return this.isBlackjack(this.playerHand) || this.isBlackjack(this.dealerHand);
+    }
+
+    // The dealer's face-down card, until it is turned over
+    getHoleCard() {
+        return this.dealerHand.find(card => !card.isFaceUp) || null;
+    }
+
+    // The dealer's face-up card
+    get dealerUpcard() {
+        return this.dealerHand.find(card => card.isFaceUp) || null;
+    }
+
+    // With a hole card, the dealer checks it for a natural under an ace or a ten
+    dealerPeeks() {
+        const upcard = this.dealerUpcard;
+        return !this.rules.noHoleCard && this.dealerHand.length === 2 && upcard !== null &&
+            !upcard.isInSuperposition && upcard.getGameValue() >= 10;
+    }
+
+    // Looking for a natural under a superposed hole card is a measurement in
+    // itself, if only of whether the card makes 21: the card keeps the branches
+    // that agree with what the dealer saw
+    peekAtHoleCard() {
+        const holeCard = this.getHoleCard();
+        if (!holeCard || !holeCard.isInSuperposition) {
+            return;
+        }
+        
+        const upcardIsAce = this.dealerUpcard.value === 1;
+        const natural = holeCard.measureProperty(state => upcardIsAce ? state.value >= 10 : state.value === 1);
+        this.auditDeck();
+        console.log(`Dealer peeked: the hole card ${natural ? 'makes' : 'does not make'} a natural`);
+    }
+
+    // Insurance is a side bet on the hole card, so it needs one and an ace showing
+    offersInsurance() {
+        const upcard = this.dealerUpcard;
+        return this.rules.insurance && !this.rules.noHoleCard && upcard !== null &&
+            !upcard.isInSuperposition && upcard.value === 1;
+    }
+
+    // Insurance costs half the hand's stake
+    getInsuranceCost() {
+        return Math.floor(this.currentHand.bet / 2);
+    }
+
+    // Bet that the dealer has a natural; it pays insurancePays to 1 after the peek
+    async playerInsurance() {
+        if (this.gameState !== 'insurance') {
+            this.emit('status', "Insurance is only offered while the dealer shows an Ace.");
+            return false;
+        }
+        if (this.isBlackjack(this.playerHand)) {
+            this.emit('status', "With a blackjack, take even money instead.");
+            return false;
+        }
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updatePlayerValue(this.playerValue);
-            this.gameManager.uiManager.updateDealerValue(this.dealerValue);
+        const cost = this.getInsuranceCost();
+        if (this.gameManager.money < cost) {
+            this.emit('status', `Not enough money for the ${cost} insurance.`);
+            return false;
         }
+        
+        console.log("Player takes insurance for", cost);
+        this.gameManager.money -= cost;
+        this.insuranceBet = cost;
+        this.emit('betChanged', this.bet, this.gameManager.money);
+        
+        await this.beginPlay();
+        return true;
     }
 
-    calculateHandValue(hand) {
-        let value = 0;
-        let aceCount = 0;
+    // Turn the insurance offer down and let the dealer peek
+    async declineInsurance() {
+        if (this.gameState !== 'insurance') {
+            return false;
+        }
         
-        // First pass: calculate basic value and count aces
-        for (const card of hand) {
-            // Skip cards in superposition since we don't know their value
-            if (card.isInSuperposition) {
-                // For superposition cards, we use the average of possible values
-                const possibleValues = card.getPossibleGameValues();
-                const averageValue = possibleValues.reduce((sum, val) => sum + val, 0) / possibleValues.length;
-                value += averageValue;
-                continue;
+        console.log("Player declines insurance");
+        await this.beginPlay();
+        return true;
+    }
+
+    // Settle a blackjack at 1:1 now instead of risking a push against a dealer natural
+    async playerEvenMoney() {
+        if (this.gameState !== 'insurance' || !this.isBlackjack(this.playerHand)) {
+            this.emit('status', "Even money is only offered on a blackjack against a dealer Ace.");
+            return false;
+        }
+        
+        console.log("Player takes even money");
+        this.gameState = 'gameOver';
+        await this.revealDealerCard();
+        
+        this.settleHand(this.currentHand, 'win');
+        this.endGame('player', `Even money: paid ${this.currentHand.payout - this.currentHand.bet}`);
+        return true;
+    }
+
+    // Early surrender stops play before a peek, even without insurance to offer
+    offersEarlySurrender() {
+        return this.rules.surrender === 'early' && this.dealerPeeks() && !this.isBlackjack(this.playerHand);
+    }
+
+    // Play on without surrendering early and let the dealer peek
+    async declineSurrender() {
+        if (this.gameState !== 'earlySurrender') {
+            return false;
+        }
+        
+        console.log("Player plays on");
+        await this.beginPlay();
+        return true;
+    }
+
+    // Why the player can't surrender right now, or null if they can
+    getSurrenderRestriction() {
+        if (this.rules.surrender === 'none') {
+            return "House rules: no surrender.";
+        }
+        if (this.gameState === 'insurance' || this.gameState === 'earlySurrender') {
+            if (this.rules.surrender !== 'early') {
+                return "House rules: you can only surrender after the dealer peeks.";
             }
-            
-            // Get card game value
-            const cardValue = card.getGameValue();
-            
-            // Check if it's an ace
-            if (cardValue === 1) {
-                aceCount++;
-                value += 1; // Initially count ace as 1
-            } else {
-                value += cardValue;
+            if (this.isBlackjack(this.playerHand)) {
+                return "With a blackjack, take even money instead.";
             }
+            return null;
+        }
+        if (this.gameState !== 'playerTurn') {
+            return "You can only surrender on your turn.";
         }
         
-        // Second pass: adjust for aces
-        // Treat aces as 11 if doing so doesn't cause a bust
-        for (let i = 0; i < aceCount; i++) {
-            if (value + 10 <= 21) {
-                value += 10; // Convert one ace from 1 to 11
-            }
+        // Surrender is the first decision on the original hand
+        const hand = this.currentHand;
+        if (this.playerHands.length > 1 || hand.cards.length !== 2 || hand.doubled) {
+            return "You can only surrender your first two cards, before any split.";
         }
         
-        return value;
+        return null;
     }
 
-    checkForBlackjack() {
-        // Player has blackjack if they have 2 cards and a value of 21
-        const playerHasBlackjack = this.playerHand.length === 2 && this.playerValue === 21;
+    canSurrender() {
+        return this.getSurrenderRestriction() === null;
+    }
+
+    // Give up the hand for half the stake back. The cards are folded without
+    // being looked at: superposed and entangled cards are never measured and
+    // the dealer's hole card stays down. A hand surrendered with its quantum
+    // play still unresolved also gets half its chips back (see GameEngine).
+    playerSurrender() {
+        const restriction = this.getSurrenderRestriction();
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        
+        const early = this.gameState !== 'playerTurn';
+        console.log(`Player surrenders (${early ? 'early' : 'late'})`);
         
-        // Calculate dealer's full hand value (including face-down card)
-        const dealerFullValue = this.calculateHandValue(this.dealerHand);
-        const dealerHasBlackjack = this.dealerHand.length === 2 && dealerFullValue === 21;
+        const hand = this.currentHand;
+        const unresolved = hand.cards.some(card => card.isInSuperposition || card.isEntangled);
+        hand.status = 'surrendered';
+        this.settleHand(hand, 'surrender');
         
-        return playerHasBlackjack || dealerHasBlackjack;
+        this.emit('surrendered', hand, { early, unresolved });
+        this.endGame('surrender', `Surrendered: ${hand.payout} of your ${hand.bet} back`);
+        return true;
+    }
+
+    // Pay the insurance side bet if the peek found a natural
+    settleInsurance(dealerHasBlackjack) {
+        this.insurancePayout = dealerHasBlackjack ? this.insuranceBet * (1 + this.rules.insurancePays) : 0;
+        this.gameManager.money += this.insurancePayout;
+        
+        console.log(`Insurance ${this.insuranceBet} settled, paid ${this.insurancePayout}`);
+        this.emit('status', dealerHasBlackjack
+            ? `Insurance pays ${formatPayout(this.rules.insurancePays)} - you get ${this.insurancePayout}.`
+            : `No dealer blackjack - the ${this.insuranceBet} insurance is lost.`);
+        this.emit('betChanged', this.bet, this.gameManager.money);
     }
 
     async handleBlackjack() {
         console.log("Handling blackjack");
         
+        // Without a hole card the dealer draws the second card now
+        if (this.dealerHand.length === 1) {
+            await this.dealCardToDealer(true);
+        }
+        
         // Reveal dealer's hidden card
         await this.revealDealerCard();
         
-        // Calculate dealer's full hand value
-        const dealerFullValue = this.calculateHandValue(this.dealerHand);
-        const dealerHasBlackjack = this.dealerHand.length === 2 && dealerFullValue === 21;
-        
-        // Player has blackjack if they have 2 cards and a value of 21
-        const playerHasBlackjack = this.playerHand.length === 2 && this.playerValue === 21;
+        this.dealerNatural = this.isBlackjack(this.dealerHand);
+        const dealerHasBlackjack = this.dealerNatural;
+        const playerHasBlackjack = this.isBlackjack(this.playerHand);
         
         // Determine winner
         if (playerHasBlackjack && dealerHasBlackjack) {
             // It's a tie (push)
-            this.endGame('tie');
+            this.settleHand(this.currentHand, 'push');
+            this.endGame('tie', "Both have blackjack");
         } else if (playerHasBlackjack) {
             // Player wins with blackjack
-            this.endGame('player');
+            this.settleHand(this.currentHand, 'blackjack');
+            this.endGame('player', `Blackjack pays ${formatPayout(this.rules.blackjackPays)}`);
         } else if (dealerHasBlackjack) {
             // Dealer wins with blackjack
-            this.endGame('dealer');
+            this.settleHand(this.currentHand, 'lose');
+            this.endGame('dealer', "Dealer blackjack");
         }
     }
 
@@ -360,41 +872,339 @@ export class BlackjackGame {
             return false;
         }
         
+        if (this.currentHand.splitAces && !this.rules.hitSplitAces) {
+            this.emit('status', "Split aces take one card each.");
+            return false;
+        }
+        
         console.log("Player hits");
         
         // Deal a card to the player
         this.dealCardToPlayer(true);
+        this.gameManager.applyDecoherence('hit');
         
         // Update hand values
         this.updateHandValues();
         
-        // Check if player busts
-        if (this.playerValue > 21) {
-            this.checkForBust();
+        // The player busts only once every branch of the hand is over 21
+        if (!this.checkForBust()) {
+            this.updateControls();
         }
         
         return true;
     }
 
-    async checkForBust() {
-        if (this.playerValue > 21) {
+    // A hand that is certainly over 21 is lost and play moves on
+    checkForBust() {
+        if (HandEvaluator.isCertain(this.playerOdds.bustProbability)) {
             console.log("Player busts with", this.playerValue);
             
-            // Update game state
-            this.gameState = 'gameOver';
+            this.currentHand.status = 'bust';
+            this.emit('status', this.playerHands.length > 1
+                ? `Bust! Hand ${this.activeHand + 1} went over 21.`
+                : "Bust! You went over 21.");
             
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.updateStatus("Bust! You went over 21.");
+            this.finishHand();
+            return true;
+        }
+        
+        return false;
+    }
+
+    // Take a stake from the bankroll into a hand
+    placeBet(amount, hand = this.currentHand) {
+        if (this.gameManager.money < amount) {
+            this.emit('status', `Not enough money for the ${amount} stake.`);
+            return false;
+        }
+        
+        this.gameManager.money -= amount;
+        hand.bet += amount;
+        this.emit('betChanged', this.bet, this.gameManager.money);
+        return true;
+    }
+
+    // Why the player can't double down right now, or null if they can
+    getDoubleRestriction() {
+        if (this.gameState !== 'playerTurn') {
+            return "You can only double on your turn.";
+        }
+        const hand = this.currentHand;
+        if (hand.doubled || hand.cards.length !== 2) {
+            return "You can only double on your first two cards.";
+        }
+        if (hand.splitAces) {
+            return "Split aces take one card each.";
+        }
+        if (hand.fromSplit && !this.rules.doubleAfterSplit) {
+            return "House rules: no doubling after a split.";
+        }
+        if (this.gameManager.money < hand.bet) {
+            return `Not enough money to double your ${hand.bet} bet.`;
+        }
+        
+        const superposed = this.playerHand.some(card => card.isInSuperposition);
+        if (superposed && this.rules.superposedDouble === 'forbid') {
+            return "House rules: no doubling while a card is in superposition.";
+        }
+        
+        // With '9-11' every branch the hand could still collapse to must qualify,
+        // unless the rules collapse the hand before the double
+        if (this.rules.doubleOn === '9-11') {
+            const totals = superposed && this.rules.superposedDouble === 'collapse'
+                ? null
+                : Object.keys(this.playerOdds.distribution).map(Number);
+            if (totals && !totals.every(total => total >= 9 && total <= 11)) {
+                return "House rules: you can only double on 9, 10 or 11.";
             }
+        }
+        
+        return null;
+    }
+
+    canDouble() {
+        return this.getDoubleRestriction() === null;
+    }
+
+    // Double the bet, take exactly one more card and stand
+    async playerDouble() {
+        const restriction = this.getDoubleRestriction();
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        
+        console.log("Player doubles down");
+        
+        // The house may look at the hand before accepting the bet
+        if (this.rules.superposedDouble === 'collapse' && this.playerHand.some(card => card.isInSuperposition)) {
+            this.collapseHand(this.playerHand);
+            this.updateHandValues();
+            this.emit('status', "The house observed your hand before taking the double.");
             
-            // End game with dealer as winner
-            this.endGame('dealer');
-            
+            // Collapsing may leave a hand the rules don't allow doubling on, or a
+            // made 21 that drawing a card could only spoil
+            const collapsedRestriction = this.isBlackjack(this.playerHand)
+                ? "The house won't take a double on 21. Stand to keep it."
+                : this.getDoubleRestriction();
+            if (collapsedRestriction) {
+                this.emit('status', `Your hand collapsed to ${this.playerOdds.total}. ${collapsedRestriction}`);
+                this.updateControls();
+                return false;
+            }
+        }
+        
+        const hand = this.currentHand;
+        this.placeBet(hand.bet);
+        hand.doubled = true;
+        
+        // Exactly one card
+        const card = await this.dealCardToPlayer(true);
+        if (card && this.rules.doubleCardSuperposed) {
+            card.applySuperposition();
+        }
+        this.gameManager.applyDecoherence('hit');
+        this.updateHandValues();
+        
+        this.emit('status', card && card.isInSuperposition
+            ? `Doubled to ${hand.bet}. Your card arrives in superposition and stays unknown until the showdown.`
+            : `Doubled to ${hand.bet}.`);
+        
+        if (this.checkForBust()) {
             return true;
         }
         
-        return false;
+        return this.playerStand();
+    }
+
+    // Why the active hand can't be split right now, or null if it can
+    getSplitRestriction() {
+        if (this.gameState !== 'playerTurn') {
+            return "You can only split on your turn.";
+        }
+        
+        const hand = this.currentHand;
+        if (hand.cards.length !== 2) {
+            return "You can only split a pair.";
+        }
+        if (hand.cards.some(card => card.isInSuperposition)) {
+            return "Measure your cards first - a superposed pair can't be split.";
+        }
+        
+        // Any two ten-value cards count as a pair
+        const [first, second] = hand.cards;
+        if (Math.min(first.value, 10) !== Math.min(second.value, 10)) {
+            return "You can only split two cards of the same value.";
+        }
+        if (this.playerHands.length >= this.rules.maxHands) {
+            return `House rules: at most ${this.rules.maxHands} hands.`;
+        }
+        if (hand.splitAces && !this.rules.resplitAces) {
+            return "House rules: split aces can't be split again.";
+        }
+        if (this.gameManager.money < hand.bet) {
+            return `Not enough money to match your ${hand.bet} bet.`;
+        }
+        
+        return null;
+    }
+
+    canSplit() {
+        return this.getSplitRestriction() === null;
+    }
+
+    // Split the active pair into two hands with equal bets. Each hand gets a
+    // second card when its turn comes; split aces get only that one card.
+    async playerSplit() {
+        const restriction = this.getSplitRestriction();
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+        
+        console.log("Player splits");
+        
+        const hand = this.currentHand;
+        const splitHand = createHand(true);
+        splitHand.cards.push(hand.cards.pop());
+        hand.fromSplit = true;
+        hand.splitAces = splitHand.splitAces = splitHand.cards[0].value === 1;
+        
+        this.playerHands.splice(this.activeHand + 1, 0, splitHand);
+        this.placeBet(hand.bet, splitHand);
+        
+        this.emit('status', `Split into ${this.playerHands.length} hands.`);
+        
+        await this.activateHand(this.activeHand);
+        return true;
+    }
+
+    // Why this card of the active hand can't be split into its branches, or null if it can
+    getQuantumSplitRestriction(card) {
+        if (this.gameState !== 'playerTurn') {
+            return "You can only split on your turn.";
+        }
+        if (!card || !this.currentHand.cards.includes(card)) {
+            return "Pick a superposed card in the hand you're playing.";
+        }
+        if (!card.isInSuperposition || card.superpositionStates.length !== 2) {
+            return "Only a card with exactly two branches can be split into two hands.";
+        }
+        if (card.isEntangled) {
+            return "Entangled cards can't branch on their own - their partners share the wavefunction.";
+        }
+        if (this.playerHands.length >= this.rules.maxHands) {
+            return `House rules: at most ${this.rules.maxHands} hands.`;
+        }
+        if (this.currentHand.splitAces && !this.rules.resplitAces) {
+            return "House rules: split aces can't be split again.";
+        }
+        if (this.gameManager.money < this.currentHand.bet) {
+            return `Not enough money to match your ${this.currentHand.bet} bet.`;
+        }
+
+        return null;
+    }
+
+    // The card a quantum split would use: the given one, else the first that qualifies
+    findQuantumSplitCard(card = null) {
+        if (card && this.currentHand.cards.includes(card)) {
+            return card;
+        }
+        return this.currentHand.cards.find(candidate => this.getQuantumSplitRestriction(candidate) === null) || null;
+    }
+
+    canQuantumSplit() {
+        return this.gameState === 'playerTurn' && this.getQuantumSplitRestriction(this.findQuantumSplitCard()) === null;
+    }
+
+    // Many-worlds split: a two-branch card stays in the active hand as its first
+    // branch and its second branch opens a new hand with a matching bet. Both
+    // hands play on as after a pair split.
+    async playerQuantumSplit(card = null) {
+        card = this.findQuantumSplitCard(card);
+        const restriction = this.getQuantumSplitRestriction(card);
+        if (restriction) {
+            this.emit('status', restriction);
+            return false;
+        }
+
+        console.log(`Player splits ${card.toString()} into its branches`);
+
+        const [keptChance, splitChance] = card.register.getProbabilities(card);
+        const hand = this.currentHand;
+        const branch = card.branch();
+
+        const branchHand = createHand(true);
+        branchHand.cards.push(branch);
+        hand.fromSplit = true;
+
+        const handIndex = this.activeHand + 1;
+        this.playerHands.splice(handIndex, 0, branchHand);
+        this.playerCardCount++;
+        this.placeBet(hand.bet, branchHand);
+
+        this.emit('cardDealt', branch, { hand: 'player', handIndex, index: 0, faceUp: branch.isFaceUp, branchedFrom: card });
+        this.updateHandValues();
+        this.emit('cardBranched', card, branch);
+        this.emit('status', `Many-worlds split: ${card.toString()} (${Math.round(keptChance * 100)}%) stays, ` +
+            `${branch.toString()} (${Math.round(splitChance * 100)}%) opens hand ${handIndex + 1}.`);
+
+        this.auditDeck();
+
+        // The kept branch may have changed this hand's total
+        if (this.checkForBust()) {
+            return true;
+        }
+
+        await this.activateHand(this.activeHand);
+        return true;
+    }
+
+    // Move play to a hand, dealing the second card of a split hand
+    async activateHand(index) {
+        this.activeHand = index;
+        const hand = this.currentHand;
+        
+        if (hand.cards.length === 1) {
+            await this.dealCardToPlayer(true);
+        }
+        this.updateHandValues();
+        
+        // Split aces stand on their one card unless they can be split again
+        if (hand.splitAces && !this.rules.hitSplitAces && !this.canSplit()) {
+            hand.status = 'stood';
+            this.emit('status', `Hand ${index + 1}: split aces take one card each.`);
+            await this.finishHand();
+            return;
+        }
+        
+        if (this.playerHands.length > 1) {
+            this.emit('status', `Playing hand ${index + 1} of ${this.playerHands.length}.`);
+        }
+        this.updateControls();
+    }
+
+    // The active hand is done: play the next one, or hand over to the dealer
+    async finishHand() {
+        const next = this.playerHands.findIndex((hand, index) => index > this.activeHand && hand.status === 'playing');
+        if (next !== -1) {
+            await this.activateHand(next);
+            return;
+        }
+        
+        // Nothing left for the dealer to beat
+        if (this.playerHands.every(hand => hand.status === 'bust')) {
+            this.gameState = 'gameOver';
+            await this.revealDealerCard();
+            for (const hand of this.playerHands) {
+                this.settleHand(hand, 'lose');
+            }
+            this.endGame('dealer');
+            return;
+        }
+        
+        this.startDealerTurn();
     }
 
     playerStand() {
@@ -405,18 +1215,26 @@ export class BlackjackGame {
         
         console.log("Player stands");
         
+        this.currentHand.status = 'stood';
+        this.finishHand();
+        
+        return true;
+    }
+
+    // Every hand has been played: reveal the hole card and let the dealer draw
+    startDealerTurn() {
         // Update game state
         this.gameState = 'dealerTurn';
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("Dealer's turn...");
-        }
+        // The player's turn has passed
+        this.gameManager.applyDecoherence('turn');
         
-        // Reveal dealer's hidden card
-        this.revealDealerCard();
+        this.emit('status', "Dealer's turn...");
+        this.updateControls();
         
-        return true;
+        // Reveal dealer's hidden card, then let the dealer draw
+        this.revealDealerCard();
+        this.scheduleDealerTurn();
     }
 
     async revealDealerCard() {
@@ -427,119 +1245,251 @@ export class BlackjackGame {
         
         if (hiddenCard) {
             // Flip the card face-up
-            hiddenCard.isFaceUp = true;
+            hiddenCard.flip(true);
             
-            if (hiddenCard.mesh && this.gameManager.sceneManager) {
-                this.gameManager.sceneManager.flipCard(hiddenCard.mesh, true);
-                
-                // Play sound effect
-                if (this.gameManager.soundManager) {
-                    this.gameManager.soundManager.playCardFlipSound();
-                }
+            // A superposed hole card is observed as it turns over
+            const collapsed = hiddenCard.isInSuperposition;
+            if (collapsed) {
+                hiddenCard.measure();
+                this.auditDeck();
+                this.emit('status', `The hole card collapses as it turns over: ${hiddenCard.toString()}.`);
             }
+            this.emit('cardRevealed', hiddenCard, collapsed);
             
             // Update hand values
             this.updateHandValues();
         }
     }
 
-    updateDealerTurn() {
-        if (this.gameState !== 'dealerTurn') {
-            return;
+    // Play the dealer's next step after dealerDelay
+    scheduleDealerTurn() {
+        if (this.dealerDelay > 0) {
+            setTimeout(() => this.playDealerTurn(), this.dealerDelay);
+        } else {
+            this.playDealerTurn();
         }
-        
-        // Play dealer's turn after a short delay
-        setTimeout(() => this.playDealerTurn(), 1000);
     }
 
     async playDealerTurn() {
+        // A new hand may have started while this step was waiting
+        if (this.gameState !== 'dealerTurn') {
+            return;
+        }
+        
         console.log("Playing dealer's turn");
         
-        // Calculate dealer's full hand value (now that all cards are revealed)
-        const dealerFullValue = this.calculateHandValue(this.dealerHand);
+        // A quantum dealer may play one chip before each decision. A natural stands as dealt.
+        if (this.rules.quantumDealer && !this.dealerNatural) {
+            this.playDealerChip();
+        }
+        
+        // Distribution of the dealer's full hand (now that all cards are revealed)
+        const dealerOdds = HandEvaluator.evaluate(this.dealerHand);
         
-        // Dealer must hit until their hand value is 17 or higher
-        if (dealerFullValue < 17) {
-            console.log("Dealer hits with", dealerFullValue);
+        // Dealer must hit until their hand is 17 or higher
+        if (this.dealerShouldHit(dealerOdds)) {
+            console.log("Dealer hits with", dealerOdds.expectedValue);
             
             // Deal a card to the dealer
             await this.dealCardToDealer(true);
             
+            // Without a hole card this completes the dealer's first two cards
+            if (this.dealerHand.length === 2) {
+                this.dealerNatural = this.isBlackjack(this.dealerHand);
+            }
+            
             // Update hand values
             this.updateHandValues();
             
             // Continue dealer's turn
-            setTimeout(() => this.playDealerTurn(), 1000);
+            this.scheduleDealerTurn();
         } else {
-            console.log("Dealer stands with", dealerFullValue);
+            console.log("Dealer stands with", dealerOdds.expectedValue);
             
             // Determine winner
             this.determineWinner();
         }
     }
 
+    // Let the quantum dealer play a chip, and narrate it. False if it passed.
+    playDealerChip() {
+        const move = this.dealer.playChip();
+        if (!move) {
+            return false;
+        }
+        
+        console.log("Dealer played", move.chip);
+        this.auditDeck();
+        this.updateHandValues();
+        this.emit('dealerChipPlayed', move);
+        this.emitDealerChips();
+        this.emit('status', move.message);
+        return true;
+    }
+
+    emitDealerChips() {
+        this.emit('dealerChipsChanged', this.rules.quantumDealer ? { ...this.dealer.chips } : null);
+    }
+
+    // The dealer hits while the hand is more likely than not below 17
+    dealerShouldHit(odds) {
+        return this.dealerHitChance(odds) > 0.5;
+    }
+
+    // Probability that the dealer's hand is one it must hit
+    dealerHitChance(odds) {
+        let belowSeventeen = 0;
+        for (const [total, probability] of Object.entries(odds.distribution)) {
+            if (Number(total) < 17) {
+                belowSeventeen += probability;
+            }
+        }
+        
+        // Under H17 a soft 17 draws too
+        if (this.rules.dealerHitsSoft17) {
+            belowSeventeen += odds.softSeventeenProbability;
+        }
+        return belowSeventeen;
+    }
+
+    // Measure every card of a hand still in superposition
+    collapseHand(hand) {
+        for (const card of hand) {
+            // A partner's collapse may already have settled this card
+            if (card.isInSuperposition) {
+                card.measure();
+            }
+        }
+    }
+
     determineWinner() {
         console.log("Determining winner");
         
+        // A winner needs definite totals, so any remaining superpositions are observed
+        for (const hand of this.playerHands) {
+            this.collapseHand(hand.cards);
+        }
+        this.collapseHand(this.dealerHand);
+        this.updateHandValues();
+        
         // Calculate final hand values
-        const finalPlayerValue = this.playerValue;
-        const finalDealerValue = this.calculateHandValue(this.dealerHand);
+        const finalDealerValue = HandEvaluator.evaluate(this.dealerHand).total;
         
-        // Check for dealer bust
-        if (finalDealerValue > 21) {
-            console.log("Dealer busts with", finalDealerValue);
-            this.endGame('player');
-            return;
-        }
+        // Only possible without a peek: a dealer natural beats every hand, 21 or not.
+        // It is judged on the two cards as dealt, not on what chips made of them since.
+        const dealerHasBlackjack = this.dealerNatural;
         
-        // Compare hand values
-        if (finalPlayerValue > finalDealerValue) {
-            console.log("Player wins with", finalPlayerValue, "vs", finalDealerValue);
-            this.endGame('player');
-        } else if (finalDealerValue > finalPlayerValue) {
-            console.log("Dealer wins with", finalDealerValue, "vs", finalPlayerValue);
-            this.endGame('dealer');
-        } else {
-            console.log("It's a tie with", finalPlayerValue);
-            this.endGame('tie');
+        for (const hand of this.playerHands) {
+            const finalPlayerValue = HandEvaluator.evaluate(hand.cards).total;
+            
+            if (dealerHasBlackjack) {
+                console.log("Dealer blackjack beats", finalPlayerValue);
+                this.settleHand(hand, 'lose');
+            } else if (finalPlayerValue > 21) {
+                // Check for player bust
+                console.log("Player busts with", finalPlayerValue);
+                this.settleHand(hand, 'lose');
+            } else if (finalDealerValue > 21) {
+                // Check for dealer bust
+                console.log("Dealer busts with", finalDealerValue);
+                this.settleHand(hand, 'win');
+            } else if (finalPlayerValue > finalDealerValue) {
+                // Compare hand values
+                console.log("Player wins with", finalPlayerValue, "vs", finalDealerValue);
+                this.settleHand(hand, 'win');
+            } else if (finalDealerValue > finalPlayerValue) {
+                console.log("Dealer wins with", finalDealerValue, "vs", finalPlayerValue);
+                this.settleHand(hand, 'lose');
+            } else {
+                console.log("It's a tie with", finalPlayerValue);
+                this.settleHand(hand, 'push');
+            }
         }
+        
+        // Over several hands the round goes to whoever came out ahead
+        const net = this.playerHands.reduce((sum, hand) => sum + hand.payout - hand.bet, 0);
+        this.endGame(net > 0 ? 'player' : net < 0 ? 'dealer' : 'tie', dealerHasBlackjack ? "Dealer blackjack" : null);
     }
 
-    endGame(winner) {
+    // note sums up how the round was decided for the result overlay
+    endGame(winner, note = null) {
         console.log("Game over. Winner:", winner);
         
         // Update game state
         this.gameState = 'gameOver';
         
-        // Update UI based on winner
-        if (this.gameManager.uiManager) {
-            if (winner === 'player') {
-                this.gameManager.uiManager.showWin();
-                this.gameManager.uiManager.updateStatus("You win!");
-                
-                // Play win sound
-                if (this.gameManager.soundManager) {
-                    this.gameManager.soundManager.playWinSound();
-                }
-            } else if (winner === 'dealer') {
-                this.gameManager.uiManager.showLose();
-                this.gameManager.uiManager.updateStatus("Dealer wins!");
-                
-                // Play lose sound
-                if (this.gameManager.soundManager) {
-                    this.gameManager.soundManager.playLoseSound();
-                }
-            } else {
-                this.gameManager.uiManager.showTie();
-                this.gameManager.uiManager.updateStatus("It's a tie!");
-            }
+        if (this.insurancePayout > 0) {
+            note = [note, `Insurance paid ${this.insurancePayout}`].filter(Boolean).join(' - ');
         }
+        this.emit('gameOver', winner, note);
+        
+        const messages = {
+            player: "You win!",
+            dealer: "Dealer wins!",
+            tie: "It's a tie!",
+            surrender: "You surrendered."
+        };
+        const results = {
+            win: 'won',
+            blackjack: 'blackjack',
+            push: 'push',
+            lose: 'lost'
+        };
+        let message = messages[winner];
+        if (this.playerHands.length > 1) {
+            message += ' ' + this.playerHands.map((hand, index) => `Hand ${index + 1}: ${results[hand.result]}`).join(', ');
+        }
+        const paid = this.playerHands.reduce((sum, hand) => sum + hand.payout, 0);
+        if (paid > 0) {
+            message += ` Paid ${paid}.`;
+        }
+        if (this.cutCardReached) {
+            message += ' The cut card is out: the shoe is shuffled before the next round.';
+        }
+        this.emit('status', message);
         
-        // Disable player controls
-        const hitBtn = document.getElementById('hit-btn');
-        const standBtn = document.getElementById('stand-btn');
-        
-        if (hitBtn) hitBtn.disabled = true;
-        if (standBtn) standBtn.disabled = true;
+        // Show each hand's result and disable player controls
+        this.updateHandValues();
+        this.updateControls();
+    }
+
+    // Pay out a hand's stake: even money for a win, blackjackPays on top of
+    // the stake for a natural, the stake back on a push and half on a surrender
+    settleHand(hand, result) {
+        const multipliers = {
+            win: 2,
+            blackjack: 1 + this.rules.blackjackPays,
+            push: 1,
+            surrender: 0.5,
+            lose: 0
+        };
+        hand.result = result;
+        // A 3:2 payout or a surrender's half on an odd stake is paid in whole units,
+        // rounded down like the insurance cost
+        hand.payout = Math.floor(hand.bet * multipliers[result]);
+        
+        this.gameManager.money += hand.payout;
+        console.log(`Bet ${hand.bet} settled (${result}), paid ${hand.payout}`);
+        this.emit('betChanged', this.bet, this.gameManager.money);
+    }
+
+    // Tell the UI which actions the player has
+    updateControls() {
+        const playerTurn = this.gameState === 'playerTurn';
+        const canHit = playerTurn && (!this.currentHand.splitAces || this.rules.hitSplitAces);
+        const insuranceOffered = this.gameState === 'insurance';
+        const natural = insuranceOffered && this.isBlackjack(this.playerHand);
+        // After a hand the next chip or rebet opens a fresh bet (see GameEngine.placeBet)
+        const betting = this.gameState === 'betting' || this.gameState === 'gameOver';
+        const wager = this.gameState === 'betting' ? this.wager : 0;
+        const canBet = amount => betting && this.getBetRestriction(amount) === null;
+        const chips = Object.fromEntries(BET_CHIPS.map(chip => [`chip${chip}`, canBet(wager + chip)]));
+        this.emit('controlsChanged', { hit: canHit, stand: playerTurn, double: this.canDouble(), split: this.canSplit(),
+            quantumSplit: this.canQuantumSplit(), surrender: this.canSurrender(),
+            insurance: insuranceOffered && !natural, evenMoney: natural, noInsurance: insuranceOffered,
+            playOn: this.gameState === 'earlySurrender',
+            ...chips, clearBet: wager > 0,
+            rebet: this.lastWager > 0 && canBet(this.lastWager), doubleRebet: this.lastWager > 0 && canBet(this.lastWager * 2),
+            deal: this.getDealRestriction() === null, shop: betting, newGame: betting });
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,166 @@
+// Default table rules for quantum blackjack. Settings a rule variant or a
+// ruleset needs override these (see BlackjackGame.setRules).
+export const DEFAULT_BLACKJACK_RULES = {
+    minBet: 5,                      // Table limits on the opening bet of a hand
+    maxBet: 1000,
+    decks: 1,                       // 52-card decks shuffled together into the shoe, 1 to 8
+    penetration: 0.75,              // Share of the shoe dealt before the cut card comes out
+    dealerHitsSoft17: false,        // H17 when true; the dealer stands on every 17 (S17) otherwise
+    blackjackPays: 1.5,             // A natural pays 3:2
+    doubleOn: 'any',                // 'any' two cards, or '9-11' when every branch totals 9, 10 or 11
+    doubleAfterSplit: true,         // A split hand may be doubled
+    maxHands: 4,                    // Splitting and re-splitting stops at this many hands
+    resplitAces: false,             // Split aces that draw another ace may split again
+    hitSplitAces: false,            // Split aces may draw more than their one card
+    superposedDouble: 'allow',      // With a superposed card in the hand: 'allow', 'forbid', or 'collapse' it first
+    doubleCardSuperposed: false,    // The double card is dealt in superposition and stays unknown until the showdown
+    insurance: true,                // Offer insurance, or even money on a natural, when the dealer shows an ace
+    insurancePays: 2,               // Insurance pays 2:1
+    noHoleCard: false,              // European play: the dealer's second card comes after the player's turn, so no peek
+    superposedHoleCard: false,      // The hole card is dealt in superposition and only collapses when it is turned over
+    surrender: 'late',              // 'none', 'late' (after the peek) or 'early' (before it); half the stake back
+    surrenderRefundsChips: true,    // A hand surrendered still superposed or entangled gets half its chips back
+    maxChipsPerHand: null,          // Quantum chips the player may play on one hand; null for no limit
+    quantumDealer: false,           // The dealer plays quantum chips of its own against the player
+    dealerChips: { hadamard: 2, schrodinger: 1, entanglement: 1 }  // The quantum dealer's chips each hand
+};
+
+/**
+ * Named rulesets a session can be played under. Each overrides the default
+ * rules, and may retune decoherence (see DEFAULT_DECOHERENCE) to suit how
+ * much quantum play the house allows.
+ */
+export const BLACKJACK_RULESETS = {
+    vegasStrip: {
+        name: 'Vegas Strip',
+        rules: {
+            decks: 6,
+            minBet: 10,
+            maxBet: 1000,
+            dealerHitsSoft17: false,
+            blackjackPays: 1.5,
+            doubleAfterSplit: true,
+            maxHands: 4,
+            resplitAces: false,
+            surrender: 'late',
+            maxChipsPerHand: 3
+        },
+        decoherence: {}
+    },
+    atlanticCity: {
+        name: 'Atlantic City',
+        rules: {
+            decks: 8,
+            penetration: 0.7,
+            minBet: 25,
+            maxBet: 2000,
+            dealerHitsSoft17: false,
+            blackjackPays: 1.5,
+            doubleAfterSplit: true,
+            maxHands: 4,
+            resplitAces: false,
+            surrender: 'late',
+            maxChipsPerHand: 2
+        },
+        decoherence: { cardDealt: 0.08, hit: 0.12 }
+    },
+    european: {
+        name: 'European',
+        rules: {
+            decks: 6,
+            minBet: 5,
+            maxBet: 500,
+            dealerHitsSoft17: false,
+            blackjackPays: 1.5,
+            doubleOn: '9-11',
+            doubleAfterSplit: false,
+            maxHands: 2,
+            resplitAces: false,
+            noHoleCard: true,
+            surrender: 'none',
+            maxChipsPerHand: 2
+        },
+        decoherence: {}
+    },
+    quantumCasino: {
+        name: 'Quantum Casino',
+        rules: {
+            decks: 1,
+            penetration: 0.6,
+            minBet: 5,
+            maxBet: 1000,
+            dealerHitsSoft17: true,
+            blackjackPays: 1.5,
+            doubleAfterSplit: true,
+            maxHands: 4,
+            resplitAces: true,
+            hitSplitAces: true,
+            doubleCardSuperposed: true,
+            surrender: 'early',
+            maxChipsPerHand: null
+        },
+        decoherence: { cardDealt: 0.03, hit: 0.06, turn: 0.1 }
+    },
+    quantumShowdown: {
+        name: 'Quantum Showdown',
+        rules: {
+            decks: 2,
+            penetration: 0.65,
+            minBet: 10,
+            maxBet: 1000,
+            dealerHitsSoft17: false,
+            blackjackPays: 1.5,
+            doubleAfterSplit: true,
+            maxHands: 4,
+            resplitAces: false,
+            surrender: 'late',
+            maxChipsPerHand: null,
+            superposedHoleCard: true,
+            quantumDealer: true,
+            dealerChips: { hadamard: 2, schrodinger: 1, entanglement: 1 }
+        },
+        decoherence: { cardDealt: 0.03, hit: 0.06 }
+    }
+};
+
+// Chip denominations the player bets with
+export const BET_CHIPS = [5, 25, 100, 500];
+
+// Ruleset a profile plays under until its player picks another
+export const DEFAULT_RULESET = 'quantumCasino';
+
+// A payout ratio as the table writes it, e.g. 1.5 as 3:2 and 1.2 as 6:5
+export function formatPayout(ratio) {
+    for (let denominator = 1; denominator <= 10; denominator++) {
+        const numerator = ratio * denominator;
+        if (Math.abs(numerator - Math.round(numerator)) < 1e-9) {
+            return `${Math.round(numerator)}:${denominator}`;
+        }
+    }
+    return `${ratio}:1`;
+}
+
+// The rules as the lines printed on the felt
+export function describeRules(rules) {
+    const surrender = { none: null, late: 'Late surrender', early: 'Early surrender' }[rules.surrender];
+    return [
+        `Blackjack pays ${formatPayout(rules.blackjackPays)} · Bets ${rules.minBet} to ${rules.maxBet}`,
+        [
+            rules.dealerHitsSoft17 ? 'Dealer hits soft 17' : 'Dealer stands on all 17s',
+            rules.quantumDealer ? 'Quantum dealer' : null,
+            rules.superposedHoleCard && !rules.noHoleCard ? "Schrödinger's hole card" : null
+        ].filter(Boolean).join(' · '),
+        [
+            `${rules.decks} deck${rules.decks > 1 ? 's' : ''}`,
+            rules.noHoleCard ? 'No hole card' : (rules.insurance ? `Insurance pays ${formatPayout(rules.insurancePays)}` : null),
+            rules.doubleAfterSplit ? 'Double after split' : 'No double after split',
+            rules.resplitAces ? 'Resplit aces' : null,
+            surrender
+        ].filter(Boolean).join(' · '),
+        [
+            `Up to ${rules.maxHands} hands`,
+            `Cut at ${Math.round(rules.penetration * 100)}%`,
+            rules.maxChipsPerHand === null ? 'Unlimited quantum chips' : `${rules.maxChipsPerHand} quantum chips per hand`
+        ].join(' · ')
+    ];
+}
@@ -1,3 +1,5 @@
+import { defaultRandom } from '../utils/SeededRandom.js';
+
 export class CardState {
     constructor(suit, value) {
         this.suit = suit;
@@ -28,45 +30,45 @@ export class CardState {
     }
 
     // Create a card in a random state
-    static random() {
+    static random(rng = defaultRandom) {
         const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
         const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'jack', 'queen', 'king', 'ace'];
         
-        const randomSuit = suits[Math.floor(Math.random() * suits.length)];
-        const randomValue = values[Math.floor(Math.random() * values.length)];
+        const randomSuit = rng.pick(suits);
+        const randomValue = rng.pick(values);
         
         return new CardState(randomSuit, randomValue);
     }
 
     // Create a random pair of card states for quantum card
-    static randomPair() {
+    static randomPair(rng = defaultRandom) {
         // First state is completely random
-        const state1 = CardState.random();
+        const state1 = CardState.random(rng);
         
         // For the second state, make sure it's different from the first
         let state2;
         do {
-            state2 = CardState.random();
+            state2 = CardState.random(rng);
         } while (state1.suit === state2.suit && state1.value === state2.value);
         
         return [state1, state2];
     }
 
     // Create a random pair with at least one state having the specified value
-    static randomPairWithValue(value) {
+    static randomPairWithValue(value, rng = defaultRandom) {
         const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        const randomSuit = suits[Math.floor(Math.random() * suits.length)];
+        const randomSuit = rng.pick(suits);
         
         const state1 = new CardState(randomSuit, value);
         
         // For the second state, make sure it's different from the first
         let state2;
         do {
-            state2 = CardState.random();
+            state2 = CardState.random(rng);
         } while (state1.suit === state2.suit && state1.value === state2.value);
         
         // Randomly decide which state comes first
-        if (Math.random() < 0.5) {
+        if (rng.next() < 0.5) {
             return [state1, state2];
         } else {
             return [state2, state1];
@@ -89,12 +91,7 @@ export class CardState {
     }
 
     // Shuffle an array of card states
-    static shuffleDeck(deck) {
-        const shuffled = [...deck];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+    static shuffleDeck(deck, rng = defaultRandom) {
+        return rng.shuffle([...deck]);
     }
 } 
\ No newline at end of file
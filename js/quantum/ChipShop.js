@@ -0,0 +1,120 @@
+import { GateRegistry } from './QuantumGates.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+/**
+ * Chips that are not gates, as the shop sells them. Gate chips are priced
+ * and described by their GateRegistry entry instead.
+ */
+export const SPECIAL_CHIPS = {
+    schrodinger: {
+        label: 'Schrödinger (Measure)',
+        symbol: 'M',
+        price: 100,
+        description: 'Observes a card, collapsing it to one of its states.',
+        blurb: 'Measurement is the one step that cannot be undone: it picks a single outcome, weighted by the squared amplitudes, and every other branch is gone.'
+    },
+    colorFilter: {
+        label: 'Color Filter (Partial Measure)',
+        symbol: 'C',
+        price: 60,
+        description: "Measures only the color of the dealer's superposed hole card.",
+        blurb: 'A measurement can ask a coarser question than "which state?". Observing only the color keeps the branches of that color, renormalized, and the card stays in superposition among them.'
+    },
+    entanglement: {
+        label: 'Entanglement',
+        symbol: 'E',
+        price: 150,
+        description: 'Links two superposed cards so their outcomes are correlated.',
+        blurb: 'Entangled particles share one state, so measuring one fixes what the other will show however far apart they are - what Einstein called spooky action at a distance.'
+    },
+    ghz: {
+        label: 'GHZ (Group Entanglement)',
+        symbol: 'GHZ',
+        price: 300,
+        description: 'Links three or more superposed cards so they all collapse together.',
+        blurb: 'Greenberger-Horne-Zeilinger states entangle three or more particles at once: a single measurement settles all of them.'
+    }
+};
+
+// Buying in bulk takes a share off every chip; the largest tier reached applies
+export const BULK_DISCOUNTS = [
+    { quantity: 10, discount: 0.2 },
+    { quantity: 5, discount: 0.1 }
+];
+
+// Quantities the shop offers each chip in
+export const BULK_QUANTITIES = [1, 5, 10];
+
+// Every few hands a flash sale marks a couple of chips down
+export const FLASH_SALE = {
+    hands: 5,                       // Hands each sale lasts
+    chips: 2,                       // Chips on sale at once
+    discounts: [0.25, 0.4]          // Possible markdowns
+};
+
+/**
+ * Prices and descriptions for the quantum chip shop. Every chip the player
+ * can hold is for sale; chips with a setting (the Ry rotation) are listed but
+ * paid for each time they are played. Sales run on hand numbers and are
+ * picked from the session seed, so they are the same on every replay.
+ */
+export class ChipShop {
+    // Every quantum chip: gates in registry order, then the special chips
+    static getItems() {
+        const gates = GateRegistry.getAll().map(gate => ({
+            type: gate.chipType,
+            label: gate.label,
+            symbol: gate.name,
+            description: gate.description,
+            blurb: gate.blurb,
+            price: gate.parameter ? null : gate.price,
+            // Range of prices across the chip's setting, for chips paid when played
+            playPrice: gate.parameter
+                ? [GateRegistry.getPrice(gate, gate.parameter.min), GateRegistry.getPrice(gate, gate.parameter.max)]
+                : null
+        }));
+        const specials = Object.entries(SPECIAL_CHIPS).map(([type, chip]) => ({ type, ...chip, playPrice: null }));
+
+        return [...gates, ...specials];
+    }
+
+    static getItem(type) {
+        return ChipShop.getItems().find(item => item.type === type) || null;
+    }
+
+    // The flash sale running at this hand: { discounts: { type: share }, handsLeft }
+    static getSale(seed, handNumber) {
+        const index = Math.floor(Math.max(handNumber, 0) / FLASH_SALE.hands);
+        const rng = new SeededRandom(`${seed}:sale:${index}`);
+
+        const stocked = ChipShop.getItems().filter(item => item.price !== null);
+        rng.shuffle(stocked);
+
+        const discounts = {};
+        for (const item of stocked.slice(0, FLASH_SALE.chips)) {
+            discounts[item.type] = rng.pick(FLASH_SALE.discounts);
+        }
+        return { discounts, handsLeft: (index + 1) * FLASH_SALE.hands - handNumber };
+    }
+
+    static getBulkDiscount(quantity) {
+        const tier = BULK_DISCOUNTS.find(tier => quantity >= tier.quantity);
+        return tier ? tier.discount : 0;
+    }
+
+    /**
+     * Total for quantity chips of a type, with the sale and bulk discounts
+     * applied one after the other. Null when the chip is not stocked or the
+     * quantity is not a whole number of chips.
+     */
+    static getPrice(type, quantity = 1, sale = null) {
+        const item = ChipShop.getItem(type);
+        if (!item || item.price === null || !Number.isInteger(quantity) || quantity < 1) {
+            return null;
+        }
+
+        const saleDiscount = sale ? sale.discounts[type] || 0 : 0;
+        const unitPrice = item.price * (1 - saleDiscount);
+        return Math.round(unitPrice * quantity * (1 - ChipShop.getBulkDiscount(quantity)));
+    }
+}
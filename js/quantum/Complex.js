@@ -0,0 +1,39 @@
+// Helpers for complex amplitudes stored as plain { real, imag } objects
+export class Complex {
+    static create(real = 0, imag = 0) {
+        return { real, imag };
+    }
+
+    // Complex number with the given magnitude and angle
+    static fromPolar(magnitude, angle) {
+        return { real: magnitude * Math.cos(angle), imag: magnitude * Math.sin(angle) };
+    }
+
+    static add(a, b) {
+        return { real: a.real + b.real, imag: a.imag + b.imag };
+    }
+
+    static multiply(a, b) {
+        return {
+            real: a.real * b.real - a.imag * b.imag,
+            imag: a.real * b.imag + a.imag * b.real
+        };
+    }
+
+    static scale(a, factor) {
+        return { real: a.real * factor, imag: a.imag * factor };
+    }
+
+    static conjugate(a) {
+        return { real: a.real, imag: -a.imag };
+    }
+
+    // |a|^2 - the Born-rule probability of an amplitude
+    static magnitudeSquared(a) {
+        return a.real * a.real + a.imag * a.imag;
+    }
+
+    static arg(a) {
+        return Math.atan2(a.imag, a.real);
+    }
+}
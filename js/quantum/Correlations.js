@@ -0,0 +1,49 @@
+// Suit color of a basis state
+const color = state => (state.suit === 'hearts' || state.suit === 'diamonds') ? 'red' : 'black';
+
+// Rank value for correlations: ace counts 1, face cards 10
+const rank = state => Math.min(state.value, 10);
+
+/**
+ * Correlations the Entanglement chip can impose. Entangling projects the
+ * cards' joint state onto the branches where `test(states)` holds, so with two
+ * evenly superposed cards "same color" leaves (|red,red> + |black,black>)/√2
+ * and "opposite color" leaves (|red,black> + |black,red>)/√2.
+ *
+ * `pairOnly` correlations only make sense between two cards, so they are not
+ * offered for GHZ groups.
+ */
+export const Correlations = {
+    sameColor: {
+        key: 'sameColor',
+        label: 'Same Color',
+        bellState: 'Φ⁺ Bell state (|red,red⟩ + |black,black⟩)/√2',
+        explanation: 'They will always collapse to the same suit color.',
+        pairOnly: false,
+        test: states => states.every(state => color(state) === color(states[0]))
+    },
+    oppositeColor: {
+        key: 'oppositeColor',
+        label: 'Opposite Color',
+        bellState: 'Ψ⁺ Bell state (|red,black⟩ + |black,red⟩)/√2',
+        explanation: 'They are anti-correlated: one will be red and the other black.',
+        pairOnly: true,
+        test: ([a, b]) => color(a) !== color(b)
+    },
+    sameParity: {
+        key: 'sameParity',
+        label: 'Same Rank Parity',
+        bellState: 'Φ⁺ Bell state on rank parity (|even,even⟩ + |odd,odd⟩)/√2',
+        explanation: 'Their ranks will both be odd or both be even.',
+        pairOnly: false,
+        test: states => states.every(state => rank(state) % 2 === rank(states[0]) % 2)
+    },
+    sumToTen: {
+        key: 'sumToTen',
+        label: 'Sum to 10',
+        bellState: 'anti-correlated rank state: every branch has ranks summing to 10',
+        explanation: 'Whatever one card turns out to be, the other makes the pair sum to 10 (aces count 1).',
+        pairOnly: true,
+        test: ([a, b]) => rank(a) + rank(b) === 10
+    }
+};
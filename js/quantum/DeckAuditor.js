@@ -0,0 +1,57 @@
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+
+// Identity of a physical card
+const cardKey = state => `${state.value} of ${state.suit}`;
+
+/**
+ * Checks that the shoe and the table together hold every physical card
+ * exactly once. A superposed card holds one physical card per branch: its
+ * alternatives were taken out of the deck and return there when their branch
+ * is ruled out, so a duplicate means a state was invented or returned twice.
+ */
+export class DeckAuditor {
+    /**
+     * Count every physical card in the deck and in the branches of the table
+     * cards. Returns the cards present too often and those missing.
+     */
+    static audit(deck, tableCards, decks = 1) {
+        const counts = new Map();
+        const count = state => counts.set(cardKey(state), (counts.get(cardKey(state)) || 0) + 1);
+
+        deck.forEach(count);
+        for (const card of tableCards) {
+            card.superpositionStates.forEach(count);
+        }
+
+        const duplicates = [];
+        const missing = [];
+        for (const suit of SUITS) {
+            for (const value of VALUES) {
+                const key = cardKey({ value, suit });
+                const found = counts.get(key) || 0;
+                if (found > decks) {
+                    duplicates.push(key);
+                } else if (found < decks) {
+                    missing.push(key);
+                }
+                counts.delete(key);
+            }
+        }
+
+        // Anything left over is not a card at all
+        duplicates.push(...counts.keys());
+
+        return { duplicates, missing };
+    }
+
+    /**
+     * Throw if any physical card exists twice or has gone missing
+     */
+    static assertIntegrity(deck, tableCards, decks = 1) {
+        const { duplicates, missing } = DeckAuditor.audit(deck, tableCards, decks);
+        if (duplicates.length > 0 || missing.length > 0) {
+            throw new Error(`Deck integrity violated - duplicated: [${duplicates.join(', ')}], missing: [${missing.join(', ')}]`);
+        }
+    }
+}
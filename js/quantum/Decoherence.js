@@ -0,0 +1,47 @@
+// Default decoherence tuning. Each event takes this much coherence from every
+// superposed card on the table; at the threshold a card collapses on its own.
+export const DEFAULT_DECOHERENCE = {
+    enabled: true,
+    cardDealt: 0.05,        // Any card dealt to anyone
+    hit: 0.1,               // The player draws (on top of the card being dealt)
+    turn: 0.15,             // A turn or betting round passes
+    collapseThreshold: 0.1  // Coherence at or below which a card collapses spontaneously
+};
+
+/**
+ * Decoherence: the table's environment slowly "measures" superposed cards.
+ *
+ * Every event lowers the coherence of each superposed card and scrambles its
+ * phases by an amount that grows as coherence falls, so interference fades
+ * toward a classical mixture. Once coherence reaches the collapse threshold the
+ * card is measured by the Born rule, exactly as a Schrödinger chip would.
+ */
+export class DecoherenceModel {
+    constructor(settings = {}) {
+        this.setSettings(settings);
+    }
+
+    setSettings(settings = {}) {
+        this.settings = { ...DEFAULT_DECOHERENCE, ...settings };
+    }
+
+    /**
+     * Apply one event ('cardDealt', 'hit' or 'turn') to the given cards.
+     * Returns the cards that collapsed spontaneously.
+     */
+    apply(cards, event) {
+        const amount = this.settings[event] || 0;
+        if (!this.settings.enabled || amount <= 0) {
+            return [];
+        }
+
+        const collapsed = [];
+        for (const card of cards) {
+            // A partner's collapse may already have settled this card
+            if (card.isInSuperposition && card.decohere(amount, this.settings.collapseThreshold)) {
+                collapsed.push(card);
+            }
+        }
+        return collapsed;
+    }
+}
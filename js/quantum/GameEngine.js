@@ -0,0 +1,990 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { QuantumCard } from './QuantumCard.js';
+import { TexasHoldEm } from './TexasHoldEm.js';
+import { BlackjackGame } from './BlackjackGame.js';
+import { GateRegistry } from './QuantumGates.js';
+import { DecoherenceModel } from './Decoherence.js';
+import { Correlations } from './Correlations.js';
+import { BLACKJACK_RULESETS, DEFAULT_RULESET } from './BlackjackRules.js';
+import { ChipShop } from './ChipShop.js';
+import { STARTING_MONEY, createStartingChips, createStats } from '../utils/ProfileStore.js';
+
+// Version of the toJSON() save format; bump it when the shape changes
+export const SAVE_VERSION = 3;
+
+// Game states
+export const GameState = {
+    IDLE: 'idle',
+    BETTING: 'betting',
+    INSURANCE: 'insurance',
+    EARLY_SURRENDER: 'earlySurrender',
+    PLAYER_TURN: 'playerTurn',
+    DEALER_TURN: 'dealerTurn',
+    RESOLVING: 'resolving',
+    GAME_OVER: 'gameOver',
+    WAITING: 'waiting',
+    PLAYING: 'playing',
+    INITIALIZING: 'initializing'
+};
+
+/**
+ * The game without a screen: seeds, decoherence, the chip economy and every
+ * quantum chip rule, driving BlackjackGame and TexasHoldEm. It imports
+ * nothing from Three.js or the DOM, so it runs in Node for tests and
+ * simulations. GameManager extends it with the scene, sound and UI.
+ * toJSON()/fromJSON() save and resume a whole session mid-hand;
+ * loadProfile()/getProfileData() carry the bankroll between sessions.
+ *
+ * Besides its games' own events it emits
+ *   'status'          (message) for the player
+ *   'stateChanged'    () hands, chips or quantum state changed
+ *   'seedChanged'     (seed, handNumber)
+ *   'gateApplied'     (card, gate)
+ *   'cardMeasured'    (card)
+ *   'cardsEntangled'  (cards, correlation)
+ *   'decoherence'     (collapsedCards)
+ *   'statsChanged'    (stats) after a hand is won, lost or tied
+ *   'profileLoaded'   (name)
+ *   'rulesetChanged'  (key, ruleset) a ruleset preset now governs the blackjack table
+ *   'moneyChanged', 'chipsChanged', 'notification' from the chip shop
+ */
+export class GameEngine extends EventEmitter {
+    constructor() {
+        super();
+        this.gameType = null;
+        this.gameState = null;
+        this.selectedCard = null;
+        this.entanglementChip = null;       // 'entanglement' or 'ghz' while picking cards to link
+        this.entanglementSelection = [];
+        this.entanglementCorrelation = 'sameColor';
+        
+        // Seeded RNG shared by every shuffle, superposition and measurement.
+        // Each hand is reseeded from the session seed and the hand number so
+        // any hand can be replayed from "?seed=<seed>&hand=<n>".
+        this.rng = new SeededRandom();
+        this.seed = this.rng.getSeed();
+        this.handNumber = 0;
+        this.shoeNumber = 0;                // Blackjack shoes shuffled under this seed, each from its own stream
+        
+        // Superposed cards lose coherence as play goes on
+        this.decoherence = new DecoherenceModel();
+        
+        // Bankroll, quantum chip inventory and lifetime statistics; a player
+        // profile replaces the starting values (see loadProfile)
+        this.profileName = null;
+        this.money = STARTING_MONEY;
+        this.chips = createStartingChips();
+        this.stats = createStats();
+        this.roundChips = {};               // Chips played on the hand in progress, by type
+        this.roundChipCount = 0;            // Every chip played on the hand, stocked or paid for
+        this.roundChipPayments = {};        // Money paid for chips played on the hand, by type
+        
+        // Initialize game instances
+        this.blackjackGame = new BlackjackGame(this);
+        this.pokerGame = new TexasHoldEm(this);
+        
+        // The games' messages reach the player the same way as the engine's
+        for (const game of [this.blackjackGame, this.pokerGame]) {
+            game.on('status', message => this.showStatus(message));
+            game.on('gameOver', winner => this.recordResult(winner));
+        }
+        
+        // Rules preset the blackjack table plays under (see BLACKJACK_RULESETS);
+        // none until a profile picks one, leaving DEFAULT_BLACKJACK_RULES
+        this.rulesetKey = null;
+        // The profile's choice, for new tables; a resumed table keeps its own
+        this.profileRuleset = null;
+        
+        this.blackjackGame.on('surrendered', (hand, { unresolved }) => {
+            if (unresolved && this.blackjackGame.rules.surrenderRefundsChips) {
+                this.refundRoundChips();
+            }
+        });
+    }
+
+    // Choose the game to play and set up its table state. Refused while a
+    // blackjack hand holds a stake, which starting over would drop.
+    setGameType(type) {
+        if (type !== 'blackjack' && type !== 'poker') {
+            console.error(`Invalid game type: ${type}`);
+            return false;
+        }
+        
+        if (this.hasHandInPlay()) {
+            this.emit('notification', 'Finish the hand in play first.');
+            return false;
+        }
+        
+        this.gameType = type;
+        if (type === 'blackjack') {
+            // A fresh table plays the profile's ruleset, even after a resumed one
+            if (this.profileRuleset && this.rulesetKey !== this.profileRuleset) {
+                this.setRuleset(this.profileRuleset);
+            }
+            this.blackjackGame.initialize();
+        } else {
+            this.pokerGame.initialize();
+        }
+        this.gameState = GameState.BETTING;
+        
+        return true;
+    }
+
+    // Start the next round: blackjack takes bets first, poker deals at once.
+    // Only between hands, so a stake on the table is always settled.
+    async newRound() {
+        if (!this.isBetweenHands()) {
+            this.emit('notification', 'Finish the hand in play first.');
+            return false;
+        }
+        
+        if (this.gameType === 'blackjack') {
+            this.openBetting();
+        } else {
+            await this.startNewGame();
+        }
+        return true;
+    }
+
+    // Clear the table and take bets for the next blackjack hand
+    openBetting() {
+        this.clearTable();
+        this.blackjackGame.openBetting();
+        this.emit('stateChanged');
+    }
+
+    // Put a chip of this denomination (see BET_CHIPS) in the bet circle. The
+    // first chip after a hand clears the table for the next one.
+    placeBet(amount) {
+        if (this.gameType !== 'blackjack') return false;
+        
+        if (this.blackjackGame.gameState === GameState.GAME_OVER) {
+            this.openBetting();
+        }
+        return this.blackjackGame.addToWager(amount);
+    }
+
+    clearBet() {
+        return this.gameType === 'blackjack' && this.blackjackGame.clearWager();
+    }
+
+    // Bet the last hand's opening bet again; doubleRebet() bets twice as much
+    rebet(multiplier = 1) {
+        if (this.gameType !== 'blackjack') return false;
+        
+        if (this.blackjackGame.gameState === GameState.GAME_OVER) {
+            this.openBetting();
+        }
+        return this.blackjackGame.rebet(multiplier);
+    }
+
+    doubleRebet() {
+        return this.rebet(2);
+    }
+
+    // Deal a new hand; resolves once the opening cards are on the table.
+    // Blackjack deals only once the bet circle holds at least the table minimum.
+    async startNewGame() {
+        console.log("Starting new game");
+        
+        if (this.gameType === 'blackjack') {
+            const restriction = this.blackjackGame.getDealRestriction();
+            if (restriction) {
+                this.showStatus(restriction);
+                return false;
+            }
+        }
+        
+        // Clear the table
+        this.clearTable();
+        
+        // Reseed so this hand can be reproduced from its seed and number
+        this.handNumber++;
+        this.rng.setSeed(this.getHandSeed());
+        
+        // Reset game-specific state
+        if (this.gameType === 'blackjack') {
+            await this.blackjackGame.startNewGame();
+        } else if (this.gameType === 'poker') {
+            this.pokerGame.reset();
+            this.pokerGame.createDeck();
+            this.pokerGame.shuffleDeck();
+            await this.pokerGame.dealInitialCards();
+        }
+        
+        this.emit('stateChanged');
+        return true;
+    }
+
+    // Blackjack controls
+    async playerHit() {
+        console.log("Player hit");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerHit();
+        }
+    }
+
+    async playerStand() {
+        console.log("Player stand");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerStand();
+        }
+    }
+
+    async playerDouble() {
+        console.log("Player double");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerDouble();
+        }
+    }
+
+    async playerSplit() {
+        console.log("Player split");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerSplit();
+        }
+    }
+
+    async playerInsurance() {
+        console.log("Player insurance");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerInsurance();
+        }
+    }
+
+    async playerEvenMoney() {
+        console.log("Player even money");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerEvenMoney();
+        }
+    }
+
+    async declineInsurance() {
+        console.log("Player declines insurance");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.declineInsurance();
+        }
+    }
+
+    playerSurrender() {
+        console.log("Player surrender");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            this.blackjackGame.playerSurrender();
+        }
+    }
+
+    async declineSurrender() {
+        console.log("Player plays on");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.declineSurrender();
+        }
+    }
+
+    // Split the selected (or first eligible) two-branch card into two hands
+    async playerQuantumSplit(card = this.selectedCard) {
+        console.log("Player quantum split");
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            await this.blackjackGame.playerQuantumSplit(card);
+        }
+    }
+
+    // Quantum mechanics
+    isPlayerTurn() {
+        if (this.gameType === 'blackjack') {
+            return this.blackjackGame.gameState === GameState.PLAYER_TURN;
+        } else if (this.gameType === 'poker') {
+            return ['pre-flop', 'flop', 'turn', 'river'].includes(this.pokerGame.gameState);
+        }
+        return false;
+    }
+
+    // Cards the player may target with quantum chips
+    isSelectableCard(card) {
+        if (this.gameType === 'blackjack') {
+            return this.blackjackGame.isPlayableCard(card);
+        } else if (this.gameType === 'poker') {
+            return this.pokerGame.playerHand.includes(card) || this.pokerGame.communityCards.includes(card);
+        }
+        return false;
+    }
+
+    // Check that a quantum chip can be spent on a card right now. Chips paid
+    // for on each use pass their cost instead of drawing from the inventory.
+    canUseChip(type, card, cost = null) {
+        if (!this.isPlayerTurn()) {
+            this.showStatus("Quantum chips can only be used on your turn");
+            return false;
+        }
+        
+        if (!card) {
+            this.showStatus("Select a card first");
+            return false;
+        }
+        
+        // The table's ruleset may cap the chips played on one hand
+        const limit = this.gameType === 'blackjack' ? this.blackjackGame.rules.maxChipsPerHand : null;
+        if (limit !== null && this.roundChipCount >= limit) {
+            this.showStatus(`House rules: at most ${limit} quantum chip${limit === 1 ? '' : 's'} per hand`);
+            return false;
+        }
+        
+        if (cost !== null) {
+            if (this.money < cost) {
+                this.showStatus(`Not enough money: this costs ${cost}`);
+                return false;
+            }
+            return true;
+        }
+        
+        if (!this.chips[type]) {
+            this.showStatus(`No ${type} chips left`);
+            return false;
+        }
+        
+        return true;
+    }
+
+    showStatus(message) {
+        this.emit('status', message);
+    }
+
+    // Refresh hand values after a card's quantum state changed
+    refreshHandValues() {
+        this.auditDeck();
+        if (this.gameType === 'blackjack') {
+            this.blackjackGame.updateHandValues();
+            this.blackjackGame.updateControls();
+        }
+        this.emit('stateChanged');
+    }
+
+    // Superposition moves cards between the deck and the table's branches;
+    // check that no physical card was duplicated or lost (see DeckAuditor)
+    auditDeck() {
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            this.blackjackGame.auditDeck();
+        } else if (this.gameType === 'poker' && this.pokerGame) {
+            this.pokerGame.auditDeck();
+        }
+    }
+
+    applySuperposition(card = this.selectedCard) {
+        return this.applyGateChip('H', card);
+    }
+
+    // Play any registered gate chip (see GateRegistry) on a card. Parameterized
+    // chips such as Ry take the player's chosen setting and are paid for on use.
+    applyGateChip(gateName, card = this.selectedCard, parameterValue = undefined) {
+        const gate = GateRegistry.get(gateName);
+        if (!gate) {
+            console.error(`Unknown gate: ${gateName}`);
+            return false;
+        }
+        
+        const cost = gate.parameter ? GateRegistry.getPrice(gate, parameterValue) : null;
+        if (!this.canUseChip(gate.chipType, card, cost)) return false;
+        
+        if (gate.requiresSuperposition && !card.isInSuperposition) {
+            this.showStatus(`The ${gate.name} gate only affects cards in superposition. Apply Hadamard first.`);
+            return false;
+        }
+        
+        const wasInSuperposition = card.isInSuperposition;
+        const previousStateCount = card.superpositionStates.length;
+        if (!card.applyGate(GateRegistry.getMatrix(gate, parameterValue))) {
+            this.showStatus("No cards left in the deck for this card to superpose with. Your chip was not used.");
+            return false;
+        }
+        
+        this.spendChip(gate.chipType, cost);
+        
+        this.emit('gateApplied', card, gate);
+        
+        const stateCount = card.superpositionStates.length;
+        if (gate.parameter && card.isInSuperposition) {
+            const tilt = Math.round(card.register.getProbabilities(card)[1] * 100);
+            this.showStatus(`Card tilted: ${tilt}% chance of the alternative state. Paid ${cost}.`);
+        } else if (!wasInSuperposition && stateCount === 2) {
+            this.showStatus("Card is now in superposition! It exists in both states until measured.");
+        } else if (stateCount > Math.max(previousStateCount, 2)) {
+            this.showStatus(`Card is now spread over ${stateCount} states! It exists in all of them until measured.`);
+        } else if (!card.isInSuperposition) {
+            this.showStatus(`The branches interfered completely, leaving ${card.toString()}.`);
+        } else if (gate.name === 'H') {
+            this.showStatus("The branches interfered - their probabilities now depend on the card's phase.");
+        } else {
+            const degrees = Math.round(card.phase * 180 / Math.PI);
+            this.showStatus(`${gate.name} gate applied to ${card.toString()}. Relative phase is now ${degrees}°.`);
+        }
+        
+        this.refreshHandValues();
+        return true;
+    }
+
+    measureCard(card = this.selectedCard) {
+        if (!this.canUseChip('schrodinger', card)) return false;
+        
+        if (!card.isInSuperposition) {
+            this.showStatus("Card is not in superposition. Cannot collapse a definite state.");
+            return false;
+        }
+        
+        card.measure();
+        this.spendChip('schrodinger');
+        
+        this.emit('cardMeasured', card);
+        
+        this.showStatus(`Card collapsed to ${card.toString()}! Measurement forces a definite state.`);
+        
+        this.refreshHandValues();
+        return true;
+    }
+
+    // Partially measure the dealer's superposed hole card: only its color is
+    // observed, and it stays superposed among the branches of that color
+    measureHoleCardColor() {
+        const holeCard = this.gameType === 'blackjack' ? this.blackjackGame.getHoleCard() : null;
+        if (!holeCard || !holeCard.isInSuperposition) {
+            this.showStatus("The Color Filter needs the dealer's hole card in superposition");
+            return false;
+        }
+        if (!this.canUseChip('colorFilter', holeCard)) return false;
+        
+        const color = holeCard.measureProperty(state => holeCard.getSuitColor(state.suit));
+        this.spendChip('colorFilter');
+        
+        this.emit('cardMeasured', holeCard);
+        
+        const branches = holeCard.superpositionStates.length;
+        this.showStatus(holeCard.isInSuperposition
+            ? `The hole card is ${color}. It is still undecided between its ${branches} ${color} branches.`
+            : `The hole card is ${color}, and only one of its branches was: it is now definite, though still face down.`);
+        
+        this.refreshHandValues();
+        return true;
+    }
+
+    // Start linking cards with an Entanglement (pair) or GHZ (group) chip,
+    // beginning with the selected card. Pressing GHZ again links the group.
+    // The correlation is one of the keys of Correlations.
+    startEntanglement(chipType = 'entanglement', correlationKey = 'sameColor') {
+        if (this.entanglementChip) {
+            if (this.entanglementChip === 'ghz' && chipType === 'ghz') {
+                return this.completeEntanglement();
+            }
+            return this.cancelEntanglement();
+        }
+        
+        const card = this.selectedCard;
+        if (!this.canUseChip(chipType, card)) return false;
+        
+        if (!card.isInSuperposition) {
+            this.showStatus("Only cards in superposition can be entangled. Apply Hadamard first.");
+            return false;
+        }
+        
+        if (card.isEntangled) {
+            this.showStatus("That card is already entangled.");
+            return false;
+        }
+        
+        const correlation = Correlations[correlationKey];
+        if (!correlation) {
+            console.error(`Unknown correlation: ${correlationKey}`);
+            return false;
+        }
+        
+        if (chipType === 'ghz' && correlation.pairOnly) {
+            this.showStatus(`${correlation.label} links exactly two cards. Choose Same Color or Same Rank Parity for a GHZ group.`);
+            return false;
+        }
+        
+        this.entanglementChip = chipType;
+        this.entanglementSelection = [card];
+        this.entanglementCorrelation = correlationKey;
+        
+        if (chipType === 'ghz') {
+            this.showStatus(`GHZ (${correlation.label}): select two or more other superposed cards, then press GHZ again to link the group.`);
+        } else {
+            this.showStatus(`Entangle (${correlation.label}): select another superposed card to link with this one.`);
+        }
+        return true;
+    }
+
+    // Add a clicked card to the entanglement being set up
+    addToEntanglement(card) {
+        if (this.entanglementSelection.includes(card)) {
+            this.showStatus("That card is already part of this entanglement.");
+            return false;
+        }
+        
+        if (!card.isInSuperposition || card.isEntangled) {
+            this.showStatus("Only unentangled cards in superposition can be linked.");
+            return false;
+        }
+        
+        this.entanglementSelection.push(card);
+        
+        if (this.entanglementChip === 'entanglement') {
+            return this.completeEntanglement();
+        }
+        
+        this.showStatus(`GHZ group: ${this.entanglementSelection.length} cards selected. Press GHZ again to link them.`);
+        return true;
+    }
+
+    completeEntanglement() {
+        const cards = this.entanglementSelection;
+        const chipType = this.entanglementChip;
+        
+        if (chipType === 'ghz' && cards.length < 3) {
+            this.showStatus(`A GHZ group needs at least 3 cards (${cards.length} selected).`);
+            return false;
+        }
+        
+        this.entanglementChip = null;
+        this.entanglementSelection = [];
+        
+        const correlation = Correlations[this.entanglementCorrelation];
+        if (!QuantumCard.entangleGroup(cards, correlation.key)) {
+            this.showStatus(`None of these cards' branches fit "${correlation.label}", so they cannot be entangled. Your chip was not used.`);
+            return false;
+        }
+        
+        this.spendChip(chipType);
+        
+        this.emit('cardsEntangled', cards, correlation);
+        
+        if (chipType === 'ghz') {
+            this.showStatus(`GHZ state created (${correlation.label})! ${correlation.explanation} Measure one and the whole group of ${cards.length} follows.`);
+        } else {
+            this.showStatus(`Cards are now entangled in a ${correlation.bellState}. ${correlation.explanation}`);
+        }
+        
+        this.refreshHandValues();
+        return true;
+    }
+
+    cancelEntanglement() {
+        if (!this.entanglementChip) return false;
+        
+        this.entanglementChip = null;
+        this.entanglementSelection = [];
+        this.showStatus("Entanglement cancelled.");
+        return true;
+    }
+
+    // A blackjack card by the hand it is in, for aiming quantum chips at a split hand
+    getPlayerCard(handIndex, cardIndex) {
+        const hand = this.blackjackGame.playerHands[handIndex];
+        return hand ? hand.cards[cardIndex] || null : null;
+    }
+
+    // Every card currently on the table
+    getTableCards() {
+        if (this.gameType === 'blackjack' && this.blackjackGame) {
+            return [...this.blackjackGame.getPlayerCards(), ...this.blackjackGame.dealerHand];
+        } else if (this.gameType === 'poker' && this.pokerGame) {
+            return [...this.pokerGame.playerHand, ...this.pokerGame.dealerHand, ...this.pokerGame.communityCards];
+        }
+        return [];
+    }
+
+    countSuperposedCards() {
+        return this.getTableCards().filter(card => card.isInSuperposition).length;
+    }
+
+    countEntangledCards() {
+        return this.getTableCards().filter(card => card.isEntangled).length;
+    }
+
+    // Let superposed cards decohere after a game event ('cardDealt', 'hit' or 'turn')
+    applyDecoherence(event) {
+        const collapsed = this.decoherence.apply(this.getTableCards(), event);
+        if (collapsed.length === 0) return;
+        
+        this.emit('decoherence', collapsed);
+        
+        const names = collapsed.map(card => card.toString()).join(', ');
+        this.showStatus(`Decoherence! The environment collapsed ${names}. Superpositions are fragile - use them quickly.`);
+        
+        this.refreshHandValues();
+    }
+
+    // Tune how quickly cards decohere (see DEFAULT_DECOHERENCE)
+    setDecoherenceSettings(settings) {
+        this.decoherence.setSettings(settings);
+    }
+
+    // Change the blackjack table rules (see DEFAULT_BLACKJACK_RULES)
+    setBlackjackRules(rules) {
+        this.blackjackGame.setRules(rules);
+    }
+
+    // Play under a named ruleset: its table rules and its decoherence tuning
+    setRuleset(key) {
+        const ruleset = BLACKJACK_RULESETS[key];
+        if (!ruleset) {
+            console.error(`Unknown ruleset: ${key}`);
+            return false;
+        }
+        
+        this.rulesetKey = key;
+        this.setBlackjackRules(ruleset.rules);
+        this.setDecoherenceSettings(ruleset.decoherence);
+        
+        this.emit('rulesetChanged', key, ruleset);
+        return true;
+    }
+
+    // Set the session seed, the number of the next hand to deal and the
+    // number of the next blackjack shoe to shuffle for it
+    setSeed(seed, firstHand = 1, firstShoe = 1) {
+        this.seed = String(seed);
+        this.handNumber = firstHand - 1;
+        this.shoeNumber = firstShoe - 1;
+        this.rng.setSeed(this.getHandSeed());
+        
+        // A new seed starts a new shoe
+        this.blackjackGame.cutCardReached = true;
+        
+        this.emit('seedChanged', this.seed, this.handNumber);
+    }
+
+    getHandSeed() {
+        return `${this.seed}:${this.handNumber}`;
+    }
+
+    // The blackjack shoe in play is shuffled from its own stream rather than
+    // its first hand's, so "?seed=<seed>&hand=<n>&shoe=<k>" rebuilds it from
+    // its start whatever was played before it
+    getShoeSeed() {
+        return `${this.seed}:shoe:${this.shoeNumber}`;
+    }
+
+    // Seed details for replaying the shoe in play, or null outside blackjack
+    getShoeReplay() {
+        if (this.gameType !== 'blackjack' || this.shoeNumber === 0) {
+            return null;
+        }
+        return { shoe: this.shoeNumber, firstHand: this.blackjackGame.shoeFirstHand };
+    }
+
+    // The chip shop opens between hands, and before a game is chosen
+    isBetweenHands() {
+        if (this.gameType === 'blackjack') {
+            return [GameState.BETTING, GameState.GAME_OVER].includes(this.blackjackGame.gameState);
+        } else if (this.gameType === 'poker') {
+            return ['betting', 'gameOver'].includes(this.pokerGame.gameState);
+        }
+        return true;
+    }
+
+    // A blackjack hand has been dealt and not yet settled. The table keeps it
+    // when the menu is opened, until it is resumed.
+    hasHandInPlay() {
+        return ![GameState.BETTING, GameState.GAME_OVER].includes(this.blackjackGame.gameState);
+    }
+
+    // The chip shop's flash sale for the coming hand (see ChipShop.getSale)
+    getShopSale() {
+        return ChipShop.getSale(this.seed, this.handNumber + 1);
+    }
+
+    // Buy chips at the shop's price, with any sale and bulk discount
+    buyChip(type, quantity = 1) {
+        if (!this.isBetweenHands()) {
+            this.emit('notification', 'The chip shop opens between hands.');
+            return false;
+        }
+        
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            this.emit('notification', 'Chips are sold one or more at a time.');
+            return false;
+        }
+        
+        const price = ChipShop.getPrice(type, quantity, this.getShopSale());
+        if (price === null) {
+            this.emit('notification', `The shop doesn't sell ${type} chips.`);
+            return false;
+        }
+        
+        if (this.money >= price) {
+            this.money -= price;
+            this.chips[type] = (this.chips[type] || 0) + quantity;
+            
+            this.emit('moneyChanged', this.money);
+            this.emit('chipsChanged', this.chips);
+            this.emit('notification', `Purchased ${quantity} ${ChipShop.getItem(type).label} chip${quantity === 1 ? '' : 's'} for ${price}!`);
+            
+            return true;
+        } else {
+            this.emit('notification', quantity === 1
+                ? `Not enough money: this chip costs ${price}.`
+                : `Not enough money: ${quantity} of these chips cost ${price}.`);
+            return false;
+        }
+    }
+
+    // Take a chip from the inventory for the hand in progress, or pay its
+    // cost for chips paid for on each use
+    spendChip(type, cost = null) {
+        if (cost !== null) {
+            this.money -= cost;
+            this.roundChipPayments[type] = (this.roundChipPayments[type] || 0) + cost;
+            this.emit('moneyChanged', this.money);
+        } else {
+            this.chips[type]--;
+        }
+        this.roundChips[type] = (this.roundChips[type] || 0) + 1;
+        this.roundChipCount++;
+        this.stats.chipsUsed++;
+    }
+
+    // A hand surrendered while still superposed or entangled was never
+    // observed, so half the chips played on it (rounded down) come back.
+    // Chips paid for on use refund their share of what was paid.
+    refundRoundChips() {
+        const refunded = [];
+        for (const [type, count] of Object.entries(this.roundChips)) {
+            const refund = Math.floor(count / 2);
+            const paid = this.roundChipPayments[type];
+            if (refund > 0 && paid) {
+                const amount = Math.floor(paid * refund / count);
+                this.money += amount;
+                refunded.push(`${amount} for ${refund} ${type}`);
+            } else if (refund > 0) {
+                this.chips[type] = (this.chips[type] || 0) + refund;
+                refunded.push(`${refund} ${type}`);
+            }
+        }
+        this.roundChips = {};
+        this.roundChipPayments = {};
+        
+        if (refunded.length > 0) {
+            this.emit('moneyChanged', this.money);
+            this.emit('chipsChanged', this.chips);
+            this.showStatus(`Your hand was never observed - chips refunded: ${refunded.join(', ')}.`);
+        }
+    }
+
+    // Count a finished hand in the lifetime statistics
+    recordResult(winner) {
+        const record = this.stats[this.gameType];
+        if (!record) return;
+        
+        record.played++;
+        if (winner === 'player') {
+            record.won++;
+        } else if (winner === 'dealer' || winner === 'surrender') {
+            record.lost++;
+        } else {
+            record.tied++;
+        }
+        
+        this.emit('statsChanged', this.stats);
+    }
+
+    // Play as a stored profile (see ProfileStore): its bankroll, chips,
+    // statistics and decoherence settings replace the current ones
+    loadProfile(profile) {
+        const stats = createStats();
+        for (const game of ['blackjack', 'poker']) {
+            stats[game] = { ...stats[game], ...(profile.stats || {})[game] };
+        }
+        stats.chipsUsed = (profile.stats || {}).chipsUsed || 0;
+        
+        // A hand left on the table belongs to the last profile's saved session
+        this.blackjackGame.reset();
+        
+        this.profileName = profile.name;
+        this.money = profile.money;
+        this.chips = { ...createStartingChips(), ...profile.chips };
+        this.stats = stats;
+        
+        // The ruleset brings its decoherence tuning; the profile's own tuning wins
+        const settings = profile.settings || {};
+        const rulesetKey = BLACKJACK_RULESETS[settings.ruleset] ? settings.ruleset : DEFAULT_RULESET;
+        this.setRuleset(rulesetKey);
+        this.profileRuleset = rulesetKey;
+        this.decoherence.setSettings({ ...BLACKJACK_RULESETS[rulesetKey].decoherence, ...settings.decoherence });
+        
+        this.emit('profileLoaded', this.profileName);
+        this.emit('moneyChanged', this.money);
+        this.emit('chipsChanged', this.chips);
+        this.emit('statsChanged', this.stats);
+    }
+
+    // The part of the session a profile keeps between visits
+    getProfileData() {
+        return {
+            money: this.money,
+            chips: { ...this.chips },
+            stats: JSON.parse(JSON.stringify(this.stats)),
+            settings: {
+                decoherence: { ...this.decoherence.settings },
+                ruleset: this.profileRuleset
+            }
+        };
+    }
+
+    // The game being played, if any
+    getActiveGame() {
+        if (this.gameType === 'blackjack') return this.blackjackGame;
+        if (this.gameType === 'poker') return this.pokerGame;
+        return null;
+    }
+
+    /**
+     * Snapshot of the whole session: seed and RNG position, bankroll, chip
+     * inventory, decoherence tuning and the hand in progress
+     */
+    toJSON() {
+        const game = this.getActiveGame();
+        return {
+            version: SAVE_VERSION,
+            seed: this.seed,
+            handNumber: this.handNumber,
+            rngState: this.rng.state,
+            shoeNumber: this.shoeNumber,
+            money: this.money,
+            chips: { ...this.chips },
+            roundChips: { ...this.roundChips },
+            roundChipCount: this.roundChipCount,
+            roundChipPayments: { ...this.roundChipPayments },
+            ruleset: this.rulesetKey,
+            decoherence: { ...this.decoherence.settings },
+            gameType: this.gameType,
+            gameState: this.gameState,
+            game: game ? game.toJSON() : null
+        };
+    }
+
+    /**
+     * Resume a session saved with toJSON(). The RNG continues from the saved
+     * position, so the rest of the hand plays out exactly as it would have.
+     */
+    fromJSON(data) {
+        if (!data || data.version !== SAVE_VERSION) {
+            throw new Error(`Unsupported save version: ${data ? data.version : data}`);
+        }
+        
+        this.clearTable();
+        
+        this.seed = String(data.seed);
+        this.handNumber = data.handNumber;
+        this.rng.setSeed(this.getHandSeed());
+        this.rng.state = data.rngState;
+        this.shoeNumber = data.shoeNumber;
+        
+        this.money = data.money;
+        // Chips added since the session was saved start at their opening count
+        this.chips = { ...createStartingChips(), ...data.chips };
+        this.roundChips = { ...data.roundChips };
+        this.roundChipCount = data.roundChipCount || 0;
+        this.roundChipPayments = { ...data.roundChipPayments };
+        // The saved hand keeps the rules it was dealt under
+        this.rulesetKey = BLACKJACK_RULESETS[data.ruleset] ? data.ruleset : null;
+        this.decoherence.setSettings(data.decoherence);
+        
+        this.gameType = data.gameType;
+        this.gameState = data.gameState;
+        const game = this.getActiveGame();
+        if (game && data.game) {
+            game.fromJSON(data.game);
+        }
+        
+        this.emit('seedChanged', this.seed, this.handNumber);
+        this.emit('moneyChanged', this.money);
+        this.emit('chipsChanged', this.chips);
+        this.emit('stateChanged');
+    }
+
+    // Reset the active game's table state between hands
+    clearTable() {
+        if (this.gameType === 'blackjack') {
+            this.blackjackGame.clearHands();
+        } else if (this.gameType === 'poker') {
+            this.pokerGame.playerHand = [];
+            this.pokerGame.dealerHand = [];
+            this.pokerGame.communityCards = [];
+            this.pokerGame.playerCardCount = 0;
+            this.pokerGame.dealerCardCount = 0;
+            this.pokerGame.communityCardCount = 0;
+        }
+        
+        // Reset common state
+        this.roundChips = {};
+        this.roundChipCount = 0;
+        this.roundChipPayments = {};
+        this.selectedCard = null;
+        this.entanglementChip = null;
+        this.entanglementSelection = [];
+    }
+
+    // Poker controls
+    pokerPlaceBet(amount) {
+        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
+            return this.pokerGame.placeBet(amount);
+        }
+        return false;
+    }
+
+    pokerCall() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
+            return this.pokerGame.call();
+        }
+        return false;
+    }
+
+    pokerRaise(amount) {
+        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
+            return this.pokerGame.raise(amount);
+        }
+        return false;
+    }
+
+    pokerFold() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
+            return this.pokerGame.fold();
+        }
+        return false;
+    }
+
+    pokerDealFlop() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
+            this.pokerGame.dealFlop();
+            this.gameState = 'poker_flop';
+            return true;
+        }
+        return false;
+    }
+
+    pokerDealTurn() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_flop') {
+            this.pokerGame.dealTurn();
+            this.gameState = 'poker_turn';
+            return true;
+        }
+        return false;
+    }
+
+    pokerDealRiver() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_turn') {
+            this.pokerGame.dealRiver();
+            this.gameState = 'poker_river';
+            return true;
+        }
+        return false;
+    }
+
+    pokerShowdown() {
+        if (this.gameType === 'poker' && this.gameState === 'poker_river') {
+            const winner = this.pokerGame.determineWinner();
+            this.gameState = 'poker_showdown';
+            return winner;
+        }
+        return null;
+    }
+}
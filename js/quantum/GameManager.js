@@ -1,42 +1,49 @@
-import { EventEmitter } from '../utils/EventEmitter.js';
-import { QuantumCard } from './QuantumCard.js';
-import { CardState } from './CardState.js';
 import * as THREE from 'three';
-import { TexasHoldEm } from './TexasHoldEm.js';
-import { BlackjackGame } from './BlackjackGame.js';
+import { GameEngine, GameState, SAVE_VERSION } from './GameEngine.js';
 import { TutorialManager } from '../ui/TutorialManager.js';
-
-// Game states
-export const GameState = {
-    IDLE: 'idle',
-    BETTING: 'betting',
-    PLAYER_TURN: 'playerTurn',
-    DEALER_TURN: 'dealerTurn',
-    RESOLVING: 'resolving',
-    GAME_OVER: 'gameOver',
-    WAITING: 'waiting',
-    PLAYING: 'playing',
-    INITIALIZING: 'initializing'
+import { ProfileStore } from '../utils/ProfileStore.js';
+import { BLACKJACK_RULESETS, describeRules } from './BlackjackRules.js';
+
+// Where each hand's cards go on the table: first card position on the felt
+// (x across, z toward the player) and the spacing between cards
+const CARD_LAYOUT = {
+    blackjack: {
+        player: { x: -1.25, z: 2.5, spacing: 2.5 },
+        dealer: { x: -1.25, z: -2.5, spacing: 2.5 }
+    },
+    poker: {
+        player: { x: -3, z: 2, spacing: 2.5 },
+        dealer: { x: -3, z: -2, spacing: 2.5 },
+        community: { x: -6, z: 0, spacing: 3 }
+    }
 };
 
-export class GameManager extends EventEmitter {
+// How split hands fan out: distance between hand centres, card spacing
+// within a hand, how far the outer hands turn and curve back from the player
+const HAND_FAN = { width: 4.5, spacing: 0.9, angle: 0.15, curve: 0.3 };
+
+/**
+ * Browser front end of the GameEngine: renders the engine's and games'
+ * events with the SceneManager, SoundManager and UIManager, and turns mouse
+ * clicks and menu choices into engine calls.
+ */
+export class GameManager extends GameEngine {
     constructor() {
         super();
         this.sceneManager = null;
         this.assetLoader = null;
         this.uiManager = null;
-        this.gameType = null;
-        this.gameState = null;
-        this.selectedCard = null;
-        this.entanglementTarget = null;
         this.initialized = false;
         
-        // Initialize game instances
-        this.blackjackGame = new BlackjackGame(this);
-        this.pokerGame = new TexasHoldEm(this);
-        
         // Initialize tutorial manager
         this.tutorialManager = new TutorialManager(this);
+        
+        // Named player profiles in localStorage
+        this.profileStore = new ProfileStore();
+        
+        this.bindEngineEvents();
+        this.bindGameEvents(this.blackjackGame, CARD_LAYOUT.blackjack);
+        this.bindGameEvents(this.pokerGame, CARD_LAYOUT.poker);
     }
 
     initialize(sceneManager, assetLoader, uiManager) {
@@ -51,16 +58,17 @@ export class GameManager extends EventEmitter {
             // Initialize in idle state
             this.gameState = GameState.INITIALIZING;
             
-            // Set initial quantum chip counts
-            this.hadamardChips = 3;
-            this.schrodingerChips = 2;
-            this.entanglementChips = 2;
-            
             // Set up mouse events for card selection
             this.setupMouseEvents();
             
+            // Play as the profile used last time
+            this.applyProfile(this.profileStore.load());
+            
             // Set up menu buttons
-            this.setupMenuButtons();
+            this.uiManager.setupMenuButtons();
+            
+            // Closing the tab keeps the hand in progress
+            window.addEventListener('beforeunload', () => this.saveGame());
             
             // Mark as initialized
             this.initialized = true;
@@ -73,78 +81,213 @@ export class GameManager extends EventEmitter {
         }
     }
     
-    setupMenuButtons() {
-        // Create menu container if it doesn't exist
-        let menuContainer = document.querySelector('.game-menu');
-        if (!menuContainer) {
-            menuContainer = document.createElement('div');
-            menuContainer.className = 'game-menu';
-            menuContainer.style.position = 'absolute';
-            menuContainer.style.top = '10px';
-            menuContainer.style.right = '10px';
-            menuContainer.style.zIndex = '1000';
-            document.body.appendChild(menuContainer);
+    // Show the engine's messages and play its quantum sounds
+    bindEngineEvents() {
+        this.on('status', message => {
+            if (this.uiManager) {
+                this.uiManager.updateStatus(message);
+            }
+        });
+        this.on('stateChanged', () => {
+            this.updateUI();
+            this.saveGame();
+        });
+        this.on('seedChanged', (seed, handNumber) => {
+            if (this.uiManager) {
+                this.uiManager.updateSeed(seed, handNumber, this.getShoeReplay());
+            }
+        });
+        this.on('moneyChanged', money => {
+            if (this.uiManager) {
+                this.uiManager.updatePlayerChips(money);
+            }
+        });
+        this.on('chipsChanged', chips => {
+            if (this.uiManager) {
+                this.uiManager.updateChipInventory(chips);
+            }
+        });
+        this.on('notification', message => {
+            if (this.uiManager) {
+                this.uiManager.showNotification(message);
+            }
+        });
+        
+        this.on('gateApplied', () => {
+            if (this.soundManager) {
+                this.soundManager.playSuperpositionSound();
+            }
+        });
+        const playCollapse = () => {
+            if (this.soundManager) {
+                this.soundManager.playCollapseSound();
+            }
+        };
+        this.on('cardMeasured', playCollapse);
+        this.on('decoherence', playCollapse);
+        this.on('cardsEntangled', () => {
+            if (this.soundManager) {
+                this.soundManager.playEntanglementSound();
+            }
+        });
+    }
+    
+    // Render a game's events: deal cards into the scene, flip, update the panels
+    bindGameEvents(game, layout) {
+        game.on('cardDealt', (card, { hand, handIndex = 0, index, restored }) => {
+            const handCount = game.playerHands ? game.playerHands.length : 1;
+            const { position, angle } = this.getCardPlacement(layout[hand], index, hand === 'player' ? handIndex : 0, hand === 'player' ? handCount : 1);
+            this.placeCard(card, position, angle, hand === 'player', !restored);
+        });
+        game.on('handsChanged', (hands, activeHand) => {
+            this.layoutPlayerHands(game, layout.player);
+            if (this.uiManager) {
+                this.uiManager.updateHands(hands, activeHand, game.gameState === 'playerTurn');
+            }
+        });
+        game.on('cardBranched', (card, branch) => {
+            if (this.sceneManager) {
+                this.sceneManager.animateBranching(card, branch);
+            }
+            if (this.soundManager) {
+                this.soundManager.playSuperpositionSound();
+            }
+        });
+        game.on('cardRevealed', (card, collapsed) => {
+            if (this.soundManager) {
+                this.soundManager.playCardFlipSound();
+                if (collapsed) {
+                    this.soundManager.playCollapseSound();
+                }
+            }
+        });
+        game.on('controlsChanged', controls => {
+            if (this.uiManager) {
+                this.uiManager.updateControls(controls);
+            }
+        });
+        game.on('handValuesChanged', (playerOdds, dealerOdds) => {
+            if (this.uiManager) {
+                this.uiManager.updatePlayerValue(playerOdds);
+                this.uiManager.updateDealerValue(dealerOdds);
+            }
+        });
+        game.on('betChanged', (bet, money) => {
+            if (this.uiManager) {
+                this.uiManager.updateBet(bet);
+                this.uiManager.updatePlayerChips(money);
+            }
+            this.showBetCircle(game);
+        });
+        game.on('wagerChanged', wager => {
+            if (this.uiManager) {
+                this.uiManager.updateBet(wager);
+            }
+            this.showBetCircle(game);
+        });
+        game.on('potChanged', (pot, playerChips) => {
+            if (this.uiManager) {
+                this.uiManager.updatePotAmount(pot);
+                this.uiManager.updatePlayerChips(playerChips);
+            }
+        });
+        game.on('shoeChanged', shoe => {
+            if (this.sceneManager) {
+                this.sceneManager.updateShoe(shoe);
+            }
+            if (this.uiManager) {
+                this.uiManager.updateShoe(shoe);
+            }
+        });
+        game.on('shoeShuffled', size => {
+            this.showStatus(`Shuffling a fresh shoe of ${size} cards.`);
+        });
+        // The cards animate the quantum dealer's moves; the sound says which chip it was
+        game.on('dealerChipPlayed', ({ chip }) => {
+            const sounds = { hadamard: 'superposition', schrodinger: 'collapse', entanglement: 'entanglement' };
+            if (this.uiManager) {
+                this.uiManager.playSound(sounds[chip]);
+            }
+        });
+        game.on('dealerChipsChanged', chips => {
+            if (this.uiManager) {
+                this.uiManager.updateDealerChips(chips);
+            }
+        });
+        game.on('gameOver', (winner, note) => {
+            this.showResult(winner, note);
+            this.saveGame();
+        });
+    }
+    
+    // Position and turn of a card on the felt. A lone hand runs straight from
+    // its layout spot; split hands fan out side by side across the table.
+    getCardPlacement(spot, index, handIndex = 0, handCount = 1) {
+        if (handCount <= 1) {
+            return { position: new THREE.Vector3(spot.x + index * spot.spacing, 0, spot.z), angle: 0 };
         }
         
-        // Create new game button
-        const newGameBtn = document.createElement('button');
-        newGameBtn.id = 'new-game-btn';
-        newGameBtn.textContent = 'New Game';
-        newGameBtn.className = 'menu-btn';
-        newGameBtn.style.display = 'none';
-        newGameBtn.style.marginBottom = '10px';
-        newGameBtn.style.backgroundColor = '#ff00ff';
-        newGameBtn.style.color = '#00ffff';
-        newGameBtn.style.border = 'none';
-        newGameBtn.style.padding = '10px 20px';
-        newGameBtn.style.borderRadius = '5px';
-        newGameBtn.style.fontFamily = "'VT323', monospace";
-        newGameBtn.style.fontSize = '18px';
-        newGameBtn.style.cursor = 'pointer';
-        newGameBtn.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+        const offset = handIndex - (handCount - 1) / 2;
+        const angle = -offset * HAND_FAN.angle;
+        const start = new THREE.Vector3(offset * HAND_FAN.width - HAND_FAN.spacing / 2, 0, spot.z - offset * offset * HAND_FAN.curve);
+        const direction = new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle));
         
-        // Create main menu button
-        const mainMenuBtn = document.createElement('button');
-        mainMenuBtn.id = 'main-menu-btn';
-        mainMenuBtn.textContent = 'Main Menu';
-        mainMenuBtn.className = 'menu-btn';
-        mainMenuBtn.style.display = 'none';
-        mainMenuBtn.style.backgroundColor = '#ff00ff';
-        mainMenuBtn.style.color = '#00ffff';
-        mainMenuBtn.style.border = 'none';
-        mainMenuBtn.style.padding = '10px 20px';
-        mainMenuBtn.style.borderRadius = '5px';
-        mainMenuBtn.style.fontFamily = "'VT323', monospace";
-        mainMenuBtn.style.fontSize = '18px';
-        mainMenuBtn.style.cursor = 'pointer';
-        mainMenuBtn.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+        return { position: start.addScaledVector(direction, index * HAND_FAN.spacing), angle };
+    }
+    
+    // Add a dealt card to the scene at its place in the hand
+    placeCard(card, position, angle, isPlayerCard, playSound = true) {
+        if (!this.sceneManager) return;
         
-        // Add event listeners
-        newGameBtn.addEventListener('click', () => this.startNewGame());
-        mainMenuBtn.addEventListener('click', () => this.returnToMainMenu());
+        const rotation = new THREE.Euler(0, angle, 0);
+        this.sceneManager.addCard(card, position, rotation, isPlayerCard);
         
-        // Add buttons to container
-        menuContainer.appendChild(newGameBtn);
-        menuContainer.appendChild(mainMenuBtn);
+        // Animate card dealing
+        if (playSound && this.soundManager) {
+            this.soundManager.playCardPlaceSound();
+        }
     }
     
-    showMenuButtons() {
-        const newGameBtn = document.getElementById('new-game-btn');
-        const mainMenuBtn = document.getElementById('main-menu-btn');
+    // Fan the player's hands out after a split and outline the active one
+    layoutPlayerHands(game, spot) {
+        if (!this.sceneManager) return;
+        
+        const hands = game.playerHands;
+        hands.forEach((hand, handIndex) => {
+            hand.cards.forEach((card, index) => {
+                const { position, angle } = this.getCardPlacement(spot, index, handIndex, hands.length);
+                this.sceneManager.moveCard(card, position, angle);
+            });
+        });
         
-        if (newGameBtn) newGameBtn.style.display = 'block';
-        if (mainMenuBtn) mainMenuBtn.style.display = 'block';
+        if (hands.length > 1 && game.gameState === 'playerTurn') {
+            const active = hands[game.activeHand];
+            const middle = (Math.max(active.cards.length, 1) - 1) / 2;
+            const { position, angle } = this.getCardPlacement(spot, middle, game.activeHand, hands.length);
+            this.sceneManager.showHandMarker(position, angle, middle * 2 * HAND_FAN.spacing + 1.6);
+        } else {
+            this.sceneManager.hideHandMarker();
+        }
     }
     
-    hideMenuButtons() {
-        const newGameBtn = document.getElementById('new-game-btn');
-        const mainMenuBtn = document.getElementById('main-menu-btn');
-        
-        if (newGameBtn) newGameBtn.style.display = 'none';
-        if (mainMenuBtn) mainMenuBtn.style.display = 'none';
+    showResult(winner, note = null) {
+        if (!this.uiManager) return;
+        
+        if (winner === 'player') {
+            this.uiManager.showWin(undefined, note);
+        } else if (winner === 'dealer') {
+            this.uiManager.showLose(undefined, note);
+        } else if (winner === 'surrender') {
+            this.uiManager.showSurrender(undefined, note);
+        } else {
+            this.uiManager.showTie(undefined, note);
+        }
     }
     
     returnToMainMenu() {
+        // Keep the hand so it can be resumed from the menu
+        this.saveGame();
+        
         // Clear the table
         this.clearTable();
         
@@ -152,7 +295,9 @@ export class GameManager extends EventEmitter {
         const gameContainer = document.getElementById('game-container');
         if (gameContainer) gameContainer.style.display = 'none';
         
-        this.hideMenuButtons();
+        if (this.uiManager) {
+            this.uiManager.hideMenuButtons();
+        }
         
         // Show game selection
         const gameSelection = document.getElementById('game-selection');
@@ -164,9 +309,179 @@ export class GameManager extends EventEmitter {
         
         // Play sound effect
         if (this.uiManager) {
+            this.uiManager.updateProfilePanel();
             this.uiManager.playSound('menu');
         }
     }
+    
+    // Write the session to localStorage so the hand survives closing the tab.
+    // The profile is saved too, so the bankroll is kept even between hands.
+    saveGame() {
+        this.saveProfile();
+        if (!this.gameType || !this.profileName) return false;
+        
+        try {
+            localStorage.setItem(ProfileStore.getSessionKey(this.profileName), JSON.stringify(this.toJSON()));
+            return true;
+        } catch (error) {
+            console.error("Error saving game:", error);
+            return false;
+        }
+    }
+    
+    hasSavedGame() {
+        if (!this.profileName) return false;
+        
+        try {
+            return localStorage.getItem(ProfileStore.getSessionKey(this.profileName)) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // The session saveGame stored for the current profile, or null if there is
+    // none this version can resume
+    readSavedGame() {
+        if (!this.profileName) return null;
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(ProfileStore.getSessionKey(this.profileName)));
+            return saved && saved.version === SAVE_VERSION ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // A blackjack hand was dealt and not settled, on the table or in the saved
+    // session: starting a fresh table would drop its stake
+    hasSavedHandInPlay() {
+        if (this.hasHandInPlay()) return true;
+        
+        const saved = this.readSavedGame();
+        return Boolean(saved && saved.gameType === 'blackjack' && saved.game
+            && ![GameState.BETTING, GameState.GAME_OVER].includes(saved.game.gameState));
+    }
+    
+    // The ruleset the saved blackjack table plays under, when Resume Hand
+    // would keep rules other than the ones picked for new sessions
+    getSavedRulesetConflict() {
+        const saved = this.readSavedGame();
+        if (!saved || saved.gameType !== 'blackjack' || saved.ruleset === this.profileRuleset) {
+            return null;
+        }
+        return BLACKJACK_RULESETS[saved.ruleset] || null;
+    }
+    
+    // Resume the session stored by saveGame for the current profile
+    resumeSavedGame() {
+        try {
+            const saved = localStorage.getItem(ProfileStore.getSessionKey(this.profileName));
+            if (!saved) return false;
+            
+            this.fromJSON(JSON.parse(saved));
+            return true;
+        } catch (error) {
+            console.error("Error resuming saved game:", error);
+            return false;
+        }
+    }
+    
+    // Play as a stored profile, including the tutorials it has already seen
+    applyProfile(profile) {
+        this.loadProfile(profile);
+        this.tutorialManager.tutorialShown = {
+            ...this.tutorialManager.tutorialShown,
+            ...(profile.settings || {}).tutorialShown
+        };
+    }
+    
+    // Store the bankroll, chips, statistics and settings in the active profile
+    saveProfile() {
+        if (!this.profileName) return false;
+        
+        const data = this.getProfileData();
+        data.settings.tutorialShown = { ...this.tutorialManager.tutorialShown };
+        return this.profileStore.update(data) !== null;
+    }
+    
+    getProfileNames() {
+        return this.profileStore.getNames();
+    }
+    
+    // Change profile from the game selection screen
+    switchProfile(name) {
+        if (name === this.profileName) return true;
+        
+        this.saveProfile();
+        const profile = this.profileStore.select(name);
+        if (!profile) {
+            console.error(`Unknown profile: ${name}`);
+            return false;
+        }
+        
+        this.applyProfile(profile);
+        console.log(`Switched to profile ${name}`);
+        return true;
+    }
+    
+    // Add a fresh profile and play as it; returns false if the name is blank or taken
+    createProfile(name) {
+        this.saveProfile();
+        const profile = this.profileStore.create(name);
+        if (!profile) return false;
+        
+        return this.switchProfile(profile.name);
+    }
+    
+    // Choose the ruleset for new sessions and remember it in the profile. A
+    // resumed session keeps the rules its table was dealt under.
+    selectRuleset(key) {
+        if (!this.setRuleset(key)) return false;
+        
+        this.profileRuleset = key;
+        this.saveProfile();
+        return true;
+    }
+    
+    // Print the table's rules on the felt, under the ruleset's name
+    showTableRules() {
+        if (!this.sceneManager) return;
+        
+        const ruleset = BLACKJACK_RULESETS[this.rulesetKey];
+        this.sceneManager.showTableRules(ruleset ? ruleset.name : 'House Rules', describeRules(this.blackjackGame.rules));
+    }
+    
+    // Delete a profile and its saved hand. The last profile is kept.
+    deleteProfile(name) {
+        if (!this.profileStore.delete(name)) return false;
+        
+        if (name === this.profileName) {
+            this.applyProfile(this.profileStore.getActive());
+        }
+        return true;
+    }
+    
+    // Restore a saved session onto a fresh table; the cards are put back
+    // through SceneManager.addCard as the games replay their cardDealt events
+    fromJSON(data) {
+        if (!this.sceneManager || !this.sceneManager.initialized) {
+            throw new Error("Cannot restore a game - SceneManager not initialized");
+        }
+        
+        this.sceneManager.clearScene();
+        this.sceneManager.addTable();
+        
+        super.fromJSON(data);
+        
+        // Show game container and menu buttons
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) gameContainer.style.display = 'block';
+        
+        if (this.uiManager) {
+            this.uiManager.showMenuButtons();
+            this.uiManager.updateUIForGameType(this.gameType);
+        }
+    }
 
     handleCardSelection(card) {
         if (!card) return;
@@ -196,52 +511,37 @@ export class GameManager extends EventEmitter {
                 return false;
             }
             
-            // Set game type
-            this.gameType = type;
+            // A hand with a stake on it is resumed, never dealt over
+            if (this.hasSavedHandInPlay()) {
+                console.error("Cannot set game type - a hand is still in play");
+                return false;
+            }
+            
+            // Fresh table for the new game
+            this.sceneManager.clearScene();
+            this.sceneManager.addTable();
+            
+            // Set game type and initialize its game
+            if (!super.setGameType(type)) {
+                return false;
+            }
             
             // Show game container and menu buttons
             const gameContainer = document.getElementById('game-container');
             if (gameContainer) gameContainer.style.display = 'block';
             
-            this.showMenuButtons();
+            if (this.uiManager) {
+                this.uiManager.showMenuButtons();
+            }
             
-            // Initialize game based on type
-            if (type === 'blackjack') {
-                console.log("Loading Blackjack game...");
-                
-                // Initialize the game
-                this.blackjackGame.initialize();
-                
-                // Set game state
-                this.gameState = GameState.BETTING;
-                
-                console.log("Blackjack game loaded and initialized");
-                
-                // Show tutorial if not shown before
-                if (!this.tutorialManager.tutorialShown.blackjack) {
-                    this.tutorialManager.showTutorial('blackjack');
-                } else {
-                    // Start new game
-                    this.startNewGame();
-                }
-            } else if (type === 'poker') {
-                console.log("Loading Texas Hold'Em game...");
-                
-                // Initialize the game
-                this.pokerGame.initialize();
-                
-                // Set game state
-                this.gameState = GameState.BETTING;
-                
-                console.log("Texas Hold'Em game loaded and initialized");
-                
-                // Show tutorial if not shown before
-                if (!this.tutorialManager.tutorialShown.poker) {
-                    this.tutorialManager.showTutorial('poker');
-                } else {
-                    // Start new game
-                    this.startNewGame();
-                }
+            console.log(`${type === 'blackjack' ? 'Blackjack' : "Texas Hold'Em"} game loaded and initialized`);
+            
+            // Show tutorial if not shown before
+            if (!this.tutorialManager.tutorialShown[type]) {
+                this.tutorialManager.showTutorial(type);
+            } else {
+                // Take bets for the first hand
+                this.newRound();
             }
             
             // Update UI to reflect the current game type
@@ -272,7 +572,8 @@ export class GameManager extends EventEmitter {
                 "Your goal is to get a hand value closer to 21 than the dealer without going over.",
                 "The Hadamard button puts a card in superposition between two states.",
                 "The Schrödinger button measures a superposed card, collapsing it to one state.",
-                "The Entanglement button links two superposed cards, forcing them to collapse to the same suit color.",
+                "The Entanglement button links two superposed cards into a Bell state with the correlation you pick: same color, opposite color, same rank parity, or sum to 10.",
+                "While your hand is superposed, the panel shows its expected total and your exact odds of busting or hitting 21.",
                 "Use quantum mechanics wisely to beat the dealer!"
             ];
         } else if (gameType === 'poker') {
@@ -282,7 +583,7 @@ export class GameManager extends EventEmitter {
                 "Use quantum mechanics to create the best five-card hand.",
                 "The Hadamard button puts a card in superposition between two states.",
                 "The Schrödinger button measures a superposed card, collapsing it to one state.",
-                "The Entanglement button links two superposed cards, forcing them to collapse to the same suit color.",
+                "The Entanglement button links two superposed cards into a Bell state with the correlation you pick: same color, opposite color, same rank parity, or sum to 10.",
                 "Use your quantum powers wisely to win the pot!"
             ];
         }
@@ -326,89 +627,41 @@ export class GameManager extends EventEmitter {
         displayMessages();
     }
 
-    startNewGame() {
-        console.log("Starting new game");
-        
-        // Clear the table
-        this.clearTable();
-        
-        // Reset game-specific state
-        if (this.gameType === 'blackjack') {
-            this.blackjackGame.reset();
-            this.blackjackGame.createDeck();
-            this.blackjackGame.shuffleDeck();
-            this.blackjackGame.dealInitialCards();
-        } else if (this.gameType === 'poker') {
-            this.pokerGame.reset();
-            this.pokerGame.createDeck();
-            this.pokerGame.shuffleDeck();
-            this.pokerGame.dealInitialCards();
-        }
-        
-        // Reset quantum chip counts
-        this.hadamardChips = 3;
-        this.schrodingerChips = 2;
-        this.entanglementChips = 2;
-        
-        // Update UI
-        this.updateUI();
-        
+    async startNewGame() {
         // Play sound
         if (this.uiManager) {
             this.uiManager.playSound('start');
         }
+        
+        return super.startNewGame();
     }
 
-    // Blackjack controls
-    async playerHit() {
-        console.log("Player hit");
-        if (this.gameType === 'blackjack' && this.blackjackGame) {
-            await this.blackjackGame.playerHit();
-        }
-    }
-
-    async playerStand() {
-        console.log("Player stand");
-        if (this.gameType === 'blackjack' && this.blackjackGame) {
-            await this.blackjackGame.playerStand();
+    // Buy from the chip shop and keep the purchase in the profile
+    buyChip(type, quantity = 1) {
+        const bought = super.buyChip(type, quantity);
+        if (bought) {
+            this.saveProfile();
         }
-    }
-
-    async playerDouble() {
-        console.log("Player double");
-        if (this.gameType === 'blackjack' && this.blackjackGame) {
-            // Implementation for doubling down would go here
-            this.uiManager.updateStatus("Double down not implemented yet");
+        if (this.uiManager) {
+            if (bought) this.uiManager.playSound('bet');
+            this.uiManager.renderShop();
         }
+        return bought;
     }
 
-    async playerSplit() {
-        console.log("Player split");
-        if (this.gameType === 'blackjack' && this.blackjackGame) {
-            // Implementation for splitting pairs would go here
-            this.uiManager.updateStatus("Split not implemented yet");
+    placeBet(amount) {
+        const placed = super.placeBet(amount);
+        if (placed && this.uiManager) {
+            this.uiManager.playSound('bet');
         }
+        return placed;
     }
 
-    // Quantum mechanics
-    applySuperposition(card) {
-        if (!card) return;
-        card.putInSuperposition();
-        this.updateUI();
-    }
-
-    applyEntanglement(card1, card2) {
-        if (!card1 || !card2) return;
-        card1.entangleWith(card2);
-        this.sceneManager.createEntanglementLine(card1, card2);
-        this.updateUI();
-    }
-
-    measureCard(card) {
-        if (!card) return;
-        card.collapse();
-        this.sceneManager.removeEntanglementLine();
-        this.updateUI();
+    // Chips in the bet circle: the wager before the deal, the hands' stake after it
+    showBetCircle(game = this.blackjackGame) {
+        if (!this.sceneManager || game !== this.blackjackGame) return;
+        
+        this.sceneManager.showBet(game.bet > 0 ? game.bet : game.wager);
     }
 
     // UI updates
@@ -422,14 +675,41 @@ export class GameManager extends EventEmitter {
             // Update UI based on game type
             if (this.gameType === 'blackjack' && this.blackjackGame) {
                 // Update Blackjack UI
-                this.uiManager.updatePlayerValue(this.blackjackGame.playerValue);
-                this.uiManager.updateDealerValue(this.blackjackGame.dealerValue);
+                this.uiManager.updatePlayerValue(this.blackjackGame.playerOdds);
+                this.uiManager.updateDealerValue(this.blackjackGame.dealerOdds);
+                this.uiManager.updatePlayerChips(this.money);
+                this.uiManager.updateBet(this.blackjackGame.bet);
+                this.uiManager.updateHands(this.blackjackGame.playerHands, this.blackjackGame.activeHand, this.blackjackGame.gameState === GameState.PLAYER_TURN);
+                this.showTableRules();
+                this.showBetCircle();
+                const shoe = this.blackjackGame.getShoeInfo();
+                this.uiManager.updateShoe(shoe);
+                if (this.sceneManager) {
+                    this.sceneManager.updateShoe(shoe);
+                }
+                this.uiManager.updateDealerChips(this.blackjackGame.rules.quantumDealer ? this.blackjackGame.dealer.chips : null);
             } else if (this.gameType === 'poker' && this.pokerGame) {
                 // Update Poker UI
+                this.uiManager.updateHands([], 0, false);
+                if (this.sceneManager) {
+                    this.sceneManager.hideTableRules();
+                    this.sceneManager.hideShoe();
+                    this.sceneManager.hideBet();
+                }
+                this.uiManager.hideShoe();
+                this.uiManager.updateDealerChips(null);
                 this.uiManager.updatePlayerChips(this.pokerGame.playerChips);
                 this.uiManager.updatePotAmount(this.pokerGame.pot);
             }
             
+            // Show the seed so the hand can be reported and replayed
+            this.uiManager.updateSeed(this.seed, this.handNumber, this.getShoeReplay());
+            
+            // Update quantum chip inventory
+            if (this.chips) {
+                this.uiManager.updateChipInventory(this.chips);
+            }
+            
             // Update quantum counts
             const superposed = this.countSuperposedCards();
             const entangled = this.countEntangledCards();
@@ -439,35 +719,15 @@ export class GameManager extends EventEmitter {
         }
     }
 
-    countSuperposedCards() {
-        let count = 0;
-        if (this.gameType === 'blackjack') {
-            [...this.blackjackGame.playerHand, ...this.blackjackGame.dealerHand].forEach(card => {
-                if (card.isInSuperposition()) count++;
-            });
-        }
-        return count;
-    }
-
-    countEntangledCards() {
-        let count = 0;
-        if (this.gameType === 'blackjack') {
-            [...this.blackjackGame.playerHand, ...this.blackjackGame.dealerHand].forEach(card => {
-                if (card.isEntangled()) count++;
-            });
-        }
-        return count;
-    }
-
     // Add a method to safely set the UI manager
     setUIManager(uiManager) {
         this.uiManager = uiManager;
     }
-    
+
     setSoundManager(soundManager) {
         this.soundManager = soundManager;
     }
-    
+
     // Add a method to update the camera ref if it wasn't available initially
     update(deltaTime) {
         // If we need to add the listener to the camera and now the camera is available
@@ -481,17 +741,7 @@ export class GameManager extends EventEmitter {
             }
         }
         
-        // Update the active game
-        if (this.gameType === 'blackjack' && this.blackjackGame) {
-            this.blackjackGame.update(deltaTime);
-        } else if (this.gameType === 'poker' && this.pokerGame) {
-            this.pokerGame.update(deltaTime);
-        }
-
-        // Update scene manager
-        if (this.sceneManager) {
-            this.sceneManager.update(deltaTime);
-        }
+        // The render loop in main.js updates the scene itself
     }
 
     setupMouseEvents() {
@@ -513,28 +763,17 @@ export class GameManager extends EventEmitter {
     handleCardClick(card) {
         console.log("Card clicked:", card);
         
-        // Only allow selection during player's turn
-        if (this.gameState !== GameState.PLAYING) {
-            console.log(`Cannot select cards in current state: ${this.gameState}`);
+        // Only allow selecting the player's own cards during their turn
+        if (!this.isPlayerTurn() || !this.isSelectableCard(card)) {
+            console.log(`Cannot select this card in current state: ${this.gameState}`);
             return;
         }
         
         // Handle different selection modes
-        if (this.entanglementMode) {
-            // In entanglement mode, we're selecting the second card
-            if (this.entanglementCard1 === card) {
-                // Can't entangle a card with itself
-                if (this.uiManager) {
-                    this.uiManager.updateStatus("Cannot entangle a card with itself");
-                }
-                return;
-            }
-            
-            // Select this card as the second entanglement card
+        if (this.entanglementChip) {
+            // While setting up entanglement, clicked cards join the link
             this.selectCard(card);
-            
-            // Complete the entanglement
-            this.applyEntanglement();
+            this.addToEntanglement(card);
         } else {
             // Normal card selection
             this.selectCard(card);
@@ -551,6 +790,12 @@ export class GameManager extends EventEmitter {
                     message += " (entangled)";
                 }
                 
+                // After a split, say which hand the chip will act on
+                if (this.gameType === 'blackjack' && this.blackjackGame.playerHands.length > 1) {
+                    const handIndex = this.blackjackGame.playerHands.findIndex(hand => hand.cards.includes(card));
+                    message += ` in hand ${handIndex + 1}`;
+                }
+                
                 this.uiManager.updateStatus(message);
             }
         }
@@ -612,919 +857,23 @@ export class GameManager extends EventEmitter {
         this.selectedCard = null;
     }
 
-    startGame() {
-        // Reset game state
-        this.gameState = GameState.BETTING;
-        this.emit('gameStateChanged', this.gameState);
+    clearTable() {
+        // Clear visual elements
+        if (this.sceneManager) {
+            this.sceneManager.clearScene();
+        }
         
-        // Clear table
-        this.clearTable();
+        // Reset the game state
+        super.clearTable();
         
-        // Check if we need to shuffle deck
-        if (this.deck.length < 10) {
-            this.shuffleDeck();
-        }
-    }
-
-    placeBet(amount) {
-        if (this.gameState === GameState.BETTING) {
-            amount = Math.min(amount, this.money);
-            this.bet = amount;
-            this.money -= amount;
-            
-            this.emit('betChanged', this.bet);
-            this.emit('moneyChanged', this.money);
-            
-            // Deal cards
-            this.dealInitialCards();
-        }
-    }
-
-    shuffleDeck() {
-        this.deck = CardState.createDeck();
-        this.deck = CardState.shuffleDeck(this.deck);
-    }
-
-    async dealInitialCards() {
-        // Change game state
-        this.gameState = GameState.PLAYER_TURN;
-        this.emit('gameStateChanged', this.gameState);
-        
-        console.log("Dealing initial cards...");
-        
-        // Deal initial cards (2 for player, 2 for dealer with one face down)
-        await this.dealCardToPlayer();
-        await this.dealCardToDealer(false); // Face up
-        await this.dealCardToPlayer();
-        await this.dealCardToDealer(true); // Face down
-        
-        // Check for blackjack
-        this.checkForBlackjack();
-        
-        console.log("Initial cards dealt - Player:", this.playerCards.length, "Dealer:", this.dealerCards.length);
-    }
-
-    async dealCardToPlayer() {
-        // Draw a card from the deck
-        const [state1, state2] = this.getNextCardStates();
-        
-        // Create a quantum card
-        const card = new QuantumCard(state1, state2, this.assetLoader);
-        
-        // Position the card
-        const position = new THREE.Vector3((this.playerCards.length - 1) * 0.8, 0, 0);
-        this.sceneManager.addCard(card, position);
-        
-        // Add to player's hand
-        this.playerCards.push(card);
-        
-        // Play sound
-        this.soundManager.playCardPlace();
-        
-        // Flip the card to reveal it after a small delay
-        await this.sleep(300);
-        await card.flipToFront();
-        this.soundManager.playCardFlip();
-        
-        // Update hand value display
-        this.updateHandValue();
-        
-        return card;
-    }
-
-    async dealCardToDealer(faceDown = false) {
-        // Draw a card from the deck
-        const [state1, state2] = this.getNextCardStates();
-        
-        // Create a quantum card
-        const card = new QuantumCard(state1, state2, this.assetLoader);
-        
-        // Position the card
-        const position = new THREE.Vector3((this.dealerCards.length - 1) * 0.8, 0, 0);
-        this.sceneManager.addCard(card, position, true); // isDealer = true
-        
-        // Add to dealer's hand
-        this.dealerCards.push(card);
-        
-        // Play sound
-        this.soundManager.playCardPlace();
-        
-        // Flip the card if not face down
-        await this.sleep(300);
-        if (!faceDown) {
-            await card.flipToFront();
-            this.soundManager.playCardFlip();
-        }
-        
-        return card;
-    }
-
-    // Combined method to deal card to either player or dealer
-    dealCard(isDealer = false) {
-        try {
-            // Draw card states from the deck
-            const [state1, state2] = this.getNextCardStates();
-            
-            // Create a quantum card
-            const card = new QuantumCard(state1, state2, this.assetLoader);
-            
-            // Determine position based on which hand and number of cards
-            let position;
-            if (isDealer) {
-                position = new THREE.Vector3((this.dealerCards.length - 1) * 0.8, 0, 0);
-                this.sceneManager.addCard(card, position, true); // isDealer = true
-                this.dealerCards.push(card);
-            } else {
-                position = new THREE.Vector3((this.playerCards.length - 1) * 0.8, 0, 0);
-                this.sceneManager.addCard(card, position, false);
-                this.playerCards.push(card);
-            }
-            
-            // Flip card to face up
-            card.flipToFront();
-            
-            return card;
-        } catch (error) {
-            console.error("Error dealing card:", error);
-            return null;
-        }
-    }
-
-    getNextCardStates() {
-        if (this.deck.length < 2) {
-            this.shuffleDeck();
-        }
-        
-        // Draw two states from the deck
-        const state1 = this.deck.pop();
-        const state2 = this.deck.pop();
-        
-        return [state1, state2];
-    }
-
-    updateHandValue() {
-        const { min, max } = this.calculateHandValue(this.playerCards);
-        
-        let displayValue;
-        if (min === max) {
-            displayValue = min.toString();
-        } else {
-            displayValue = `${min}-${max}`;
-        }
-        
-        // If any card is in superposition, show it as "uncertain"
-        const isUncertain = this.playerCards.some(card => !card.collapsed);
-        if (isUncertain) {
-            displayValue = `${displayValue} (uncertain)`;
-        }
-        
-        this.emit('handValueChanged', displayValue);
-    }
-
-    calculateHandValue(cards) {
-        // For collapsed cards, we have single values
-        // For superposition cards, we need to consider all possible combinations
-        
-        // Separate collapsed and uncollapsed cards
-        const collapsedCards = cards.filter(card => card.collapsed);
-        const uncollapsedCards = cards.filter(card => !card.collapsed);
-        
-        // Calculate collapsed cards total
-        let collapsedTotal = 0;
-        let aceCount = 0;
-        
-        collapsedCards.forEach(card => {
-            const value = card.currentState.blackjackValue();
-            collapsedTotal += value;
-            if (card.currentState.value === 'ace') {
-                aceCount++;
-            }
-        });
-        
-        // Adjust for aces if needed
-        while (collapsedTotal > 21 && aceCount > 0) {
-            collapsedTotal -= 10; // Convert an Ace from 11 to 1
-            aceCount--;
-        }
-        
-        // If all cards are collapsed, return single value
-        if (uncollapsedCards.length === 0) {
-            return { min: collapsedTotal, max: collapsedTotal };
-        }
-        
-        // For uncollapsed cards, we need to consider different combinations
-        // This will generate the min and max possible values
-        let minTotal = collapsedTotal;
-        let maxTotal = collapsedTotal;
-        
-        uncollapsedCards.forEach(card => {
-            const { min, max } = card.getValueRange();
-            minTotal += min;
-            maxTotal += max;
-        });
-        
-        // Adjust for potential aces in the uncollapsed cards
-        const potentialAces = uncollapsedCards.filter(
-            card => card.state1.value === 'ace' || card.state2.value === 'ace'
-        ).length;
-        
-        let adjustedMinTotal = minTotal;
-        let adjustedMaxTotal = maxTotal;
-        
-        // Adjust min value: convert aces from 11 to 1 if needed
-        let remainingAces = potentialAces + aceCount;
-        while (adjustedMinTotal > 21 && remainingAces > 0) {
-            adjustedMinTotal -= 10;
-            remainingAces--;
-        }
-        
-        // Adjust max value similarly
-        remainingAces = potentialAces + aceCount;
-        while (adjustedMaxTotal > 21 && remainingAces > 0) {
-            adjustedMaxTotal -= 10;
-            remainingAces--;
-        }
-        
-        return { 
-            min: Math.min(adjustedMinTotal, 21), 
-            max: Math.min(adjustedMaxTotal, 21) 
-        };
-    }
-
-    checkForBlackjack() {
-        // Can only have blackjack with 2 cards and if all are collapsed
-        if (this.playerCards.length === 2 && this.playerCards.every(card => card.collapsed)) {
-            const { min } = this.calculateHandValue(this.playerCards);
-            if (min === 21) {
-                this.handleBlackjack();
-            }
-        }
-    }
-
-    async handleBlackjack() {
-        // Reveal dealer's face-down card
-        await this.revealDealerCard();
-        
-        // Check if dealer also has blackjack
-        const { min } = this.calculateHandValue(this.dealerCards);
-        
-        if (min === 21) {
-            // Push - return bet
-            this.money += this.bet;
-            this.emit('notification', 'Push! Both you and the dealer have Blackjack.');
-        } else {
-            // Player wins with blackjack (pays 3:2)
-            this.money += this.bet * 2.5;
-            this.emit('notification', 'Blackjack! You win 3:2.');
-            this.soundManager.playWinSound();
-        }
-        
-        this.emit('moneyChanged', this.money);
-        this.gameState = GameState.GAME_OVER;
-        this.emit('gameStateChanged', this.gameState);
-    }
-
-    async hit() {
-        if (this.gameState === GameState.PLAYER_TURN) {
-            // Deal a new card to the player
-            await this.dealCardToPlayer();
-            
-            // Check if player busts
-            await this.checkForBust();
-        }
-    }
-
-    async checkForBust() {
-        // First collapse any cards in superposition
-        await this.collapseAllSuperpositionCards();
-        
-        // Calculate hand value after collapse
-        const { min } = this.calculateHandValue(this.playerCards);
-        
-        if (min > 21) {
-            // Player busts
-            this.emit('notification', 'Bust! Your hand exceeds 21.');
-            this.soundManager.playLoseSound();
-            
-            this.gameState = GameState.GAME_OVER;
-            this.emit('gameStateChanged', this.gameState);
-        }
-    }
-
-    async stand() {
-        if (this.gameState === GameState.PLAYER_TURN) {
-            // Collapse any cards in superposition
-            await this.collapseAllSuperpositionCards();
-            
-            // Start dealer's turn
-            this.gameState = GameState.DEALER_TURN;
-            this.emit('gameStateChanged', this.gameState);
-            
-            // Deal dealer's cards
-            await this.playDealerTurn();
-        }
-    }
-
-    async collapseAllSuperpositionCards() {
-        const superpositionCards = this.playerCards.filter(card => !card.collapsed);
-        
-        for (const card of superpositionCards) {
-            await this.sleep(500); // Small delay between collapses
-            this.soundManager.playCollapseSound();
-            card.collapse();
-        }
-        
-        // Clear any entanglement lines
-        this.sceneManager.removeEntanglementLine();
-        
-        // Update hand value display after all collapses
-        this.updateHandValue();
-    }
-
-    async revealDealerCard() {
-        // Find face-down dealer card
-        const faceDownCard = this.dealerCards.find(
-            card => card.mesh.rotation.x === Math.PI
-        );
-        
-        if (faceDownCard) {
-            await faceDownCard.flipToFront();
-            this.soundManager.playCardFlip();
-        }
-    }
-
-    async playDealerTurn() {
-        // Reveal dealer's face-down card
-        await this.revealDealerCard();
-        
-        // Keep drawing cards until the dealer has at least 17
-        let dealerValue = this.calculateHandValue(this.dealerCards).min;
-        
-        while (dealerValue < 17) {
-            await this.sleep(1000); // Pause between dealer draws
-            
-            // Deal a card to the dealer
-            await this.dealCardToDealer(false);
-            
-            // Recalculate dealer's hand
-            dealerValue = this.calculateHandValue(this.dealerCards).min;
-        }
-        
-        // Compare hands and determine winner
-        await this.determineWinner();
-    }
-
-    async determineWinner() {
-        this.gameState = GameState.RESOLVING;
-        this.emit('gameStateChanged', this.gameState);
-        
-        const playerValue = this.calculateHandValue(this.playerCards).min;
-        const dealerValue = this.calculateHandValue(this.dealerCards).min;
-        
-        await this.sleep(1000); // Dramatic pause
-        
-        if (playerValue > 21) {
-            // Player busts, dealer wins
-            this.emit('notification', 'Dealer wins! You went over 21.');
-            this.soundManager.playLoseSound();
-        } else if (dealerValue > 21) {
-            // Dealer busts, player wins
-            this.money += this.bet * 2;
-            this.emit('notification', 'You win! Dealer went over 21.');
-            this.soundManager.playWinSound();
-        } else if (playerValue > dealerValue) {
-            // Player wins
-            this.money += this.bet * 2;
-            this.emit('notification', `You win! Your ${playerValue} beats dealer's ${dealerValue}.`);
-            this.soundManager.playWinSound();
-        } else if (dealerValue > playerValue) {
-            // Dealer wins
-            this.emit('notification', `Dealer wins with ${dealerValue} against your ${playerValue}.`);
-            this.soundManager.playLoseSound();
-        } else {
-            // Push - tie
-            this.money += this.bet;
-            this.emit('notification', `Push! Both you and the dealer have ${playerValue}.`);
-        }
-        
-        this.emit('moneyChanged', this.money);
-        this.gameState = GameState.GAME_OVER;
-        this.emit('gameStateChanged', this.gameState);
-    }
-
-    useHadamardChip() {
-        if (this.gameState === GameState.PLAYER_TURN && this.selectedCard && this.chips.hadamard > 0) {
-            // Ensure card is not already in superposition or entangled
-            if (this.selectedCard.collapsed && !this.selectedCard.entangledWith) {
-                // Apply Hadamard (put in superposition)
-                const success = this.selectedCard.putInSuperposition();
-                
-                if (success) {
-                    // Play effect
-                    this.soundManager.playSuperpositionSound();
-                    
-                    // Use up a chip
-                    this.chips.hadamard--;
-                    this.emit('chipsChanged', this.chips);
-                    
-                    // Update hand value
-                    this.updateHandValue();
-                    
-                    // Show educational notification
-                    this.emit('notification', 'Card is now in superposition! It exists in both states until measured.');
-                    
-                    return true;
-                }
-            } else {
-                if (this.selectedCard.isInSuperposition()) {
-                    this.emit('notification', 'Card is already in superposition.');
-                } else if (this.selectedCard.isEntangled()) {
-                    this.emit('notification', 'Cannot put an entangled card in superposition.');
-                }
-            }
-        }
-        return false;
-    }
-
-    useSchrodingerChip() {
-        if (this.gameState === GameState.PLAYER_TURN && this.selectedCard && this.chips.schrodinger > 0) {
-            // Ensure card is in superposition
-            if (!this.selectedCard.collapsed) {
-                // Play effect
-                this.soundManager.playCollapseSound();
-                
-                // Collapse the card
-                const newState = this.selectedCard.collapse();
-                
-                // Use up a chip
-                this.chips.schrodinger--;
-                this.emit('chipsChanged', this.chips);
-                
-                // Update hand value
-                this.updateHandValue();
-                
-                // Show educational notification
-                this.emit('notification', `Card collapsed to ${newState.toString()}! Measurement forces a definite state.`);
-                
-                // Clear any entanglement lines
-                this.sceneManager.removeEntanglementLine();
-                
-                return true;
-            } else {
-                this.emit('notification', 'Card is not in superposition. Cannot collapse a definite state.');
-            }
-        }
-        return false;
-    }
-
-    startEntanglement() {
-        if (this.gameState === GameState.PLAYER_TURN && this.selectedCard && this.chips.entanglement > 0) {
-            // Ensure card is in superposition and not already entangled
-            if (!this.selectedCard.collapsed && !this.selectedCard.entangledWith) {
-                // Mark as first card for entanglement
-                this.cardForEntanglement = this.selectedCard;
-                
-                // Show notification
-                this.emit('notification', 'Select another superposed card to entangle with this one.');
-                
-                return true;
-            } else {
-                if (this.selectedCard.collapsed) {
-                    this.emit('notification', 'Cannot entangle a card that is not in superposition.');
-                } else if (this.selectedCard.entangledWith) {
-                    this.emit('notification', 'Card is already entangled with another card.');
-                }
-            }
-        }
-        return false;
-    }
-
-    entangleCards(card1, card2) {
-        if (this.chips.entanglement > 0) {
-            // Entangle the cards
-            const success = card1.entangleWith(card2);
-            
-            if (success) {
-                // Play effect
-                this.soundManager.playEntanglementSound();
-                
-                // Use up a chip
-                this.chips.entanglement--;
-                this.emit('chipsChanged', this.chips);
-                
-                // Create visual entanglement line
-                this.sceneManager.createEntanglementLine(card1, card2);
-                
-                // Show educational notification
-                this.emit('notification', 'Cards are now entangled! They will collapse to the same color.');
-                
-                return true;
-            }
-        }
-        return false;
-    }
-
-    cancelEntanglement() {
-        if (this.cardForEntanglement) {
-            this.cardForEntanglement = null;
-            this.emit('notification', 'Entanglement cancelled.');
-            return true;
-        }
-        return false;
-    }
-
-    buyChip(type) {
-        const prices = {
-            hadamard: 100,
-            schrodinger: 100,
-            entanglement: 150
-        };
-        
-        if (this.money >= prices[type]) {
-            this.money -= prices[type];
-            this.chips[type]++;
-            
-            this.emit('moneyChanged', this.money);
-            this.emit('chipsChanged', this.chips);
-            this.emit('notification', `Purchased a ${type.charAt(0).toUpperCase() + type.slice(1)} chip!`);
-            
-            return true;
-        } else {
-            this.emit('notification', 'Not enough money to buy this chip.');
-            return false;
-        }
-    }
-
-    clearTable() {
-        // Clear visual elements
-        if (this.sceneManager) {
-            this.sceneManager.clearScene();
-        }
-        
-        // Reset state for active game
-        if (this.gameType === 'blackjack') {
-            this.blackjackGame.playerHand = [];
-            this.blackjackGame.dealerHand = [];
-            this.blackjackGame.playerValue = 0;
-            this.blackjackGame.dealerValue = 0;
-            this.blackjackGame.playerCardCount = 0;
-            this.blackjackGame.dealerCardCount = 0;
-        } else if (this.gameType === 'poker') {
-            this.pokerGame.playerHand = [];
-            this.pokerGame.dealerHand = [];
-            this.pokerGame.communityCards = [];
-            this.pokerGame.playerCardCount = 0;
-            this.pokerGame.dealerCardCount = 0;
-            this.pokerGame.communityCardCount = 0;
-        }
-        
-        // Reset common state
-        this.selectedCard = null;
-        this.entanglementTarget = null;
-        
-        // Clear status display
-        const statusDisplay = document.getElementById('status-display');
-        if (statusDisplay) {
-            statusDisplay.textContent = '';
+        // Clear status display
+        const statusDisplay = document.getElementById('status-display');
+        if (statusDisplay) {
+            statusDisplay.textContent = '';
         }
     }
 
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
-
-    // Methods called from UI
-    playerHit() {
-        if (this.gameState === GameState.PLAYER_TURN) {
-            this.dealCard(false);
-            
-            // Play card sound
-            if (this.soundManager) {
-                this.soundManager.playCardPlaceSound();
-            }
-            
-            // Check if player busts
-            const playerValue = this.getHandValue(this.playerCards);
-            if (playerValue > 21) {
-                this.gameState = GameState.RESOLVING;
-                setTimeout(() => this.endGame('dealer'), 1000);
-            }
-            
-            // Update UI
-            if (this.uiManager) {
-                this.uiManager.updateHandValues(playerValue, this.getHandValue(this.dealerCards));
-            }
-        }
-    }
-    
-    playerStand() {
-        if (this.gameState === GameState.PLAYER_TURN) {
-            this.gameState = GameState.DEALER_TURN;
-            this.dealerPlay();
-        }
-    }
-    
-    applySuperposition() {
-        if (this.gameState === GameState.PLAYER_TURN && this.selectedCard) {
-            // Check if card is already in superposition
-            if (this.selectedCard.isInSuperposition) {
-                console.log("Card is already in superposition");
-                return;
-            }
-            
-            // Put card in superposition
-            this.selectedCard.putInSuperposition();
-            
-            // Play superposition sound
-            if (this.soundManager) {
-                this.soundManager.playSuperpositionSound();
-            }
-            
-            // Update UI
-            if (this.uiManager) {
-                const superposedCards = this.playerCards.filter(c => c.isInSuperposition).length;
-                const entangledCards = this.playerCards.filter(c => c.isEntangled).length / 2;
-                this.uiManager.updateQuantumCounts(superposedCards, entangledCards);
-            }
-        }
-    }
-    
-    applyEntanglement() {
-        if (this.gameState !== GameState.PLAYER_TURN) return;
-        
-        if (!this.selectedCard) {
-            console.log("Select a card first");
-            return;
-        }
-        
-        // First card selected for entanglement
-        if (!this.cardForEntanglement) {
-            // Check if card is in superposition
-            if (!this.selectedCard.isInSuperposition) {
-                console.log("Card must be in superposition to entangle");
-                return;
-            }
-            
-            // Set as first card for entanglement
-            this.cardForEntanglement = this.selectedCard;
-            this.cardForEntanglement.highlight(true);
-            console.log("First card selected for entanglement");
-        } 
-        // Second card selected, complete entanglement
-        else if (this.selectedCard !== this.cardForEntanglement) {
-            // Check if second card is in superposition
-            if (!this.selectedCard.isInSuperposition) {
-                console.log("Second card must also be in superposition");
-                this.cardForEntanglement.highlight(false);
-                this.cardForEntanglement = null;
-                return;
-            }
-            
-            // Entangle the cards
-            this.cardForEntanglement.entangleWith(this.selectedCard);
-            this.cardForEntanglement.highlight(false);
-            
-            // Play entanglement sound
-            if (this.soundManager) {
-                this.soundManager.playEntanglementSound();
-            }
-            
-            // Reset entanglement selection
-            this.cardForEntanglement = null;
-            
-            // Update UI
-            if (this.uiManager) {
-                const superposedCards = this.playerCards.filter(c => c.isInSuperposition).length;
-                const entangledCards = this.playerCards.filter(c => c.isEntangled).length / 2;
-                this.uiManager.updateQuantumCounts(superposedCards, entangledCards);
-            }
-        } 
-        // Same card selected again, cancel entanglement
-        else {
-            this.cardForEntanglement.highlight(false);
-            this.cardForEntanglement = null;
-            console.log("Entanglement canceled");
-        }
-    }
-    
-    measureCard() {
-        if (this.gameState === GameState.PLAYER_TURN && this.selectedCard) {
-            // Check if card is in superposition
-            if (!this.selectedCard.isInSuperposition) {
-                console.log("Card is not in superposition");
-                return;
-            }
-            
-            // Measure the card
-            this.selectedCard.collapse();
-            
-            // Play collapse sound
-            if (this.soundManager) {
-                this.soundManager.playCollapseSound();
-            }
-            
-            // Update UI
-            if (this.uiManager) {
-                const superposedCards = this.playerCards.filter(c => c.isInSuperposition).length;
-                const entangledCards = this.playerCards.filter(c => c.isEntangled).length / 2;
-                this.uiManager.updateQuantumCounts(superposedCards, entangledCards);
-                this.uiManager.updateHandValues(this.getHandValue(this.playerCards), this.getHandValue(this.dealerCards));
-            }
-        }
-    }
-    
-    // Calculate hand value accounting for Aces
-    getHandValue(cards) {
-        if (!cards || cards.length === 0) return 0;
-        
-        let total = 0;
-        let aceCount = 0;
-        
-        // First pass: Count all cards at face value, mark Aces
-        for (const card of cards) {
-            if (card.isInSuperposition) {
-                // For cards in superposition, use average value
-                total += card.getAverageValue();
-            } else {
-                const value = card.getValue();
-                if (value === 1) {
-                    aceCount++;
-                    total += 11; // Temporarily count Ace as 11
-                } else {
-                    total += value;
-                }
-            }
-        }
-        
-        // Second pass: Adjust Aces to 1 as needed
-        while (total > 21 && aceCount > 0) {
-            total -= 10; // Change an Ace from 11 to 1
-            aceCount--;
-        }
-        
-        return Math.round(total);
-    }
-    
-    // Handle dealer's turn
-    async dealerPlay() {
-        this.gameState = GameState.DEALER_TURN;
-        
-        // Flip the dealer's hidden card
-        if (this.dealerCards.length > 0) {
-            const hiddenCard = this.dealerCards[0];
-            if (!hiddenCard.isFaceUp) {
-                hiddenCard.flip();
-                
-                // Play card flip sound
-                if (this.soundManager) {
-                    this.soundManager.playCardFlipSound();
-                }
-                
-                // Small pause after flipping
-                await this.sleep(500);
-            }
-        }
-        
-        // Keep drawing cards until dealer has 17+
-        let dealerValue = this.getHandValue(this.dealerCards);
-        while (dealerValue < 17) {
-            this.dealCard(true); // Deal to dealer
-            
-            // Play card sound
-            if (this.soundManager) {
-                this.soundManager.playCardPlaceSound();
-            }
-            
-            dealerValue = this.getHandValue(this.dealerCards);
-            
-            // Update UI
-            if (this.uiManager) {
-                this.uiManager.updateHandValues(this.getHandValue(this.playerCards), dealerValue);
-            }
-            
-            // Small pause between cards
-            await this.sleep(500);
-        }
-        
-        // After dealer finishes, determine winner
-        this.gameState = GameState.RESOLVING;
-        
-        // Get final values
-        const playerValue = this.getHandValue(this.playerCards);
-        
-        // Check for dealer bust
-        if (dealerValue > 21) {
-            this.endGame('player');
-        } 
-        // Compare hands
-        else if (playerValue > dealerValue) {
-            this.endGame('player');
-        } 
-        else if (dealerValue > playerValue) {
-            this.endGame('dealer');
-        } 
-        else {
-            this.endGame('tie');
-        }
-    }
-    
-    // Determine winner and update UI
-    endGame(winner) {
-        this.gameState = GameState.GAME_OVER;
-        
-        if (this.uiManager) {
-            if (winner === 'player') {
-                this.uiManager.showWin();
-            } else if (winner === 'dealer') {
-                this.uiManager.showLose();
-            } else {
-                this.uiManager.showTie();
-            }
-        }
-    }
-
-    initializeGame() {
-        if (this.gameType === 'blackjack') {
-            this.gameState = 'initial';
-            this.playerCards = [];
-            this.dealerCards = [];
-            this.deck = [];
-            this.initializeDeck();
-        } else {
-            this.pokerGame = new TexasHoldEm(this);
-            this.gameState = 'poker_initial';
-        }
-    }
-
-    // New Poker methods
-    pokerPlaceBet(amount) {
-        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
-            return this.pokerGame.placeBet(amount);
-        }
-        return false;
-    }
-
-    pokerCall() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
-            return this.pokerGame.call();
-        }
-        return false;
-    }
-
-    pokerRaise(amount) {
-        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
-            return this.pokerGame.raise(amount);
-        }
-        return false;
-    }
-
-    pokerFold() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
-            return this.pokerGame.fold();
-        }
-        return false;
-    }
-
-    pokerDealFlop() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_betting') {
-            this.pokerGame.dealFlop();
-            this.gameState = 'poker_flop';
-            return true;
-        }
-        return false;
-    }
-
-    pokerDealTurn() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_flop') {
-            this.pokerGame.dealTurn();
-            this.gameState = 'poker_turn';
-            return true;
-        }
-        return false;
-    }
-
-    pokerDealRiver() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_turn') {
-            this.pokerGame.dealRiver();
-            this.gameState = 'poker_river';
-            return true;
-        }
-        return false;
-    }
-
-    pokerShowdown() {
-        if (this.gameType === 'poker' && this.gameState === 'poker_river') {
-            const winner = this.pokerGame.determineWinner();
-            this.gameState = 'poker_showdown';
-            return winner;
-        }
-        return null;
-    }
-
-    handleCardSelection(card) {
-        if (!card || this.gameState !== GameState.PLAYING) return;
-        
-        this.selectedCard = card;
-        this.uiManager.updateStatus(`Selected card: ${card.state1.value} of ${card.state1.suit}`);
-    }
-} 
\ No newline at end of file
+}
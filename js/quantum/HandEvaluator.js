@@ -0,0 +1,142 @@
+// Probabilities this close to 0 or 1 are treated as exact
+const EPSILON = 1e-9;
+
+// Blackjack value of a basis state with aces counted as 1
+const hardValue = state => Math.min(state.value, 10);
+
+/**
+ * Exact blackjack hand evaluator for quantum hands.
+ *
+ * A hand is folded into a distribution over (hard total, holds an ace) where
+ * aces count 1; one ace is then promoted to 11 whenever that doesn't bust,
+ * which gives the usual soft/hard totals. Independent cards contribute their
+ * own getValueProbabilities(); cards of the hand that share a register
+ * (entangled pairs and GHZ groups) are folded in jointly, so their
+ * correlations shape the distribution instead of being treated as independent.
+ */
+export class HandEvaluator {
+    /**
+     * Evaluate a hand. Returns
+     *   distribution      - { total: probability } over final totals
+     *   expectedValue     - mean total
+     *   bustProbability   - P(total > 21)
+     *   twentyOneProbability - P(total === 21)
+     *   softProbability   - P(an ace is counting as 11)
+     *   softSeventeenProbability - P(a soft 17), on which an H17 dealer draws
+     *   isDefinite        - whether the total is certain
+     *   total             - the total when definite, otherwise null
+     */
+    static evaluate(hand) {
+        // Partial totals keyed by `${hard},${hasAce}`
+        let partials = new Map([['0,false', { hard: 0, hasAce: false, probability: 1 }]]);
+
+        for (const group of HandEvaluator.groupByRegister(hand)) {
+            partials = HandEvaluator.combine(partials, HandEvaluator.groupDistribution(group));
+        }
+
+        const distribution = {};
+        let softProbability = 0;
+        let softSeventeenProbability = 0;
+        for (const { hard, hasAce, probability } of partials.values()) {
+            const soft = hasAce && hard + 10 <= 21;
+            const total = soft ? hard + 10 : hard;
+            distribution[total] = (distribution[total] || 0) + probability;
+            if (soft) {
+                softProbability += probability;
+                if (total === 17) {
+                    softSeventeenProbability += probability;
+                }
+            }
+        }
+
+        return HandEvaluator.summarize(distribution, softProbability, softSeventeenProbability);
+    }
+
+    // Cards of the hand split by the register they live in, in hand order
+    static groupByRegister(hand) {
+        const groups = new Map();
+        for (const card of hand) {
+            if (!groups.has(card.register)) {
+                groups.set(card.register, []);
+            }
+            groups.get(card.register).push(card);
+        }
+        return [...groups.values()];
+    }
+
+    // Distribution of (hard total, holds an ace) contributed by cards sharing one register
+    static groupDistribution(cards) {
+        const outcomes = [];
+
+        if (cards.length === 1) {
+            // A card on its own (or whose partners are in another hand) is
+            // described completely by its marginal value probabilities
+            const probabilities = cards[0].getValueProbabilities();
+            for (const [gameValue, probability] of Object.entries(probabilities)) {
+                const isAce = Number(gameValue) === 11;
+                outcomes.push({ hard: isAce ? 1 : Number(gameValue), hasAce: isAce, probability });
+            }
+            return outcomes;
+        }
+
+        for (const joint of cards[0].register.getJointDistribution(cards)) {
+            const states = cards.map(card => joint.states.get(card));
+            outcomes.push({
+                hard: states.reduce((sum, state) => sum + hardValue(state), 0),
+                hasAce: states.some(state => state.value === 1),
+                probability: joint.probability
+            });
+        }
+        return outcomes;
+    }
+
+    // Convolve partial hand totals with the outcomes of the next group of cards
+    static combine(partials, outcomes) {
+        const combined = new Map();
+        for (const partial of partials.values()) {
+            for (const outcome of outcomes) {
+                const probability = partial.probability * outcome.probability;
+                if (probability < EPSILON) continue;
+
+                const hard = partial.hard + outcome.hard;
+                const hasAce = partial.hasAce || outcome.hasAce;
+                const key = `${hard},${hasAce}`;
+                if (!combined.has(key)) {
+                    combined.set(key, { hard, hasAce, probability: 0 });
+                }
+                combined.get(key).probability += probability;
+            }
+        }
+        return combined;
+    }
+
+    static summarize(distribution, softProbability, softSeventeenProbability = 0) {
+        let expectedValue = 0;
+        let bustProbability = 0;
+        for (const [total, probability] of Object.entries(distribution)) {
+            expectedValue += Number(total) * probability;
+            if (Number(total) > 21) {
+                bustProbability += probability;
+            }
+        }
+
+        const totals = Object.keys(distribution).map(Number);
+        const isDefinite = totals.length === 1;
+
+        return {
+            distribution,
+            expectedValue,
+            bustProbability,
+            twentyOneProbability: distribution[21] || 0,
+            softProbability,
+            softSeventeenProbability,
+            isDefinite,
+            total: isDefinite ? totals[0] : null
+        };
+    }
+
+    // Whether an event of the given probability is certain
+    static isCertain(probability) {
+        return probability > 1 - EPSILON;
+    }
+}
@@ -1,9 +1,32 @@
-import * as THREE from 'three';
+import { EventEmitter } from '../utils/EventEmitter.js';
 import { CardState } from './CardState.js';
+import { QuantumRegister } from './QuantumRegister.js';
+import { Complex } from './Complex.js';
+import { Gates, isUnitary } from './QuantumGates.js';
+import { Correlations } from './Correlations.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
-export class QuantumCard {
-    constructor(value, suit) {
+// Next id handed to a new card; saved games refer to cards by id
+let nextCardId = 1;
+
+/**
+ * A playing card with a quantum state. Cards hold no rendering code: they
+ * emit events that a renderer (see CardView) can animate -
+ *   'superposed'       the card entered superposition
+ *   'gateApplied'      a gate turned a superposed card's phase (angle)
+ *   'collapsed'        the card became definite (measured, decohered, interfered or branched)
+ *   'partnerMeasured'  an entangled partner was measured and this card renormalized
+ *   'partiallyMeasured' one property was observed (value) and the card kept the states that agree
+ *   'entangled'        the card joined an entangled group (cards)
+ *   'changed'          anything else about its quantum state changed
+ *   'flipped'          the card was turned face up or down (faceUp)
+ */
+export class QuantumCard extends EventEmitter {
+    constructor(value, suit, rng = defaultRandom) {
+        super();
+        
         // Base properties
+        this.id = nextCardId++;             // Identifies the card in saved games
         this.value = value;                 // Card value (1-13, where 1=Ace, 11=Jack, etc.)
         this.suit = suit;                   // Card suit (hearts, diamonds, clubs, spades)
         this.isFaceUp = false;              // Whether the card is face up
@@ -17,38 +40,81 @@ export class QuantumCard {
         // Enhanced quantum properties
         this.isInSuperposition = false;     // Whether the card is in superposition
         this.isEntangled = false;           // Whether the card is entangled
-        this.entangledWith = null;          // Card that this card is entangled with
-        this.superpositionStates = [];      // States for superposition
-        this.amplitudes = [];               // Complex amplitudes for each superposition state
-        this.phase = 0;                     // Phase angle for quantum interference
-        this.coherence = 1.0;               // Quantum coherence (decreases with measurement)
-        
-        // 3D properties
-        this.mesh = null;                   // THREE.js mesh for the card
-        this.position = null;               // Position in 3D space
-        this.rotation = null;               // Rotation in 3D space
-        this.flipAnimation = null;          // Animation for flipping the card
-        
-        // Initial state is the actual card value/suit
+        this.entangledWith = null;          // A card that this card is entangled with
+        this.superpositionStates = [];      // Basis states of this card in its quantum register
+        this.register = null;               // Joint state shared with entangled cards (see QuantumRegister)
+        this.coherence = 1.0;               // Quantum coherence (decays with play, see DecoherenceModel)
+        
+        // Mesh of the card, set by the renderer (SceneManager.addCard); the engine never reads it
+        this.mesh = null;
+        
+        // Seeded random source shared with the owning game (see GameManager.rng)
+        this.rng = rng;
+        
+        // Deck that supplies alternative states and takes back unused branches
+        // (see BlackjackGame.drawAlternativeState); null for a card outside a game
+        this.shoe = null;
+        
+        // Initial state is the actual card value/suit, with 100% probability
         this.superpositionStates.push({ value: this.value, suit: this.suit });
-        this.amplitudes.push({ real: 1.0, imag: 0.0 });  // 100% probability for the actual state
+        QuantumRegister.forCard(this);
+    }
+    
+    /**
+     * Complex amplitude of each superposition state, as seen from this card.
+     * This is a view onto the card's QuantumRegister.
+     */
+    get amplitudes() {
+        return this.register.getAmplitudes(this);
+    }
+    
+    set amplitudes(amplitudes) {
+        this.register.setAmplitudes(this, amplitudes);
+    }
+    
+    /**
+     * Relative phase between the first two superposition states
+     */
+    get phase() {
+        const amplitudes = this.amplitudes;
+        if (amplitudes.length < 2) {
+            return 0;
+        }
+        const phase = Complex.arg(amplitudes[1]) - Complex.arg(amplitudes[0]);
+        return (phase + 2 * Math.PI) % (2 * Math.PI);
+    }
+    
+    /**
+     * Refresh the card's flags after its register changed (entangled, measured, split)
+     */
+    syncFromRegister() {
+        const states = this.superpositionStates;
+        const partners = this.register.cards.filter(card => card !== this);
+        
+        this.isInSuperposition = states.length > 1;
+        this.isEntangled = partners.length > 0;
+        this.entangledWith = partners.length > 0 ? partners[0] : null;
+        
+        if (!this.isInSuperposition) {
+            this.value = states[0].value;
+            this.suit = states[0].suit;
+        }
+        
+        this.state1 = states[0];
+        this.state2 = states.length > 1 ? states[1] : null;
     }
     
     /**
      * Convert the card to a string representation
      */
     toString() {
-        // If card is in superposition, show both possibilities
+        // If card is in superposition, show every possibility
         if (this.isInSuperposition) {
-            const state1 = this.getValueString(this.superpositionStates[0].value) + 
-                           ' of ' + 
-                           this.capitalizeFirstLetter(this.superpositionStates[0].suit);
+            const states = this.superpositionStates.map(state =>
+                this.getValueString(state.value) + ' of ' + this.capitalizeFirstLetter(state.suit)
+            );
             
-            const state2 = this.getValueString(this.superpositionStates[1].value) + 
-                           ' of ' + 
-                           this.capitalizeFirstLetter(this.superpositionStates[1].suit);
-            
-            return `[${state1} | ${state2}]`;
+            return `[${states.join(' | ')}]`;
         }
         
         // Regular card
@@ -120,9 +186,10 @@ export class QuantumCard {
         const probabilities = {};
         
         if (this.isInSuperposition) {
+            const amplitudes = this.amplitudes;
             for (let i = 0; i < this.superpositionStates.length; i++) {
                 const state = this.superpositionStates[i];
-                const amplitude = this.amplitudes[i];
+                const amplitude = amplitudes[i];
                 const probability = amplitude.real * amplitude.real + amplitude.imag * amplitude.imag;  // Quantum probability is the square of the amplitude
                 
                 let gameValue;
@@ -148,164 +215,137 @@ export class QuantumCard {
     }
     
     /**
-     * Apply Hadamard gate to put card in superposition
+     * Put the card in superposition with a Hadamard gate, or interfere the
+     * branches of a card that is already superposed: H·H returns the original
+     * card and H·Z·H flips to the alternative.
      */
     applySuperposition() {
-        if (this.isInSuperposition) {
-            console.log("Card is already in superposition");
+        return this.applyGate(Gates.H);
+    }
+    
+    /**
+     * Apply any unitary gate to this card and announce the outcome.
+     * If the card has fewer states than the gate, it first gains alternative
+     * states drawn from the shoe with zero amplitude, so a mixing gate such as
+     * H or a Fourier transform spreads it over them.
+     */
+    applyGate(matrix) {
+        if (!isUnitary(matrix)) {
+            console.error("Gate matrix is not unitary");
             return false;
         }
         
-        console.log(`Applying superposition to ${this.toString()}`);
-        
-        // Generate a random alternative state
-        const alternativeState = this.generateAlternativeState();
-        
-        // Add the alternative state to superposition states
-        this.superpositionStates.push(alternativeState);
-        
-        // Set complex amplitudes for both states (1/sqrt(2) ≈ 0.7071)
-        // Add a random phase for quantum interference effects
-        this.phase = Math.random() * Math.PI * 2;
-        this.amplitudes = [
-            { real: 0.7071 * Math.cos(this.phase), imag: 0.7071 * Math.sin(this.phase) },
-            { real: 0.7071 * Math.cos(this.phase + Math.PI), imag: 0.7071 * Math.sin(this.phase + Math.PI) }
-        ];
+        const wasInSuperposition = this.isInSuperposition;
+        const previousPhase = this.phase;
         
-        // Update state properties for easier access
-        this.state1 = this.superpositionStates[0];
-        this.state2 = this.superpositionStates[1];
-        
-        // Mark card as in superposition
-        this.isInSuperposition = true;
-        this.coherence = 1.0; // Reset coherence when entering superposition
-        
-        // Apply visual effect to card mesh if it exists
-        if (this.mesh) {
-            // Save original scale for animation
-            const originalScale = this.mesh.scale.clone();
-            
-            // Animate entering superposition
-            const duration = 800; // ms
-            const startTime = Date.now();
-            
-            const animate = () => {
-                const currentTime = Date.now();
-                const elapsed = currentTime - startTime;
-                const progress = Math.min(1, elapsed / duration);
-                
-                // Easing function for smoother animation
-                const eased = this.easeInOutCubic(progress);
-                
-                // Scale effect (pulse out and back)
-                if (progress < 0.5) {
-                    const scale = 1 + eased * 0.3; // Expand by 30%
-                    this.mesh.scale.set(scale, scale, scale);
-                } else {
-                    const scale = 1.3 - (eased - 0.5) * 0.6; // Contract back to slightly larger than original
-                    this.mesh.scale.set(scale, scale, scale);
-                }
-                
-                // Rotation effect (wobble)
-                this.mesh.rotation.z = Math.sin(progress * Math.PI * 4) * 0.2;
-                
-                // Add cyan glow effect with increasing intensity
-                if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                    const emissiveIntensity = progress * 0.3; // Ramp up to 0.3
-                    for (const mat of this.mesh.material) {
-                        mat.emissive = new THREE.Color(0, 1, 1);
-                        mat.emissiveIntensity = emissiveIntensity;
-                    }
-                }
-                
-                // Update texture as we progress
-                if (progress > 0.7 && this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
-                    this.mesh.material[4].map = this.createCardTexture();
-                    this.mesh.material[4].needsUpdate = true;
-                }
-                
-                // Continue animation if not complete
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Animation complete - set final values
-                    this.mesh.scale.set(1.1, 1.1, 1.1); // Slightly larger than original
-                    this.mesh.rotation.z = 0;
-                    
-                    // Add subtle pulsing animation for superposition state
-                    this.startSuperpositionPulse();
-                }
-            };
-            
-            // Start animation
-            animate();
+        while (this.superpositionStates.length < Math.max(matrix.length, 2)) {
+            if (!this.expandFromShoe()) return false;
+        }
+        this.register.applyGate(this, matrix);
+        
+        console.log(`Applied gate: ${this.toString()}`);
+        
+        if (!wasInSuperposition && this.isInSuperposition) {
+            this.coherence = 1.0; // Reset coherence when entering superposition
+            this.emit('superposed');
+        } else if (wasInSuperposition && !this.isInSuperposition) {
+            // Destructive interference cancelled every branch but one
+            this.coherence = 0.0;
+            this.emit('collapsed');
+        } else if (this.isInSuperposition) {
+            this.emit('gateApplied', this.phase - previousPhase);
+        } else {
+            this.emit('changed');
         }
         
-        console.log(`Card now in superposition: ${this.toString()}`);
         return true;
     }
     
     /**
-     * Start subtle pulsing animation for cards in superposition
+     * Add one alternative state with zero amplitude. If the shoe has run dry,
+     * states already drawn for this operation go back and this returns false.
      */
-    startSuperpositionPulse() {
-        if (!this.mesh) return;
-        
-        // Clear existing animation if any
-        if (this.pulseAnimation) {
-            cancelAnimationFrame(this.pulseAnimation);
+    expandFromShoe() {
+        const alternative = this.generateAlternativeState();
+        if (!alternative) {
+            console.log("No cards left in the shoe to superpose with");
+            this.register.simplify();
+            return false;
         }
         
-        const animate = () => {
-            if (!this.isInSuperposition || !this.mesh) return;
-            
-            // Subtle scale pulsing
-            const pulseAmount = 0.05 * Math.sin(Date.now() * 0.003 + this.phase);
-            this.mesh.scale.set(1.1 + pulseAmount, 1.1, 1.1 + pulseAmount);
-            
-            // Update glow intensity
-            if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                const emissiveIntensity = 0.2 + 0.1 * Math.sin(Date.now() * 0.004 + this.phase);
-                for (const mat of this.mesh.material) {
-                    mat.emissive = new THREE.Color(0, 1, 1);
-                    mat.emissiveIntensity = emissiveIntensity;
-                }
-            }
-            
-            // Continue animation as long as card is in superposition
-            this.pulseAnimation = requestAnimationFrame(animate);
-        };
-        
-        // Start the continuous animation
-        this.pulseAnimation = requestAnimationFrame(animate);
-    }
-    
-    /**
-     * Easing function for smooth animations
-     */
-    easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        this.register.expandBasis(this, alternative);
+        return true;
     }
     
     /**
-     * Generate a random alternative state for superposition
+     * Pick an alternative state for superposition. In a game it is a real card
+     * taken out of the remaining deck, so no physical card is ever in two places.
      */
     generateAlternativeState() {
-        // Generate a different value and suit than the current one
+        if (this.shoe) {
+            return this.shoe.drawAlternativeState(this);
+        }
+        
+        // Outside a game: a different value and suit than the current one
         const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
         const values = Array.from({length: 13}, (_, i) => i + 1);
         
-        // Remove current value and suit
+        // Remove the current suit and every value the card can already be
         const availableSuits = suits.filter(s => s !== this.suit);
-        const availableValues = values.filter(v => v !== this.value);
+        const availableValues = values.filter(v => !this.superpositionStates.some(state => state.value === v));
         
         // Randomly select a new value and suit
-        const newValue = availableValues[Math.floor(Math.random() * availableValues.length)];
-        const newSuit = availableSuits[Math.floor(Math.random() * availableSuits.length)];
+        const newValue = this.rng.pick(availableValues);
+        const newSuit = this.rng.pick(availableSuits);
         
         return { value: newValue, suit: newSuit };
     }
     
+    /**
+     * A branch of this card can no longer be observed (see
+     * QuantumRegister.removeBasisState): put that physical card back in the shoe
+     */
+    releaseState(state) {
+        if (this.shoe) {
+            this.shoe.returnState(state);
+        }
+    }
+    
+    /**
+     * Lose some coherence to the environment (see DecoherenceModel). Returns
+     * true if the card fell to the collapse threshold and was measured.
+     */
+    decohere(amount, collapseThreshold) {
+        if (!this.isInSuperposition) return false;
+        
+        this.coherence = Math.max(0, this.coherence - amount);
+        
+        if (this.coherence <= collapseThreshold) {
+            console.log(`${this.toString()} decohered and collapsed spontaneously`);
+            this.measure();
+            return true;
+        }
+        
+        this.dephase(1 - this.coherence);
+        this.emit('changed');
+        return false;
+    }
+    
+    /**
+     * Kick the phase of each state by a random angle of up to ±π·strength.
+     * Over many hands this washes out interference, leaving a classical mixture.
+     */
+    dephase(strength) {
+        const states = this.superpositionStates;
+        const matrix = states.map((_, row) => states.map((_, column) =>
+            row === column
+                ? Complex.fromPolar(1, (this.rng.next() * 2 - 1) * Math.PI * strength)
+                : Complex.create(0, 0)
+        ));
+        
+        this.register.applyGate(this, matrix);
+    }
+    
     /**
      * Measure card to collapse superposition
      */
@@ -317,199 +357,107 @@ export class QuantumCard {
         
         console.log(`Measuring superposition: ${this.toString()}`);
         
-        // Calculate probabilities from amplitudes
-        const probabilities = this.amplitudes.map(a => 
-            a.real * a.real + a.imag * a.imag
-        );
-        
-        // Choose a random outcome based on probabilities
-        const random = Math.random();
-        let cumulativeProbability = 0;
-        let selectedIndex = 0;
-        
-        for (let i = 0; i < probabilities.length; i++) {
-            cumulativeProbability += probabilities[i];
-            if (random < cumulativeProbability) {
-                selectedIndex = i;
-                break;
-            }
-        }
-        
-        // Store the selected state before collapse (for animation)
-        const selectedState = this.superpositionStates[selectedIndex];
-        const collapsedValue = selectedState.value;
-        const collapsedSuit = selectedState.suit;
-        
-        // Animate the collapse
-        this.animateCollapse(collapsedValue, collapsedSuit);
+        // Cards sharing our register are affected by the projection too
+        const partners = this.register.cards.filter(card => card !== this);
         
-        // Now collapse to the selected state
-        this.value = collapsedValue;
-        this.suit = collapsedSuit;
+        // Choose an outcome by the Born rule and project the joint state onto it
+        const states = [...this.superpositionStates];
+        const selectedState = states[this.register.measure(this, this.rng)];
         
-        // Update state properties
+        // The register has already collapsed us to the selected state
         this.state1 = { value: this.value, suit: this.suit };
         this.state2 = null;
-        
-        // Reset superposition properties
-        this.isInSuperposition = false;
-        this.superpositionStates = [{ value: this.value, suit: this.suit }];
-        this.amplitudes = [{ real: 1.0, imag: 0.0 }];
         this.coherence = 0.0; // Coherence is lost after measurement
         
         console.log(`Superposition collapsed to: ${this.toString()}`);
+        this.emit('collapsed');
         
-        // If this card is entangled with another, measure that card too with same color outcome
-        if (this.isEntangled && this.entangledWith) {
-            this.measureEntangledCard();
+        // Entangled partners were projected and renormalized along with us
+        for (const partner of partners) {
+            partner.onPartnerMeasured();
         }
         
         return true;
     }
     
     /**
-     * Animate the collapse of superposition
+     * Observe only property(state) of the card - its color, say - and keep it
+     * superposed among the states that agree. Returns the observed value, or
+     * null if the card is not in superposition.
      */
-    animateCollapse(collapsedValue, collapsedSuit) {
-        if (!this.mesh) return;
-        
-        // Stop any ongoing pulse animations
-        if (this.pulseAnimation) {
-            cancelAnimationFrame(this.pulseAnimation);
-            this.pulseAnimation = null;
+    measureProperty(property) {
+        if (!this.isInSuperposition) {
+            console.log("Card is not in superposition, nothing to measure");
+            return null;
         }
         
-        // Create animation
-        const duration = 700; // ms
-        const startTime = Date.now();
+        const partners = this.register.cards.filter(card => card !== this);
+        const observed = this.register.measureProperty(this, property, this.rng);
         
-        const animate = () => {
-            const currentTime = Date.now();
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(1, elapsed / duration);
-            
-            // Easing function
-            const eased = this.easeInOutCubic(progress);
-            
-            // Phase 1: Collapse effect
-            if (progress < 0.5) {
-                // Rapidly pulse scale
-                const scale = 1.1 + 0.2 * Math.sin(progress * Math.PI * 10);
-                this.mesh.scale.set(scale, scale, scale);
-                
-                // Flicker intensity
-                if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                    const flicker = Math.random() * progress;
-                    for (const mat of this.mesh.material) {
-                        mat.emissive = new THREE.Color(0, 1 - progress * 2, 1 - progress * 2);
-                        mat.emissiveIntensity = 0.3 * (1 - flicker);
-                    }
-                }
-                
-                // Spin the card
-                this.mesh.rotation.z = Math.sin(progress * Math.PI * 6) * 0.3;
-            } 
-            // Phase 2: Settle into final state
-            else {
-                // Return to normal scale with damping
-                const dampedScale = 1 + 0.1 * Math.sin(progress * Math.PI * 6) * Math.exp(-(progress - 0.5) * 10);
-                this.mesh.scale.set(dampedScale, dampedScale, dampedScale);
-                
-                // Fade out glow
-                if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                    const fadeOut = 0.3 * (1 - eased);
-                    for (const mat of this.mesh.material) {
-                        mat.emissive = new THREE.Color(0, 0, 0);
-                        mat.emissiveIntensity = fadeOut;
-                    }
-                }
-                
-                // Stabilize rotation
-                this.mesh.rotation.z = Math.sin(progress * Math.PI * 4) * 0.1 * (1 - eased);
-                
-                // Update texture to show collapsed state
-                if (progress > 0.8 && this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
-                    this.mesh.material[4].map = this.createCardTexture();
-                    this.mesh.material[4].needsUpdate = true;
-                }
-            }
-            
-            // Continue animation if not complete
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Animation complete - reset to normal
-                this.mesh.scale.set(1, 1, 1);
-                this.mesh.rotation.z = 0;
-            }
-        };
+        if (this.isInSuperposition) {
+            console.log(`Partially measured ${observed}: ${this.toString()}`);
+            this.emit('partiallyMeasured', observed);
+        } else {
+            // Only one state had the observed value
+            this.state1 = { value: this.value, suit: this.suit };
+            this.state2 = null;
+            this.coherence = 0.0;
+            console.log(`Partially measured ${observed} and collapsed to: ${this.toString()}`);
+            this.emit('collapsed');
+        }
         
-        // Start animation
-        animate();
+        for (const partner of partners) {
+            partner.onPartnerMeasured();
+        }
+        
+        return observed;
     }
     
     /**
-     * Measure an entangled card to match this card's suit color
+     * An entangled partner was measured and this card's state was projected with it
      */
-    measureEntangledCard() {
-        if (!this.entangledWith || !this.entangledWith.isInSuperposition) {
-            return;
-        }
-        
-        const entangledCard = this.entangledWith;
-        console.log(`Measuring entangled card: ${entangledCard.toString()}`);
-        
-        // Determine the color of this card's suit
-        const thisColor = this.getCardColor();
-        
-        // Filter the entangled card's states to match the same color
-        const matchingStates = entangledCard.superpositionStates.filter(state => {
-            return this.getSuitColor(state.suit) === thisColor;
-        });
-        
-        if (matchingStates.length === 0) {
-            console.error("No matching color states found for entangled card");
+    onPartnerMeasured() {
+        if (!this.isInSuperposition) {
+            // The projection left only one branch for this card
+            this.coherence = 0.0;
+            console.log(`Entangled card collapsed to: ${this.toString()}`);
+            this.emit('collapsed');
             return;
         }
         
-        // Pick a random state from the matching states
-        const selectedState = matchingStates[Math.floor(Math.random() * matchingStates.length)];
-        
-        // Collapse the entangled card to this state
-        entangledCard.value = selectedState.value;
-        entangledCard.suit = selectedState.suit;
-        
-        // Reset superposition properties of entangled card
-        entangledCard.isInSuperposition = false;
-        entangledCard.isEntangled = false;
-        entangledCard.entangledWith = null;
-        entangledCard.superpositionStates = [{ value: entangledCard.value, suit: entangledCard.suit }];
-        entangledCard.amplitudes = [{ real: 1.0, imag: 0.0 }];
-        
-        // Update the entangled card's mesh
-        if (entangledCard.mesh) {
-            // Remove glow effect
-            if (entangledCard.mesh.material && Array.isArray(entangledCard.mesh.material)) {
-                for (const mat of entangledCard.mesh.material) {
-                    mat.emissive = new THREE.Color(0, 0, 0);
-                    mat.emissiveIntensity = 0;
-                }
-            }
-            
-            // Update card texture
-            if (entangledCard.mesh.material && Array.isArray(entangledCard.mesh.material) && entangledCard.mesh.material[4]) {
-                entangledCard.mesh.material[4].map = entangledCard.createCardTexture();
-                entangledCard.mesh.material[4].needsUpdate = true;
-            }
+        console.log(`Entangled card renormalized: ${this.toString()}`);
+        this.emit('partnerMeasured');
+    }
+
+    /**
+     * Many-worlds split of a two-branch card: this card keeps its first branch
+     * and a new card is made from the second, both definite. The second branch
+     * is already a physical card taken from the shoe, so nothing is returned
+     * there - it simply gets its own card on the table. Returns the new card,
+     * or null if the card isn't an unentangled two-branch superposition.
+     */
+    branch() {
+        if (!this.isInSuperposition || this.isEntangled || this.superpositionStates.length !== 2) {
+            console.log("Only an unentangled card with two branches can be split");
+            return null;
         }
-        
-        console.log(`Entangled card collapsed to: ${entangledCard.toString()}`);
-        
-        // Reset this card's entanglement
-        this.isEntangled = false;
-        this.entangledWith = null;
+
+        const [kept, split] = this.superpositionStates;
+        const other = new QuantumCard(split.value, split.suit, this.rng);
+        other.shoe = this.shoe;
+        other.isFaceUp = this.isFaceUp;
+        other.coherence = 0.0;
+
+        this.superpositionStates = [kept];
+        QuantumRegister.forCard(this);
+        this.syncFromRegister();
+        this.coherence = 0.0;
+
+        console.log(`Card branched into ${this.toString()} and ${other.toString()}`);
+        this.emit('collapsed');
+        return other;
     }
-    
+
     /**
      * Get the color of the card's suit (red or black)
      */
@@ -525,459 +473,152 @@ export class QuantumCard {
     }
     
     /**
-     * Entangle this card with another card
+     * Entangle this card with another superposed card under one of the
+     * Correlations (same color by default)
+     */
+    entangleWith(targetCard, correlationKey = 'sameColor') {
+        return QuantumCard.entangleGroup([this, targetCard], correlationKey);
+    }
+    
+    /**
+     * Entangle two or more superposed cards into one group. With three or more
+     * cards this is a GHZ-style state: every branch satisfies the correlation
+     * for the whole group, so measuring any member settles all of them.
      */
-    entangleWith(targetCard) {
-        if (this.isEntangled || targetCard.isEntangled) {
+    static entangleGroup(cards, correlationKey = 'sameColor') {
+        const correlation = Correlations[correlationKey];
+        if (!correlation) {
+            console.error(`Unknown correlation: ${correlationKey}`);
+            return false;
+        }
+        
+        if (correlation.pairOnly && cards.length !== 2) {
+            console.log(`The ${correlation.label} correlation links exactly two cards`);
+            return false;
+        }
+        
+        if (cards.length < 2 || new Set(cards).size !== cards.length) {
+            console.log("Entanglement needs at least two different cards");
+            return false;
+        }
+        
+        if (cards.some(card => card.isEntangled)) {
             console.log("One of the cards is already entangled");
             return false;
         }
         
-        if (!this.isInSuperposition || !targetCard.isInSuperposition) {
-            console.log("Both cards must be in superposition to entangle");
+        if (cards.some(card => !card.isInSuperposition)) {
+            console.log("Every card must be in superposition to entangle");
             return false;
         }
         
-        console.log(`Entangling ${this.toString()} with ${targetCard.toString()}`);
+        const names = cards.map(card => card.toString()).join(', ');
+        console.log(`Entangling ${names}`);
+        
+        // Project the joint state onto the branches that satisfy the correlation
+        const register = QuantumRegister.entangle(cards, correlation.test);
         
-        // Set entanglement properties
-        this.isEntangled = true;
-        targetCard.isEntangled = true;
-        this.entangledWith = targetCard;
-        targetCard.entangledWith = this;
+        if (!register) {
+            console.log(`These cards have no branches satisfying ${correlation.label} to entangle`);
+            return false;
+        }
+        register.correlation = correlation;
         
-        // Animate both cards during entanglement
-        this.animateEntanglement(targetCard);
+        for (const card of cards) {
+            card.emit('entangled', cards);
+        }
         
-        console.log(`Cards are now entangled: ${this.toString()} and ${targetCard.toString()}`);
+        console.log(`Cards are now entangled: ${cards.map(card => card.toString()).join(', ')}`);
         return true;
     }
     
     /**
-     * Animate the entanglement effect between two cards
+     * Every card sharing this card's entangled state, including this one
      */
-    animateEntanglement(targetCard) {
-        if (!this.mesh || !targetCard.mesh) return;
-        
-        // Save original positions and rotations
-        const thisOrigPos = this.mesh.position.clone();
-        const targetOrigPos = targetCard.mesh.position.clone();
-        const thisOrigRot = this.mesh.rotation.clone();
-        const targetOrigRot = targetCard.mesh.rotation.clone();
-        
-        // Create animation
-        const duration = 1500; // ms
-        const startTime = Date.now();
-        
-        const animate = () => {
-            const currentTime = Date.now();
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(1, elapsed / duration);
-            
-            // Easing function
-            const eased = this.easeInOutCubic(progress);
-            
-            // Phase 1 (0-0.4): Cards move toward each other slightly
-            if (progress < 0.4) {
-                const p = eased * 2.5; // Remap to 0-1 for this phase
-                
-                // Move cards closer
-                const midpoint = new THREE.Vector3().addVectors(thisOrigPos, targetOrigPos).multiplyScalar(0.5);
-                this.mesh.position.lerpVectors(thisOrigPos, midpoint, p * 0.3);
-                targetCard.mesh.position.lerpVectors(targetOrigPos, midpoint, p * 0.3);
-                
-                // Add magenta color with increasing intensity
-                if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                    const intensity = p * 0.3;
-                    for (const mat of this.mesh.material) {
-                        mat.emissive = new THREE.Color(1, 0, 1);
-                        mat.emissiveIntensity = intensity;
-                    }
-                }
-                
-                if (targetCard.mesh.material && Array.isArray(targetCard.mesh.material)) {
-                    const intensity = p * 0.3;
-                    for (const mat of targetCard.mesh.material) {
-                        mat.emissive = new THREE.Color(1, 0, 1);
-                        mat.emissiveIntensity = intensity;
-                    }
-                }
-            } 
-            // Phase 2 (0.4-0.6): Spin effect
-            else if (progress < 0.6) {
-                const p = (progress - 0.4) * 5; // Remap to 0-1 for this phase
-                
-                // Spin the cards
-                this.mesh.rotation.z = thisOrigRot.z + p * Math.PI * 2;
-                targetCard.mesh.rotation.z = targetOrigRot.z + p * Math.PI * 2;
-                
-                // Pulse scale
-                const scale = 1 + 0.2 * Math.sin(p * Math.PI * 3);
-                this.mesh.scale.set(scale, scale, scale);
-                targetCard.mesh.scale.set(scale, scale, scale);
-            }
-            // Phase 3 (0.6-1.0): Return to original positions with glow
-            else {
-                const p = (progress - 0.6) * 2.5; // Remap to 0-1 for this phase
-                
-                // Return to original positions
-                this.mesh.position.lerpVectors(this.mesh.position, thisOrigPos, p);
-                targetCard.mesh.position.lerpVectors(targetCard.mesh.position, targetOrigPos, p);
-                
-                // Return to original rotation
-                this.mesh.rotation.z = thisOrigRot.z;
-                targetCard.mesh.rotation.z = targetOrigRot.z;
-                
-                // Set final scale
-                this.mesh.scale.set(1.1, 1.1, 1.1);
-                targetCard.mesh.scale.set(1.1, 1.1, 1.1);
-                
-                // Update card textures to show entangled state
-                if (progress > 0.8) {
-                    if (this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
-                        this.mesh.material[4].map = this.createCardTexture();
-                        this.mesh.material[4].needsUpdate = true;
-                    }
-                    
-                    if (targetCard.mesh.material && Array.isArray(targetCard.mesh.material) && targetCard.mesh.material[4]) {
-                        targetCard.mesh.material[4].map = targetCard.createCardTexture();
-                        targetCard.mesh.material[4].needsUpdate = true;
-                    }
-                }
-            }
-            
-            // Continue animation if not complete
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Animation complete
-                this.startEntanglementPulse();
-                targetCard.startEntanglementPulse();
-            }
-        };
-        
-        // Start animation
-        animate();
+    getEntangledGroup() {
+        return this.isEntangled ? [...this.register.cards] : [this];
     }
     
     /**
-     * Start subtle pulsing animation for entangled cards
+     * Plain-object snapshot of the card for saving. An entangled card also
+     * carries its whole register (partner ids and joint amplitudes), so the
+     * correlations survive exactly; see QuantumCard.fromJSONList.
      */
-    startEntanglementPulse() {
-        if (!this.mesh) return;
-        
-        // Clear existing animation if any
-        if (this.pulseAnimation) {
-            cancelAnimationFrame(this.pulseAnimation);
-        }
-        
-        const animate = () => {
-            if (!this.isEntangled || !this.mesh) return;
-            
-            // Subtle scale pulsing
-            const pulseAmount = 0.05 * Math.sin(Date.now() * 0.002);
-            this.mesh.scale.set(1.1 + pulseAmount, 1.1, 1.1 + pulseAmount);
-            
-            // Update glow intensity
-            if (this.mesh.material && Array.isArray(this.mesh.material)) {
-                const emissiveIntensity = 0.2 + 0.1 * Math.sin(Date.now() * 0.003);
-                for (const mat of this.mesh.material) {
-                    mat.emissive = new THREE.Color(1, 0, 1);
-                    mat.emissiveIntensity = emissiveIntensity;
-                }
-            }
-            
-            // Continue animation as long as card is entangled
-            this.pulseAnimation = requestAnimationFrame(animate);
+    toJSON() {
+        const register = this.register;
+        const copy = amplitude => Complex.create(amplitude.real, amplitude.imag);
+        
+        return {
+            id: this.id,
+            value: this.value,
+            suit: this.suit,
+            isFaceUp: this.isFaceUp,
+            states: this.superpositionStates.map(state => ({ value: state.value, suit: state.suit })),
+            amplitudes: this.amplitudes.map(copy),
+            phase: this.phase,
+            coherence: this.coherence,
+            entangledWith: register.cards.filter(card => card !== this).map(card => card.id),
+            register: this.isEntangled ? {
+                cards: register.cards.map(card => card.id),
+                amplitudes: register.amplitudes.map(copy),
+                correlation: register.correlation ? register.correlation.key : null
+            } : null
         };
-        
-        // Start the continuous animation
-        this.pulseAnimation = requestAnimationFrame(animate);
-    }
-    
-    /**
-     * Create a texture for the card
-     */
-    createCardTexture() {
-        // Canvas for drawing card face
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 768;
-        const ctx = canvas.getContext('2d');
-        
-        // Create gradient background based on suit
-        let gradientColors;
-        if (this.suit === 'hearts' || this.suit === 'diamonds') {
-            gradientColors = ['#ffeeee', '#ffffff', '#ffdddd']; // Red suits
-        } else {
-            gradientColors = ['#eeeeff', '#ffffff', '#ddddff']; // Black suits
-        }
-        
-        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-        gradient.addColorStop(0, gradientColors[0]);
-        gradient.addColorStop(0.5, gradientColors[1]);
-        gradient.addColorStop(1, gradientColors[2]);
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw card border with rounded corners
-        ctx.strokeStyle = '#333333';
-        ctx.lineWidth = 8;
-        ctx.lineJoin = 'round';
-        ctx.beginPath();
-        ctx.roundRect(10, 10, canvas.width - 20, canvas.height - 20, 20);
-        ctx.stroke();
-        
-        // Determine color based on suit
-        const color = (this.suit === 'hearts' || this.suit === 'diamonds') ? '#ee0000' : '#000066';
-        
-        // Get value and suit symbols
-        const valueText = this.getValueText();
-        const suitSymbol = this.getSuitSymbol();
-        
-        // Top left value and suit with decorative styling
-        ctx.font = 'bold 80px Arial, sans-serif';
-        ctx.fillStyle = color;
-        ctx.textAlign = 'left';
-        
-        // Add shadow for depth
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-        ctx.shadowBlur = 5;
-        ctx.shadowOffsetX = 2;
-        ctx.shadowOffsetY = 2;
-        
-        // Draw value
-        ctx.fillText(valueText, 40, 100);
-        
-        // Draw suit with slight offset
-        ctx.font = 'bold 80px Arial, sans-serif';
-        ctx.fillText(suitSymbol, 40, 180);
-        
-        // Bottom right value and suit (upside down)
-        ctx.save();
-        ctx.translate(canvas.width - 40, canvas.height - 40);
-        ctx.rotate(Math.PI);
-        ctx.textAlign = 'right';
-        ctx.fillText(valueText, 0, 0);
-        ctx.fillText(suitSymbol, 0, 80);
-        ctx.restore();
-        
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 0;
-        
-        // Draw decorative suit pattern in the background
-        ctx.save();
-        ctx.globalAlpha = 0.03;
-        ctx.fillStyle = color;
-        
-        for (let i = 0; i < 5; i++) {
-            for (let j = 0; j < 8; j++) {
-                ctx.font = '50px Arial, sans-serif';
-                ctx.fillText(suitSymbol, 100 + i * 80, 150 + j * 80);
-            }
-        }
-        ctx.restore();
-        
-        // Large central suit with glow
-        ctx.font = 'bold 300px Arial, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillStyle = color;
-        
-        // Add glow effect
-        ctx.shadowColor = this.isInSuperposition ? '#00ffff' : (this.isEntangled ? '#ff00ff' : color);
-        ctx.shadowBlur = this.isInSuperposition || this.isEntangled ? 30 : 10;
-        
-        // Draw the central suit symbol
-        ctx.fillText(suitSymbol, canvas.width / 2, canvas.height / 2 + 75);
-        
-        // Reset shadow for further drawing
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        
-        // Add quantum effects if in superposition
-        if (this.isInSuperposition) {
-            // Add wave interference pattern
-            ctx.save();
-            ctx.globalAlpha = 0.2;
-            ctx.strokeStyle = '#00ffff';
-            ctx.lineWidth = 2;
-            
-            // Draw interference waves based on phase
-            for (let i = 0; i < 20; i++) {
-                const y = canvas.height * (i / 20);
-                const amplitude = 30 * Math.sin(this.phase + i * Math.PI / 10);
-                const wavelength = 15 + 10 * Math.sin(this.phase / 2);
-                
-                ctx.beginPath();
-                ctx.moveTo(0, y);
-                
-                for (let x = 0; x < canvas.width; x += 5) {
-                    const yOffset = amplitude * Math.sin((x / wavelength) + this.phase);
-                    ctx.lineTo(x, y + yOffset);
-                }
-                
-                ctx.stroke();
-            }
-            ctx.restore();
-            
-            // Add probability indicators in a more visually appealing display
-            ctx.save();
-            
-            // Create a semi-transparent panel for probabilities
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-            ctx.beginPath();
-            ctx.roundRect(40, canvas.height - 200, canvas.width - 80, 160, 10);
-            ctx.fill();
-            
-            // Title for probability panel
-            ctx.font = 'bold 24px Arial, sans-serif';
-            ctx.fillStyle = '#ffffff';
-            ctx.textAlign = 'center';
-            ctx.fillText('QUANTUM STATES', canvas.width / 2, canvas.height - 170);
-            
-            // Display each state with probability bars
-            this.superpositionStates.forEach((state, index) => {
-                const prob = this.amplitudes[index].real * this.amplitudes[index].real + 
-                            this.amplitudes[index].imag * this.amplitudes[index].imag;
-                
-                // Get display values
-                const displayValue = this.getValueString(state.value);
-                const displaySuit = this.capitalizeFirstLetter(state.suit);
-                const stateColor = (state.suit === 'hearts' || state.suit === 'diamonds') ? '#ff6666' : '#6666ff';
-                
-                // Position for this state entry
-                const y = canvas.height - 140 + index * 50;
-                
-                // Draw state description
-                ctx.textAlign = 'left';
-                ctx.font = '20px Arial, sans-serif';
-                ctx.fillStyle = '#ffffff';
-                ctx.fillText(`${displayValue} of ${displaySuit}:`, 50, y);
-                
-                // Draw probability bar background
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-                ctx.beginPath();
-                ctx.roundRect(250, y - 15, 200, 20, 5);
-                ctx.fill();
-                
-                // Draw probability bar
-                ctx.fillStyle = stateColor;
-                ctx.beginPath();
-                ctx.roundRect(250, y - 15, 200 * prob, 20, 5);
-                ctx.fill();
-                
-                // Draw probability percentage
-                ctx.textAlign = 'right';
-                ctx.fillStyle = '#ffffff';
-                ctx.font = 'bold 16px Arial, sans-serif';
-                ctx.fillText(`${(prob * 100).toFixed(1)}%`, canvas.width - 50, y);
-            });
-            
-            ctx.restore();
-        }
-        
-        // Add entanglement indicators
-        if (this.isEntangled && this.entangledWith) {
-            ctx.save();
-            
-            // Add entanglement indicator at top
-            ctx.fillStyle = 'rgba(255, 0, 255, 0.8)';
-            ctx.beginPath();
-            ctx.roundRect(canvas.width / 2 - 100, 20, 200, 40, 10);
-            ctx.fill();
-            
-            ctx.font = 'bold 20px Arial, sans-serif';
-            ctx.fillStyle = '#ffffff';
-            ctx.textAlign = 'center';
-            ctx.fillText('ENTANGLED', canvas.width / 2, 48);
-            
-            // Add pulsing effect
-            const pulseOpacity = 0.3 + 0.2 * Math.sin(Date.now() * 0.003);
-            ctx.globalAlpha = pulseOpacity;
-            ctx.strokeStyle = '#ff00ff';
-            ctx.lineWidth = 5;
-            ctx.setLineDash([10, 5]);
-            ctx.beginPath();
-            ctx.roundRect(20, 20, canvas.width - 40, canvas.height - 40, 20);
-            ctx.stroke();
-            
-            ctx.restore();
-        }
-        
-        // Create texture from canvas
-        const texture = new THREE.Texture(canvas);
-        texture.needsUpdate = true;
-        
-        return texture;
     }
     
     /**
-     * Get the text representation of the card's value
+     * Rebuild a card from toJSON(). The card gets a register of its own;
+     * entangled cards are relinked by fromJSONList. The phase is implied by
+     * the amplitudes and is only saved for reference.
      */
-    getValueText() {
-        switch (this.value) {
-            case 1: return 'A';
-            case 11: return 'J';
-            case 12: return 'Q';
-            case 13: return 'K';
-            default: return this.value.toString();
-        }
+    static fromJSON(data, rng = defaultRandom) {
+        const card = new QuantumCard(data.value, data.suit, rng);
+        card.id = data.id;
+        nextCardId = Math.max(nextCardId, data.id + 1);
+        
+        card.isFaceUp = data.isFaceUp;
+        card.coherence = data.coherence;
+        card.superpositionStates = data.states.map(state => ({ value: state.value, suit: state.suit }));
+        QuantumRegister.forCard(card, data.amplitudes.map(a => Complex.create(a.real, a.imag)));
+        card.syncFromRegister();
+        
+        return card;
     }
     
     /**
-     * Get the Unicode symbol for the card's suit
+     * Rebuild several cards and restore the registers they share. Every card
+     * an entangled card refers to must be in the list.
      */
-    getSuitSymbol() {
-        switch (this.suit) {
-            case 'hearts': return '♥';
-            case 'diamonds': return '♦';
-            case 'clubs': return '♣';
-            case 'spades': return '♠';
-            default: return '?';
+    static fromJSONList(list, rng = defaultRandom) {
+        const cards = list.map(data => QuantumCard.fromJSON(data, rng));
+        const byId = new Map(cards.map(card => [card.id, card]));
+        
+        for (const data of list) {
+            const saved = data.register;
+            // Each register is rebuilt once, from its first card
+            if (!saved || saved.cards[0] !== data.id) continue;
+            
+            const members = saved.cards.map(id => byId.get(id));
+            if (members.some(card => !card)) {
+                throw new Error(`Cannot restore entanglement of card ${data.id}: a partner card is missing`);
+            }
+            
+            const register = new QuantumRegister(members, saved.amplitudes.map(a => Complex.create(a.real, a.imag)));
+            register.correlation = saved.correlation ? Correlations[saved.correlation] : null;
+            register.attach();
+            for (const card of members) {
+                card.syncFromRegister();
+            }
         }
+        
+        return cards;
     }
     
     /**
-     * Flip the card
+     * Turn the card face up or face down
      */
     flip(faceUp = !this.isFaceUp) {
         this.isFaceUp = faceUp;
-        
-        // If the card has a mesh, animate the flip
-        if (this.mesh) {
-            // Animate flip
-            const initialRotation = this.mesh.rotation.y;
-            const targetRotation = faceUp ? 0 : Math.PI;
-            
-            // Use a simple animation loop
-            let progress = 0;
-            const duration = 500; // ms
-            const startTime = Date.now();
-            
-            const animate = () => {
-                const currentTime = Date.now();
-                progress = Math.min(1, (currentTime - startTime) / duration);
-                
-                // Easing function for smoother animation
-                const eased = 0.5 - 0.5 * Math.cos(progress * Math.PI);
-                
-                // Update rotation
-                this.mesh.rotation.y = initialRotation * (1 - eased) + targetRotation * eased;
-                
-                // Continue animation if not complete
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Animation complete
-                    this.mesh.rotation.y = targetRotation;
-                }
-            };
-            
-            // Start animation
-            animate();
-        }
+        this.emit('flipped', faceUp);
     }
 } 
\ No newline at end of file
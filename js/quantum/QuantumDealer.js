@@ -0,0 +1,159 @@
+import { GateRegistry } from './QuantumGates.js';
+import { QuantumCard } from './QuantumCard.js';
+import { Correlations } from './Correlations.js';
+import { HandEvaluator } from './HandEvaluator.js';
+
+// How readily the quantum dealer plays its chips
+export const DEALER_POLICY = {
+    bustRisk: 0.5,                  // Chance of busting at which a card is worth superposing...
+    superposeOnBustRisk: 0.75,      // ...and how often the dealer does it
+    entangleHoleCard: 0.5,          // Chance, once per hand, of going after a superposed player card
+    undecided: [0.2, 0.8]           // Chance of hitting at which the dealer measures its hand first
+};
+
+/**
+ * The dealer's side of quantum dealer mode (rules.quantumDealer). The dealer
+ * holds rules.dealerChips each hand and, before each hit-or-stand decision,
+ * may play one of them:
+ *   - Schrödinger on its own superposed card when the hit decision hangs on it
+ *   - Hadamard on the card that has put it at risk of busting
+ *   - Hadamard on its hole card, then Entanglement between that card and a
+ *     superposed player card, with a correlation picked at random
+ * Rolls use the session's seeded RNG, so a dealer's play replays with its hand.
+ * Moves act on the cards themselves, so the scene animates them like the
+ * player's chips; BlackjackGame narrates them.
+ */
+export class QuantumDealer {
+    constructor(game) {
+        this.game = game;
+        this.chips = {};
+        this.holeCardPlan = null;   // null until decided each hand, then 'pass', 'superposed' or 'done'
+    }
+
+    // A fresh stack of chips for the hand
+    refill() {
+        this.chips = { ...this.game.rules.dealerChips };
+        this.holeCardPlan = null;
+    }
+
+    get rng() {
+        return this.game.gameManager.rng;
+    }
+
+    // Pick and play one chip. Returns { chip, cards, message }, or null to
+    // leave the hand to the usual hit-or-stand rule.
+    playChip() {
+        const hand = this.game.dealerHand;
+
+        // A hole card superposed to be entangled is entangled before anything else
+        if (this.holeCardPlan === 'superposed') {
+            const entangled = this.entangleHoleCard(hand);
+            this.holeCardPlan = 'done';
+            if (entangled) return entangled;
+        }
+
+        return this.measureIfUndecided(hand)
+            || this.superposeOnBustRisk(hand, HandEvaluator.evaluate(hand))
+            || this.superposeHoleCard(hand);
+    }
+
+    // Under "hit while more likely than not below 17" a superposed hand can go
+    // either way; looking first lets the dealer hit only when it should.
+    // Entangled cards are left for the showdown.
+    measureIfUndecided(hand) {
+        const card = hand.find(card => card.isInSuperposition && !card.isEntangled);
+        if (!this.chips.schrodinger || !card) return null;
+
+        const hitChance = this.game.dealerHitChance(HandEvaluator.evaluate(hand));
+        const [low, high] = DEALER_POLICY.undecided;
+        if (hitChance < low || hitChance > high) return null;
+
+        const before = card.toString();
+        card.measure();
+        this.chips.schrodinger--;
+        return {
+            chip: 'schrodinger',
+            cards: [card],
+            message: `Dealer plays Schrödinger: its ${before} collapses to ${card.toString()}.`
+        };
+    }
+
+    // The last card drawn made a bust likely: superposing it gives the dealer
+    // a branch where it never drew that card
+    superposeOnBustRisk(hand, odds) {
+        const card = hand[hand.length - 1];
+        if (!this.chips.hadamard || !card || card.isInSuperposition || hand.length < 3) return null;
+        if (odds.bustProbability < DEALER_POLICY.bustRisk) return null;
+        if (this.rng.next() >= DEALER_POLICY.superposeOnBustRisk) return null;
+
+        const before = card.toString();
+        if (!this.applyHadamard(card)) return null;
+        return {
+            chip: 'hadamard',
+            cards: [card],
+            message: `Dealer plays Hadamard on its ${before} to dodge the bust: now ${card.toString()}.`
+        };
+    }
+
+    // First half of going after the player: the hole card needs a second
+    // branch before it can be entangled
+    superposeHoleCard(hand) {
+        const holeCard = hand[1];
+        if (this.holeCardPlan !== null || !holeCard || holeCard.isInSuperposition) return null;
+        if (!this.chips.hadamard || !this.chips.entanglement || !this.findPlayerTarget()) return null;
+
+        this.holeCardPlan = this.rng.next() < DEALER_POLICY.entangleHoleCard ? 'superposed' : 'pass';
+        if (this.holeCardPlan === 'pass') return null;
+
+        const before = holeCard.toString();
+        if (!this.applyHadamard(holeCard)) {
+            this.holeCardPlan = 'done';
+            return null;
+        }
+        return {
+            chip: 'hadamard',
+            cards: [holeCard],
+            message: `Dealer plays Hadamard on its hole card: ${before} is now ${holeCard.toString()}.`
+        };
+    }
+
+    // Second half: tie the hole card's fate to one of the player's superposed cards
+    entangleHoleCard(hand) {
+        const holeCard = hand[1];
+        const target = this.findPlayerTarget();
+        if (!holeCard || !target || !holeCard.isInSuperposition || holeCard.isEntangled || !this.chips.entanglement) return null;
+
+        // Correlations in a random order; the first the two cards' branches can
+        // actually carry is the one played
+        const correlations = this.rng.shuffle(Object.values(Correlations));
+        const targetName = target.toString();
+        const correlation = correlations.find(correlation => QuantumCard.entangleGroup([holeCard, target], correlation.key));
+        if (!correlation) return null;
+
+        this.chips.entanglement--;
+        return {
+            chip: 'entanglement',
+            cards: [holeCard, target],
+            correlation,
+            message: `Dealer entangles its hole card with your ${targetName} (${correlation.label}). ${correlation.explanation}`
+        };
+    }
+
+    // A superposed, unentangled player card in a hand still up against the dealer
+    findPlayerTarget() {
+        const cards = this.game.playerHands
+            .filter(hand => hand.status === 'stood' || hand.status === 'playing')
+            .flatMap(hand => hand.cards)
+            .filter(card => card.isInSuperposition && !card.isEntangled);
+        return cards.length > 0 ? this.rng.pick(cards) : null;
+    }
+
+    applyHadamard(card) {
+        const hadamard = GateRegistry.get('H');
+        if (!card.applyGate(GateRegistry.getMatrix(hadamard))) {
+            return false;
+        }
+        this.chips.hadamard--;
+        return true;
+    }
+}
@@ -0,0 +1,246 @@
+import { Complex } from './Complex.js';
+
+const c = (real, imag = 0) => Complex.create(real, imag);
+
+// Single-card gate matrices (rows of complex entries). A gate smaller than the
+// card's basis acts on its first states; a 2x2 gate acts on the original card
+// and its first alternative.
+export const Gates = {
+    // Hadamard: creates a superposition, or interferes one back together
+    H: [
+        [c(Math.SQRT1_2), c(Math.SQRT1_2)],
+        [c(Math.SQRT1_2), c(-Math.SQRT1_2)]
+    ],
+    // Pauli-X (NOT): swaps the two states
+    X: [
+        [c(0), c(1)],
+        [c(1), c(0)]
+    ],
+    // Pauli-Y: swaps the two states and rotates the relative phase by 180°
+    Y: [
+        [c(0), c(0, -1)],
+        [c(0, 1), c(0)]
+    ],
+    // Pauli-Z: flips the relative phase by 180°
+    Z: [
+        [c(1), c(0)],
+        [c(0), c(-1)]
+    ],
+    // S: rotates the relative phase by 90°
+    S: [
+        [c(1), c(0)],
+        [c(0), c(0, 1)]
+    ],
+    // T: rotates the relative phase by 45°
+    T: [
+        [c(1), c(0)],
+        [c(0), Complex.fromPolar(1, Math.PI / 4)]
+    ],
+    // Fourier transforms that spread a card over three and four states
+    F3: fourierMatrix(3),
+    F4: fourierMatrix(4)
+};
+
+// Quantum Fourier transform over n states: spreads a definite card evenly
+// across n states, each with its own phase
+export function fourierMatrix(n) {
+    const matrix = [];
+    for (let row = 0; row < n; row++) {
+        matrix.push([]);
+        for (let column = 0; column < n; column++) {
+            matrix[row].push(Complex.fromPolar(1 / Math.sqrt(n), 2 * Math.PI * row * column / n));
+        }
+    }
+    return matrix;
+}
+
+// Ry(θ): rotates a card toward its alternative state. From a definite card
+// this leaves the alternative with probability sin²(θ/2).
+export function rotationY(theta) {
+    const cos = Math.cos(theta / 2);
+    const sin = Math.sin(theta / 2);
+    return [
+        [c(cos), c(-sin)],
+        [c(sin), c(cos)]
+    ];
+}
+
+// Ry angle that tilts a definite card toward its alternative with the given probability
+export function tiltAngle(tilt) {
+    return 2 * Math.asin(Math.sqrt(tilt));
+}
+
+// Check U·U† = I, i.e. the gate preserves total probability
+export function isUnitary(matrix, tolerance = 1e-9) {
+    const size = matrix.length;
+    if (size === 0 || matrix.some(row => row.length !== size)) {
+        return false;
+    }
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            let sum = Complex.create(0, 0);
+            for (let k = 0; k < size; k++) {
+                sum = Complex.add(sum, Complex.multiply(matrix[i][k], Complex.conjugate(matrix[j][k])));
+            }
+            const expected = i === j ? 1 : 0;
+            if (Math.abs(sum.real - expected) > tolerance || Math.abs(sum.imag) > tolerance) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+// Gates that can be bought and played as chips, in the order they appear in the UI
+const registeredGates = new Map();
+
+/**
+ * Registry of gate chips. Each entry describes one chip:
+ *   name                   - key of the gate (e.g. 'X')
+ *   matrix                 - unitary applied to the selected card
+ *   chipType               - key in GameManager.chips
+ *   label                  - button text
+ *   description            - tooltip and tutorial text
+ *   blurb                  - the physics behind the gate, for the chip shop
+ *   price                  - cost in the chip shop
+ *   requiresSuperposition  - whether the card must already be superposed
+ *   parameter              - optional player-chosen setting ({ label, min, max,
+ *                            step, default }); `matrix` and `price` are then
+ *                            functions of its value and the chip is paid for
+ *                            each time it is played rather than from inventory
+ * Registering a gate is all it takes to add a chip: the UI builds its quantum
+ * controls from this list and GameManager plays any of them the same way.
+ */
+export class GateRegistry {
+    static register(definition) {
+        if (!isUnitary(GateRegistry.getMatrix(definition))) {
+            throw new Error(`Gate ${definition.name} is not unitary`);
+        }
+        registeredGates.set(definition.name, {
+            requiresSuperposition: true,
+            ...definition,
+            buttonId: `${definition.chipType}-btn`
+        });
+    }
+
+    static get(name) {
+        return registeredGates.get(name) || null;
+    }
+
+    static getAll() {
+        return [...registeredGates.values()];
+    }
+
+    // Matrix of a gate, for parameterized gates at the given setting (or its default)
+    static getMatrix(gate, value) {
+        if (!gate.parameter) {
+            return gate.matrix;
+        }
+        return gate.matrix(value ?? gate.parameter.default);
+    }
+
+    // Price of a gate chip, for parameterized gates at the given setting (or its default)
+    static getPrice(gate, value) {
+        if (!gate.parameter) {
+            return gate.price;
+        }
+        return gate.price(value ?? gate.parameter.default);
+    }
+}
+
+GateRegistry.register({
+    name: 'H',
+    matrix: Gates.H,
+    chipType: 'hadamard',
+    label: 'Hadamard (Superposition)',
+    description: 'Puts a card in superposition. On a superposed card, interferes its branches.',
+    blurb: 'The workhorse of quantum computing: it turns a definite state into an equal mix of two, and applied twice it undoes itself - interference at work.',
+    price: 100,
+    requiresSuperposition: false
+});
+
+GateRegistry.register({
+    name: 'X',
+    matrix: Gates.X,
+    chipType: 'xGate',
+    label: 'X Gate (Flip)',
+    description: 'Swaps the odds of the two states of a superposed card.',
+    blurb: 'The quantum NOT gate. On a qubit it swaps |0⟩ and |1⟩, just like flipping a classical bit.',
+    price: 80
+});
+
+GateRegistry.register({
+    name: 'Y',
+    matrix: Gates.Y,
+    chipType: 'yGate',
+    label: 'Y Gate (Flip + Phase)',
+    description: 'Swaps the two states of a superposed card and flips its phase.',
+    blurb: 'A bit flip and a phase flip in one. X, Y and Z are the Pauli matrices, the three ways a single qubit can be flipped.',
+    price: 80
+});
+
+GateRegistry.register({
+    name: 'RY',
+    matrix: tilt => rotationY(tiltAngle(tilt)),
+    chipType: 'rotation',
+    label: 'Rotation Ry (Biased)',
+    description: 'Tilts a card toward a new state by the chosen amount. Stronger tilts cost more.',
+    blurb: 'A rotation about the Y axis of the Bloch sphere moves amplitude smoothly from one state to the other: the angle sets the odds.',
+    price: tilt => Math.round(tilt * 200),
+    requiresSuperposition: false,
+    parameter: { label: 'Tilt', min: 0.1, max: 0.9, step: 0.05, default: 0.5 }
+});
+
+GateRegistry.register({
+    name: 'Z',
+    matrix: Gates.Z,
+    chipType: 'zGate',
+    label: 'Z Gate (Phase 180°)',
+    description: "Rotates a superposed card's relative phase by 180°.",
+    blurb: 'Flips the sign of one state. The odds stay the same until a Hadamard turns that sign into a different outcome.',
+    price: 80
+});
+
+GateRegistry.register({
+    name: 'S',
+    matrix: Gates.S,
+    chipType: 'sGate',
+    label: 'S Gate (Phase 90°)',
+    description: "Rotates a superposed card's relative phase by 90°.",
+    blurb: 'A quarter turn of phase: two S gates make a Z.',
+    price: 60
+});
+
+GateRegistry.register({
+    name: 'T',
+    matrix: Gates.T,
+    chipType: 'tGate',
+    label: 'T Gate (Phase 45°)',
+    description: "Rotates a superposed card's relative phase by 45°.",
+    blurb: 'An eighth turn of phase. Together with Hadamard it can approximate any single-qubit gate, which is why quantum computers count their T gates.',
+    price: 50
+});
+
+GateRegistry.register({
+    name: 'F3',
+    matrix: Gates.F3,
+    chipType: 'qutrit',
+    label: 'Qutrit (3 States)',
+    description: 'Spreads a card evenly over three states.',
+    blurb: 'A qutrit has three basis states instead of two. The three-state Fourier transform gives each of them the same weight.',
+    price: 150,
+    requiresSuperposition: false
+});
+
+GateRegistry.register({
+    name: 'F4',
+    matrix: Gates.F4,
+    chipType: 'fourier',
+    label: 'Quantum Fourier (4 States)',
+    description: 'Spreads a card evenly over four states with a quantum Fourier transform.',
+    blurb: "The quantum Fourier transform is the heart of Shor's factoring algorithm; here it spreads a card over four states with evenly turning phases.",
+    price: 200,
+    requiresSuperposition: false
+});
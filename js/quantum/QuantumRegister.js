@@ -0,0 +1,480 @@
+import { Complex } from './Complex.js';
+
+// Probabilities below this are treated as zero
+const EPSILON = 1e-9;
+
+/**
+ * Joint quantum state of one or more cards.
+ *
+ * Each card's basis is its `superpositionStates` list. The register holds one
+ * complex amplitude per combination of basis states (the tensor product), with
+ * the first card as the most significant digit of the index. Unentangled cards
+ * live in a register of their own; entangling merges registers and measuring
+ * projects the joint state and splits off whatever is no longer entangled.
+ */
+export class QuantumRegister {
+    constructor(cards, amplitudes) {
+        this.cards = cards;
+        this.amplitudes = amplitudes;
+        this.correlation = null;    // Correlation the cards were entangled with, if any
+    }
+
+    /**
+     * Create a register holding a single card
+     */
+    static forCard(card, amplitudes = [Complex.create(1, 0)]) {
+        return new QuantumRegister([card], amplitudes).attach();
+    }
+
+    /**
+     * Point every card in this register back at it
+     */
+    attach() {
+        for (const card of this.cards) {
+            card.register = this;
+        }
+        return this;
+    }
+
+    /**
+     * Number of basis states for each card
+     */
+    getDimensions() {
+        return this.cards.map(card => card.superpositionStates.length);
+    }
+
+    /**
+     * Distance in the flat amplitude array between consecutive basis states of a card
+     */
+    getStride(cardIndex) {
+        const dimensions = this.getDimensions();
+        let stride = 1;
+        for (let i = dimensions.length - 1; i > cardIndex; i--) {
+            stride *= dimensions[i];
+        }
+        return stride;
+    }
+
+    /**
+     * Basis state of a card within a flat amplitude index
+     */
+    getDigit(index, cardIndex) {
+        const dimension = this.cards[cardIndex].superpositionStates.length;
+        return Math.floor(index / this.getStride(cardIndex)) % dimension;
+    }
+
+    /**
+     * Basis states of every card for a flat amplitude index
+     */
+    getBasisStates(index) {
+        return this.cards.map((card, cardIndex) => card.superpositionStates[this.getDigit(index, cardIndex)]);
+    }
+
+    /**
+     * Marginal probability of each of a card's basis states
+     */
+    getProbabilities(card) {
+        const cardIndex = this.cards.indexOf(card);
+        const probabilities = new Array(card.superpositionStates.length).fill(0);
+
+        this.amplitudes.forEach((amplitude, index) => {
+            probabilities[this.getDigit(index, cardIndex)] += Complex.magnitudeSquared(amplitude);
+        });
+
+        return probabilities;
+    }
+
+    /**
+     * Per-card view of the amplitudes.
+     *
+     * For a lone card these are its exact amplitudes. For an entangled card the
+     * magnitudes are the square roots of the marginal probabilities and the
+     * phase is taken from the strongest joint branch, which is enough for
+     * display and for the Born rule on that card alone.
+     */
+    getAmplitudes(card) {
+        if (this.cards.length === 1) {
+            return this.amplitudes.map(a => Complex.create(a.real, a.imag));
+        }
+
+        const cardIndex = this.cards.indexOf(card);
+        const probabilities = this.getProbabilities(card);
+        const strongest = new Array(probabilities.length).fill(null);
+
+        this.amplitudes.forEach((amplitude, index) => {
+            const digit = this.getDigit(index, cardIndex);
+            if (!strongest[digit] || Complex.magnitudeSquared(amplitude) > Complex.magnitudeSquared(strongest[digit])) {
+                strongest[digit] = amplitude;
+            }
+        });
+
+        return probabilities.map((probability, digit) =>
+            Complex.fromPolar(Math.sqrt(probability), Complex.arg(strongest[digit]))
+        );
+    }
+
+    /**
+     * Joint probability of each combination of basis states of some of this
+     * register's cards, marginalizing over the rest. Returns a list of
+     * { states: Map(card -> state), probability }.
+     */
+    getJointDistribution(cards) {
+        const positions = cards.map(card => this.cards.indexOf(card));
+        const outcomes = new Map();
+
+        this.amplitudes.forEach((amplitude, index) => {
+            const probability = Complex.magnitudeSquared(amplitude);
+            if (probability < EPSILON) return;
+
+            const digits = positions.map(position => this.getDigit(index, position));
+            const key = digits.join(',');
+            if (!outcomes.has(key)) {
+                const states = new Map(cards.map((card, i) => [card, card.superpositionStates[digits[i]]]));
+                outcomes.set(key, { states, probability: 0 });
+            }
+            outcomes.get(key).probability += probability;
+        });
+
+        return [...outcomes.values()];
+    }
+
+    /**
+     * Every joint outcome of a set of cards. Cards sharing a register (entangled
+     * pairs and groups) are enumerated together so their correlations hold;
+     * separate registers are independent and combine as a product.
+     */
+    static getOutcomes(cards) {
+        const byRegister = new Map();
+        for (const card of cards) {
+            if (!byRegister.has(card.register)) {
+                byRegister.set(card.register, []);
+            }
+            byRegister.get(card.register).push(card);
+        }
+
+        let outcomes = [{ states: new Map(), probability: 1 }];
+        for (const [register, registerCards] of byRegister) {
+            const combined = [];
+            for (const outcome of outcomes) {
+                for (const joint of register.getJointDistribution(registerCards)) {
+                    combined.push({
+                        states: new Map([...outcome.states, ...joint.states]),
+                        probability: outcome.probability * joint.probability
+                    });
+                }
+            }
+            outcomes = combined;
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Replace the amplitudes of a lone card
+     */
+    setAmplitudes(card, amplitudes) {
+        if (this.cards.length !== 1 || this.cards[0] !== card) {
+            throw new Error("Amplitudes of an entangled card cannot be set directly");
+        }
+        if (amplitudes.length !== card.superpositionStates.length) {
+            throw new Error("Expected one amplitude per superposition state");
+        }
+
+        this.amplitudes = amplitudes.map(a => Complex.create(a.real, a.imag));
+        this.normalize();
+    }
+
+    /**
+     * Rescale amplitudes so the probabilities sum to 1
+     */
+    normalize() {
+        const norm = Math.sqrt(this.amplitudes.reduce((sum, a) => sum + Complex.magnitudeSquared(a), 0));
+        if (norm < EPSILON) {
+            throw new Error("Cannot normalize a zero state vector");
+        }
+        this.amplitudes = this.amplitudes.map(a => Complex.scale(a, 1 / norm));
+    }
+
+    /**
+     * Tensor product of several registers (not attached to its cards)
+     */
+    static tensor(registers) {
+        let cards = [];
+        let amplitudes = [Complex.create(1, 0)];
+
+        for (const register of registers) {
+            const combined = [];
+            for (const a of amplitudes) {
+                for (const b of register.amplitudes) {
+                    combined.push(Complex.multiply(a, b));
+                }
+            }
+            cards = cards.concat(register.cards);
+            amplitudes = combined;
+        }
+
+        return new QuantumRegister(cards, amplitudes);
+    }
+
+    /**
+     * Entangle cards by projecting their joint state onto the branches that
+     * satisfy a correlation, e.g. "both cards have the same suit color" (see
+     * Correlations).
+     *
+     * `isCorrelated` receives the basis states of `cards` (in that order) for a
+     * branch. Returns the new register, or null if the projection would leave
+     * nothing or leave some card uncorrelated with the rest - in which case no
+     * card is modified.
+     */
+    static entangle(cards, isCorrelated) {
+        const registers = [...new Set(cards.map(card => card.register))];
+        const joint = QuantumRegister.tensor(registers);
+        const positions = cards.map(card => joint.cards.indexOf(card));
+
+        joint.amplitudes = joint.amplitudes.map((amplitude, index) => {
+            const states = positions.map(position => joint.cards[position].superpositionStates[joint.getDigit(index, position)]);
+            return isCorrelated(states) ? amplitude : Complex.create(0, 0);
+        });
+
+        const norm = joint.amplitudes.reduce((sum, a) => sum + Complex.magnitudeSquared(a), 0);
+        if (norm < EPSILON) {
+            return null;
+        }
+        joint.normalize();
+
+        // A card that factors out of the projected state would not actually be entangled
+        if (joint.cards.some(card => joint.factor(card) !== null)) {
+            return null;
+        }
+
+        joint.attach();
+        joint.simplify();
+        return joint;
+    }
+
+    /**
+     * Measure one card: sample a basis state by the Born rule, project the joint
+     * state onto it and renormalize the remaining cards. Returns the index of the
+     * selected basis state (before the card's basis is pruned).
+     */
+    measure(card, rng) {
+        const probabilities = this.getProbabilities(card);
+        const random = rng.next();
+        let cumulativeProbability = 0;
+        let selectedIndex = probabilities.length - 1;
+
+        for (let i = 0; i < probabilities.length; i++) {
+            cumulativeProbability += probabilities[i];
+            if (random < cumulativeProbability) {
+                selectedIndex = i;
+                break;
+            }
+        }
+
+        this.project(card, selectedIndex);
+        this.simplify();
+        return selectedIndex;
+    }
+
+    /**
+     * Partial measurement: observe only property(state) of a card, such as its
+     * color. The outcome is sampled by the Born rule over the states sharing
+     * each value, and the joint state is projected onto the states with the
+     * observed value, so the card stays superposed among them. Returns the
+     * observed value.
+     */
+    measureProperty(card, property, rng) {
+        const probabilities = this.getProbabilities(card);
+        const values = card.superpositionStates.map(state => property(state));
+        const random = rng.next();
+        let cumulativeProbability = 0;
+        let observed = values[values.length - 1];
+
+        for (const value of new Set(values)) {
+            cumulativeProbability += probabilities.reduce((sum, p, i) => values[i] === value ? sum + p : sum, 0);
+            if (random < cumulativeProbability) {
+                observed = value;
+                break;
+            }
+        }
+
+        const cardIndex = this.cards.indexOf(card);
+        this.amplitudes = this.amplitudes.map((amplitude, index) =>
+            values[this.getDigit(index, cardIndex)] === observed ? amplitude : Complex.create(0, 0)
+        );
+        this.normalize();
+        this.simplify();
+        return observed;
+    }
+
+    /**
+     * Apply a unitary gate to one card. The gate may be smaller than the card's
+     * basis, in which case it acts on the first states and leaves the rest alone.
+     */
+    applyGate(card, matrix) {
+        const cardIndex = this.cards.indexOf(card);
+        const dimension = card.superpositionStates.length;
+        const size = matrix.length;
+
+        if (size > dimension) {
+            throw new Error(`A ${size}-state gate needs a card with at least ${size} states`);
+        }
+
+        const stride = this.getStride(cardIndex);
+        const result = this.amplitudes.map(a => Complex.create(a.real, a.imag));
+
+        this.amplitudes.forEach((_, index) => {
+            // Visit each group of amplitudes once, from its first basis state
+            if (this.getDigit(index, cardIndex) !== 0) return;
+
+            for (let row = 0; row < size; row++) {
+                let sum = Complex.create(0, 0);
+                for (let column = 0; column < size; column++) {
+                    sum = Complex.add(sum, Complex.multiply(matrix[row][column], this.amplitudes[index + column * stride]));
+                }
+                result[index + row * stride] = sum;
+            }
+        });
+
+        this.amplitudes = result;
+        this.simplify();
+    }
+
+    /**
+     * Add a basis state to a card with zero amplitude, ready for a gate to mix it in
+     */
+    expandBasis(card, state) {
+        const cardIndex = this.cards.indexOf(card);
+        const dimension = card.superpositionStates.length;
+        const stride = this.getStride(cardIndex);
+        const expanded = new Array(this.amplitudes.length / dimension * (dimension + 1)).fill(null).map(() => Complex.create(0, 0));
+
+        this.amplitudes.forEach((amplitude, index) => {
+            const digit = this.getDigit(index, cardIndex);
+            const high = Math.floor(index / (stride * dimension));
+            expanded[high * stride * (dimension + 1) + digit * stride + index % stride] = amplitude;
+        });
+
+        card.superpositionStates.push(state);
+        this.amplitudes = expanded;
+    }
+
+    /**
+     * Project a card onto one of its basis states and renormalize
+     */
+    project(card, basisIndex) {
+        const cardIndex = this.cards.indexOf(card);
+        this.amplitudes = this.amplitudes.map((amplitude, index) =>
+            this.getDigit(index, cardIndex) === basisIndex ? amplitude : Complex.create(0, 0)
+        );
+        this.normalize();
+    }
+
+    /**
+     * If a card is not entangled with the rest of the register, return its own
+     * amplitudes and those of the remaining cards; otherwise null.
+     */
+    factor(card) {
+        const cardIndex = this.cards.indexOf(card);
+        const dimension = card.superpositionStates.length;
+        const stride = this.getStride(cardIndex);
+        const restSize = this.amplitudes.length / dimension;
+
+        // Reshape into a (card state) x (rest state) matrix
+        const matrix = Array.from({ length: dimension }, () => new Array(restSize));
+        this.amplitudes.forEach((amplitude, index) => {
+            const digit = this.getDigit(index, cardIndex);
+            const restIndex = Math.floor(index / (stride * dimension)) * stride + index % stride;
+            matrix[digit][restIndex] = amplitude;
+        });
+
+        // The state is a product iff the matrix has rank 1: M = u v^T
+        let pivotColumn = 0;
+        let pivotMagnitude = -1;
+        for (let column = 0; column < restSize; column++) {
+            const columnMagnitude = matrix.reduce((sum, row) => sum + Complex.magnitudeSquared(row[column]), 0);
+            if (columnMagnitude > pivotMagnitude) {
+                pivotMagnitude = columnMagnitude;
+                pivotColumn = column;
+            }
+        }
+
+        const u = matrix.map(row => Complex.scale(row[pivotColumn], 1 / Math.sqrt(pivotMagnitude)));
+        const v = [];
+        for (let column = 0; column < restSize; column++) {
+            let sum = Complex.create(0, 0);
+            for (let digit = 0; digit < dimension; digit++) {
+                sum = Complex.add(sum, Complex.multiply(Complex.conjugate(u[digit]), matrix[digit][column]));
+            }
+            v.push(sum);
+        }
+
+        let error = 0;
+        for (let digit = 0; digit < dimension; digit++) {
+            for (let column = 0; column < restSize; column++) {
+                const reconstructed = Complex.multiply(u[digit], v[column]);
+                error += Complex.magnitudeSquared({
+                    real: matrix[digit][column].real - reconstructed.real,
+                    imag: matrix[digit][column].imag - reconstructed.imag
+                });
+            }
+        }
+
+        return error < EPSILON ? { card: u, rest: v } : null;
+    }
+
+    /**
+     * Remove one basis state from a card, dropping its branches. The card is
+     * told so the state's physical card can go back to the deck.
+     */
+    removeBasisState(card, basisIndex) {
+        const cardIndex = this.cards.indexOf(card);
+        this.amplitudes = this.amplitudes.filter((_, index) => this.getDigit(index, cardIndex) !== basisIndex);
+        const [state] = card.superpositionStates.splice(basisIndex, 1);
+        if (typeof card.releaseState === 'function') {
+            card.releaseState(state);
+        }
+    }
+
+    /**
+     * Drop branches with no probability left, split off cards that are no longer
+     * entangled and refresh every affected card's view of its state.
+     */
+    simplify() {
+        const affectedCards = [...this.cards];
+
+        // Prune basis states that can no longer be observed
+        for (const card of this.cards) {
+            const probabilities = this.getProbabilities(card);
+            for (let i = probabilities.length - 1; i >= 0; i--) {
+                if (probabilities[i] < EPSILON && card.superpositionStates.length > 1) {
+                    this.removeBasisState(card, i);
+                }
+            }
+        }
+        this.normalize();
+
+        // Split off cards that factor out of the joint state
+        let changed = true;
+        while (changed && this.cards.length > 1) {
+            changed = false;
+            for (const card of this.cards) {
+                const factors = this.factor(card);
+                if (factors) {
+                    this.cards = this.cards.filter(c => c !== card);
+                    this.amplitudes = factors.rest;
+                    this.normalize();
+                    QuantumRegister.forCard(card, factors.card).simplify();
+                    changed = true;
+                    break;
+                }
+            }
+        }
+
+        for (const card of affectedCards) {
+            if (typeof card.syncFromRegister === 'function') {
+                card.syncFromRegister();
+            }
+        }
+    }
+}
@@ -1,15 +1,26 @@
-import * as THREE from 'three';
 import { QuantumCard } from './QuantumCard.js';
+import { DeckAuditor } from './DeckAuditor.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
 
-export class TexasHoldEm {
+/**
+ * Quantum Texas Hold'Em against the dealer. Like BlackjackGame it has no
+ * rendering or DOM code and reports through events -
+ *   'cardDealt'        (card, { hand: 'player' | 'dealer' | 'community', index, faceUp, restored })
+ *   'cardRevealed'     (card) a dealer card was turned over at showdown
+ *   'potChanged'       (pot, playerChips)
+ *   'status'           (message)
+ *   'controlsChanged'  ({ bet, call, raise, fold, dealFlop, dealTurn, dealRiver, newGame })
+ *   'gameOver'         (winner) 'player' or 'dealer'
+ */
+export class TexasHoldEm extends EventEmitter {
     constructor(gameManager) {
-        this.gameManager = gameManager;
+        super();
+        this.gameManager = gameManager;     // The GameEngine playing this game
         this.deck = [];
         this.playerHand = [];
         this.dealerHand = [];     // Dealer/opponent hand
         this.communityCards = []; // Flop, turn, river cards
         this.pot = 0;
-        this.playerChips = 1000;
         this.dealerChips = 1000;
         this.playerBet = 0;
         this.dealerBet = 0;
@@ -17,12 +28,24 @@ export class TexasHoldEm {
         this.playerCardCount = 0;
         this.dealerCardCount = 0;
         this.communityCardCount = 0;
+        
+        // Time the dealer takes to decide in ms; simulations set 0 to play instantly
+        this.dealerDelay = 1500;
+    }
+
+    // The player's stack is the session bankroll, so it carries over between
+    // hands and, through the player's profile, between visits
+    get playerChips() {
+        return this.gameManager.money;
+    }
+
+    set playerChips(chips) {
+        this.gameManager.money = chips;
     }
 
     initialize() {
         console.log("Initializing Texas Hold'Em game");
         this.reset();
-        this.setupTable();
     }
 
     reset() {
@@ -32,7 +55,6 @@ export class TexasHoldEm {
         this.dealerHand = [];     // Dealer/opponent hand
         this.communityCards = []; // Flop, turn, river cards
         this.pot = 0;
-        this.playerChips = 1000;
         this.dealerChips = 1000;
         this.playerBet = 0;
         this.dealerBet = 0;
@@ -45,94 +67,122 @@ export class TexasHoldEm {
         this.createDeck();
     }
 
-    update(deltaTime) {
-        // Update card animations and effects
-        this.updateCards(deltaTime);
+    createDeck() {
+        console.log("Creating deck for Texas Hold'Em");
+        this.deck = [];
         
-        // Update dealer AI if it's the dealer's turn
-        if (this.gameState === 'dealer-action') {
-            this.updateDealerAction();
+        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]; // 1=Ace, 11=Jack, 12=Queen, 13=King
+        
+        for (const suit of suits) {
+            for (const value of values) {
+                this.deck.push(this.createCard(value, suit));
+            }
         }
     }
 
-    updateCards(deltaTime) {
-        // Update player cards
-        for (const card of this.playerHand) {
-            if (card.isInSuperposition) {
-                // Update superposition effects
-                card.phase += deltaTime * 2.0; // Rotate phase for quantum interference
-                
-                // Update mesh if available
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyQuantumEffects(card.mesh, card);
-                }
-            }
-            
-            if (card.isEntangled && card.entangledWith) {
-                // Update entanglement effects
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyEntanglementEffects(card.mesh, card);
-                }
-            }
-        }
-        
-        // Update dealer cards
-        for (const card of this.dealerHand) {
-            if (card.isInSuperposition) {
-                // Update superposition effects
-                card.phase += deltaTime * 2.0;
-                
-                // Update mesh if available
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyQuantumEffects(card.mesh, card);
-                }
-            }
+    // A physical card belonging to this deck
+    createCard(value, suit) {
+        const card = new QuantumCard(value, suit, this.gameManager.rng);
+        card.shoe = this;
+        return card;
+    }
+
+    // Take a real card out of the deck to serve as an alternative state of a
+    // superposed card. Values the card can already be are skipped.
+    drawAlternativeState(card) {
+        const candidates = this.deck.filter(deckCard =>
+            !card.superpositionStates.some(state => state.value === deckCard.value)
+        );
+        if (candidates.length === 0) {
+            return null;
         }
         
-        // Update community cards
-        for (const card of this.communityCards) {
-            if (card.isInSuperposition) {
-                // Update superposition effects
-                card.phase += deltaTime * 2.0;
-                
-                // Update mesh if available
-                if (card.mesh && this.gameManager.sceneManager) {
-                    this.gameManager.sceneManager.applyQuantumEffects(card.mesh, card);
-                }
-            }
-        }
+        const drawn = this.gameManager.rng.pick(candidates);
+        this.deck.splice(this.deck.indexOf(drawn), 1);
+        return { value: drawn.value, suit: drawn.suit };
     }
 
-    setupTable() {
-        console.log("Setting up poker table");
-        if (this.gameManager.sceneManager) {
-            this.gameManager.sceneManager.clearScene();
-            this.gameManager.sceneManager.addTable();
-        }
+    // A branch was ruled out: shuffle its physical card back into the deck
+    returnState(state) {
+        const position = this.gameManager.rng.nextInt(this.deck.length + 1);
+        this.deck.splice(position, 0, this.createCard(state.value, state.suit));
     }
 
-    createDeck() {
-        console.log("Creating deck for Texas Hold'Em");
-        this.deck = [];
+    // Assert that every physical card is either in the deck or on the table, once
+    auditDeck() {
+        DeckAuditor.assertIntegrity(this.deck, [...this.playerHand, ...this.dealerHand, ...this.communityCards]);
+    }
+
+    // Snapshot of the hand in progress for saving (see GameEngine.toJSON)
+    toJSON() {
+        return {
+            gameState: this.gameState,
+            deck: this.deck.map(card => ({ value: card.value, suit: card.suit })),
+            playerHand: this.playerHand.map(card => card.toJSON()),
+            dealerHand: this.dealerHand.map(card => card.toJSON()),
+            communityCards: this.communityCards.map(card => card.toJSON()),
+            pot: this.pot,
+            playerChips: this.playerChips,
+            dealerChips: this.dealerChips,
+            playerBet: this.playerBet,
+            dealerBet: this.dealerBet
+        };
+    }
+
+    // Load a saved hand and deal its cards back onto the table. The game
+    // object is kept, so everything listening to it stays attached.
+    fromJSON(data) {
+        this.reset();
         
-        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]; // 1=Ace, 11=Jack, 12=Queen, 13=King
+        this.deck = data.deck.map(state => this.createCard(state.value, state.suit));
+        const saved = [...data.playerHand, ...data.dealerHand, ...data.communityCards];
+        const tableCards = QuantumCard.fromJSONList(saved, this.gameManager.rng);
+        for (const card of tableCards) {
+            card.shoe = this;
+        }
+        const dealerStart = data.playerHand.length;
+        const communityStart = dealerStart + data.dealerHand.length;
+        this.playerHand = tableCards.slice(0, dealerStart);
+        this.dealerHand = tableCards.slice(dealerStart, communityStart);
+        this.communityCards = tableCards.slice(communityStart);
+        
+        this.pot = data.pot;
+        this.playerChips = data.playerChips;
+        this.dealerChips = data.dealerChips;
+        this.playerBet = data.playerBet;
+        this.dealerBet = data.dealerBet;
+        this.gameState = data.gameState;
+        this.auditDeck();
         
-        for (const suit of suits) {
-            for (const value of values) {
-                this.deck.push(new QuantumCard(value, suit));
-            }
+        for (const card of this.playerHand) {
+            this.emit('cardDealt', card, { hand: 'player', index: this.playerCardCount++, faceUp: card.isFaceUp, restored: true });
+        }
+        for (const card of this.dealerHand) {
+            this.emit('cardDealt', card, { hand: 'dealer', index: this.dealerCardCount++, faceUp: card.isFaceUp, restored: true });
+        }
+        for (const card of this.communityCards) {
+            this.emit('cardDealt', card, { hand: 'community', index: this.communityCardCount++, faceUp: card.isFaceUp, restored: true });
+        }
+        this.emit('potChanged', this.pot, this.playerChips);
+        
+        // Pick the round up where it stopped
+        if (this.gameState === 'dealer-action') {
+            this.enablePokerControls('dealer-turn');
+            this.updateDealerAction();
+        } else if (this.gameState === 'showdown') {
+            this.enablePokerControls('game-over');
+            this.determineWinner();
+        } else {
+            this.enablePokerControls(this.gameState);
         }
     }
 
     shuffleDeck() {
         console.log("Shuffling deck");
         
-        // Fisher-Yates shuffle algorithm
-        for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
-        }
+        // Fisher-Yates shuffle using the session's seeded RNG
+        this.gameManager.rng.shuffle(this.deck);
     }
 
     async startNewGame() {
@@ -162,12 +212,8 @@ export class TexasHoldEm {
         // Set game state
         this.gameState = 'pre-flop';
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("Pre-flop round. Your action: Call, Raise, or Fold?");
-            this.gameManager.uiManager.updatePotAmount(this.pot);
-            this.gameManager.uiManager.updatePlayerChips(this.playerChips);
-        }
+        this.emit('status', "Pre-flop round. Your action: Call, Raise, or Fold?");
+        this.emit('potChanged', this.pot, this.playerChips);
         
         // Enable player controls
         this.enablePokerControls('pre-flop');
@@ -176,39 +222,20 @@ export class TexasHoldEm {
     }
 
     enablePokerControls(round) {
-        // Get control buttons
-        const betBtn = document.getElementById('bet-btn');
-        const callBtn = document.getElementById('call-btn');
-        const raiseBtn = document.getElementById('raise-btn');
-        const foldBtn = document.getElementById('fold-btn');
-        const dealFlopBtn = document.getElementById('deal-flop-btn');
-        const dealTurnBtn = document.getElementById('deal-turn-btn');
-        const dealRiverBtn = document.getElementById('deal-river-btn');
-        
-        // Disable all controls first
-        if (betBtn) betBtn.disabled = true;
-        if (callBtn) callBtn.disabled = true;
-        if (raiseBtn) raiseBtn.disabled = true;
-        if (foldBtn) foldBtn.disabled = true;
-        if (dealFlopBtn) dealFlopBtn.disabled = true;
-        if (dealTurnBtn) dealTurnBtn.disabled = true;
-        if (dealRiverBtn) dealRiverBtn.disabled = true;
-        
-        // Enable controls based on round
-        if (round === 'pre-flop' || round === 'flop' || round === 'turn' || round === 'river') {
-            if (callBtn) callBtn.disabled = false;
-            if (raiseBtn) raiseBtn.disabled = false;
-            if (foldBtn) foldBtn.disabled = false;
-        }
-        
-        // Enable deal buttons based on round
-        if (round === 'pre-flop' && this.playerBet === this.dealerBet) {
-            if (dealFlopBtn) dealFlopBtn.disabled = false;
-        } else if (round === 'flop' && this.playerBet === this.dealerBet) {
-            if (dealTurnBtn) dealTurnBtn.disabled = false;
-        } else if (round === 'turn' && this.playerBet === this.dealerBet) {
-            if (dealRiverBtn) dealRiverBtn.disabled = false;
-        }
+        const bettingRound = round === 'pre-flop' || round === 'flop' || round === 'turn' || round === 'river';
+        const betsMatched = this.playerBet === this.dealerBet;
+        
+        // Betting is open during a round; the next street can be dealt once bets match
+        this.emit('controlsChanged', {
+            bet: false,
+            call: bettingRound,
+            raise: bettingRound,
+            fold: bettingRound,
+            dealFlop: round === 'pre-flop' && betsMatched,
+            dealTurn: round === 'flop' && betsMatched,
+            dealRiver: round === 'turn' && betsMatched,
+            newGame: ['betting', 'gameOver'].includes(this.gameState)
+        });
     }
 
     async dealInitialCards() {
@@ -240,34 +267,15 @@ export class TexasHoldEm {
         // Add to player's hand
         this.playerHand.push(card);
         
-        // Calculate position for the card
-        const posX = -3 + this.playerCardCount * 2.5;
-        const posY = -2;
-        const posZ = 0;
-        
-        // Create position and rotation vectors
-        const position = new THREE.Vector3(posX, posY, posZ);
-        const rotation = new THREE.Euler(0, 0, 0);
-        
-        // Create card mesh and add to scene
-        if (this.gameManager.sceneManager) {
-            const cardMesh = this.gameManager.sceneManager.addCard(card, position, rotation, true);
-            card.mesh = cardMesh;
-            
-            // Add click handler for the card
-            this.gameManager.sceneManager.addClickListener(cardMesh, () => {
-                this.gameManager.handleCardSelection(card);
-            });
-            
-            // Animate card dealing
-            if (this.gameManager.soundManager) {
-                this.gameManager.soundManager.playCardPlaceSound();
-            }
-        }
+        // Let the renderer place the card
+        this.emit('cardDealt', card, { hand: 'player', index: this.playerCardCount, faceUp });
         
         // Increment player card count
         this.playerCardCount++;
         
+        this.gameManager.applyDecoherence('cardDealt');
+        this.auditDeck();
+        
         return card;
     }
 
@@ -284,29 +292,15 @@ export class TexasHoldEm {
         // Add to dealer's hand
         this.dealerHand.push(card);
         
-        // Calculate position for the card
-        const posX = -3 + this.dealerCardCount * 2.5;
-        const posY = 2;
-        const posZ = 0;
-        
-        // Create position and rotation vectors
-        const position = new THREE.Vector3(posX, posY, posZ);
-        const rotation = new THREE.Euler(0, 0, 0);
-        
-        // Create card mesh and add to scene
-        if (this.gameManager.sceneManager) {
-            const cardMesh = this.gameManager.sceneManager.addCard(card, position, rotation, false);
-            card.mesh = cardMesh;
-            
-            // Animate card dealing
-            if (this.gameManager.soundManager) {
-                this.gameManager.soundManager.playCardPlaceSound();
-            }
-        }
+        // Let the renderer place the card
+        this.emit('cardDealt', card, { hand: 'dealer', index: this.dealerCardCount, faceUp });
         
         // Increment dealer card count
         this.dealerCardCount++;
         
+        this.gameManager.applyDecoherence('cardDealt');
+        this.auditDeck();
+        
         return card;
     }
 
@@ -323,34 +317,15 @@ export class TexasHoldEm {
         // Add to community cards
         this.communityCards.push(card);
         
-        // Calculate position for the card
-        const posX = -6 + this.communityCardCount * 3;
-        const posY = 0;
-        const posZ = 0;
-        
-        // Create position and rotation vectors
-        const position = new THREE.Vector3(posX, posY, posZ);
-        const rotation = new THREE.Euler(0, 0, 0);
-        
-        // Create card mesh and add to scene
-        if (this.gameManager.sceneManager) {
-            const cardMesh = this.gameManager.sceneManager.addCard(card, position, rotation, false);
-            card.mesh = cardMesh;
-            
-            // Add click handler for the card
-            this.gameManager.sceneManager.addClickListener(cardMesh, () => {
-                this.gameManager.handleCardSelection(card);
-            });
-            
-            // Animate card dealing
-            if (this.gameManager.soundManager) {
-                this.gameManager.soundManager.playCardPlaceSound();
-            }
-        }
+        // Let the renderer place the card
+        this.emit('cardDealt', card, { hand: 'community', index: this.communityCardCount, faceUp });
         
         // Increment community card count
         this.communityCardCount++;
         
+        this.gameManager.applyDecoherence('cardDealt');
+        this.auditDeck();
+        
         return card;
     }
 
@@ -370,14 +345,14 @@ export class TexasHoldEm {
         // Update game state
         this.gameState = 'flop';
         
+        // A new betting round has begun
+        this.gameManager.applyDecoherence('turn');
+        
         // Reset bets for this round
         this.playerBet = 0;
         this.dealerBet = 0;
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("Flop round. Your action: Check, Bet, or Fold?");
-        }
+        this.emit('status', "Flop round. Your action: Check, Bet, or Fold?");
         
         // Enable player controls
         this.enablePokerControls('flop');
@@ -399,14 +374,14 @@ export class TexasHoldEm {
         // Update game state
         this.gameState = 'turn';
         
+        // A new betting round has begun
+        this.gameManager.applyDecoherence('turn');
+        
         // Reset bets for this round
         this.playerBet = 0;
         this.dealerBet = 0;
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("Turn round. Your action: Check, Bet, or Fold?");
-        }
+        this.emit('status', "Turn round. Your action: Check, Bet, or Fold?");
         
         // Enable player controls
         this.enablePokerControls('turn');
@@ -428,14 +403,14 @@ export class TexasHoldEm {
         // Update game state
         this.gameState = 'river';
         
+        // A new betting round has begun
+        this.gameManager.applyDecoherence('turn');
+        
         // Reset bets for this round
         this.playerBet = 0;
         this.dealerBet = 0;
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("River round. Your action: Check, Bet, or Fold?");
-        }
+        this.emit('status', "River round. Your action: Check, Bet, or Fold?");
         
         // Enable player controls
         this.enablePokerControls('river');
@@ -461,18 +436,15 @@ export class TexasHoldEm {
         this.playerChips -= amount;
         this.pot += amount;
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus(`You bet ${amount} chips. Dealer's action...`);
-            this.gameManager.uiManager.updatePotAmount(this.pot);
-            this.gameManager.uiManager.updatePlayerChips(this.playerChips);
-        }
+        this.emit('status', `You bet ${amount} chips. Dealer's action...`);
+        this.emit('potChanged', this.pot, this.playerChips);
         
         // Switch to dealer's turn
         this.gameState = 'dealer-action';
         
         // Disable player controls while dealer acts
         this.enablePokerControls('dealer-turn');
+        this.updateDealerAction();
         
         return true;
     }
@@ -484,10 +456,7 @@ export class TexasHoldEm {
         if (callAmount <= 0) {
             console.log("Check (no need to call)");
             
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.updateStatus("You check. Dealer's action...");
-            }
+            this.emit('status', "You check. Dealer's action...");
         } else {
             console.log("Player calls", callAmount);
             
@@ -496,12 +465,8 @@ export class TexasHoldEm {
             this.pot += callAmount;
             this.playerBet = this.dealerBet;
             
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.updateStatus(`You call ${callAmount} chips. Dealer's action...`);
-                this.gameManager.uiManager.updatePotAmount(this.pot);
-                this.gameManager.uiManager.updatePlayerChips(this.playerChips);
-            }
+            this.emit('status', `You call ${callAmount} chips. Dealer's action...`);
+            this.emit('potChanged', this.pot, this.playerChips);
         }
         
         // Switch to dealer's turn
@@ -509,6 +474,7 @@ export class TexasHoldEm {
         
         // Disable player controls while dealer acts
         this.enablePokerControls('dealer-turn');
+        this.updateDealerAction();
         
         return true;
     }
@@ -534,18 +500,15 @@ export class TexasHoldEm {
         this.pot += raiseAmount;
         this.playerBet = amount;
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus(`You raise to ${amount} chips. Dealer's action...`);
-            this.gameManager.uiManager.updatePotAmount(this.pot);
-            this.gameManager.uiManager.updatePlayerChips(this.playerChips);
-        }
+        this.emit('status', `You raise to ${amount} chips. Dealer's action...`);
+        this.emit('potChanged', this.pot, this.playerChips);
         
         // Switch to dealer's turn
         this.gameState = 'dealer-action';
         
         // Disable player controls while dealer acts
         this.enablePokerControls('dealer-turn');
+        this.updateDealerAction();
         
         return true;
     }
@@ -553,10 +516,7 @@ export class TexasHoldEm {
     pokerFold() {
         console.log("Player folds");
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("You fold. Dealer wins the pot.");
-        }
+        this.emit('status', "You fold. Dealer wins the pot.");
         
         // End the game with dealer as winner
         this.endGame('dealer');
@@ -564,71 +524,72 @@ export class TexasHoldEm {
         return true;
     }
 
+    // Let the dealer respond to the player's action after dealerDelay
     updateDealerAction() {
-        // Dealer's simple AI
-        setTimeout(() => {
-            // Get dealer decision based on current game state
-            const decision = this.getDealerDecision();
+        if (this.dealerDelay > 0) {
+            setTimeout(() => this.playDealerAction(), this.dealerDelay);
+        } else {
+            this.playDealerAction();
+        }
+    }
+
+    playDealerAction() {
+        // A new hand may have started while the dealer was thinking
+        if (this.gameState !== 'dealer-action') {
+            return;
+        }
+        
+        // Dealer's simple AI decides based on the current game state
+        const decision = this.getDealerDecision();
+        
+        if (decision === 'fold') {
+            // Dealer folds
+            this.emit('status', "Dealer folds. You win the pot!");
             
-            if (decision === 'fold') {
-                // Dealer folds
-                if (this.gameManager.uiManager) {
-                    this.gameManager.uiManager.updateStatus("Dealer folds. You win the pot!");
-                }
-                
-                // End the game with player as winner
-                this.endGame('player');
-            } else if (decision === 'call') {
-                // Dealer calls player's bet
-                const callAmount = this.playerBet - this.dealerBet;
-                
-                if (callAmount <= 0) {
-                    // Check (no need to call)
-                    if (this.gameManager.uiManager) {
-                        this.gameManager.uiManager.updateStatus("Dealer checks.");
-                    }
-                } else {
-                    // Call player's bet
-                    this.dealerChips -= callAmount;
-                    this.pot += callAmount;
-                    this.dealerBet = this.playerBet;
-                    
-                    // Update UI
-                    if (this.gameManager.uiManager) {
-                        this.gameManager.uiManager.updateStatus(`Dealer calls ${callAmount} chips.`);
-                        this.gameManager.uiManager.updatePotAmount(this.pot);
-                    }
-                }
-                
-                // Proceed to next round or showdown
-                this.nextRound();
-            } else if (decision === 'raise') {
-                // Dealer raises by a random amount
-                const minRaise = this.playerBet + 20;
-                const maxRaise = this.playerBet + Math.min(100, this.dealerChips);
-                const raiseAmount = Math.floor(Math.random() * (maxRaise - minRaise + 1)) + minRaise;
-                
-                // Calculate amount to add
-                const amountToAdd = raiseAmount - this.dealerBet;
-                
-                // Place raise bet
-                this.dealerChips -= amountToAdd;
-                this.pot += amountToAdd;
-                this.dealerBet = raiseAmount;
-                
-                // Update UI
-                if (this.gameManager.uiManager) {
-                    this.gameManager.uiManager.updateStatus(`Dealer raises to ${raiseAmount} chips. Your action?`);
-                    this.gameManager.uiManager.updatePotAmount(this.pot);
-                }
-                
-                // Switch back to player's turn
-                this.gameState = this.getGameStateFromRound();
+            // End the game with player as winner
+            this.endGame('player');
+        } else if (decision === 'call') {
+            // Dealer calls player's bet
+            const callAmount = this.playerBet - this.dealerBet;
+            
+            if (callAmount <= 0) {
+                // Check (no need to call)
+                this.emit('status', "Dealer checks.");
+            } else {
+                // Call player's bet
+                this.dealerChips -= callAmount;
+                this.pot += callAmount;
+                this.dealerBet = this.playerBet;
                 
-                // Enable player controls
-                this.enablePokerControls(this.getGameStateFromRound());
+                this.emit('status', `Dealer calls ${callAmount} chips.`);
+                this.emit('potChanged', this.pot, this.playerChips);
             }
-        }, 1500); // Slight delay for dealer's decision
+            
+            // Proceed to next round or showdown
+            this.nextRound();
+        } else if (decision === 'raise') {
+            // Dealer raises by a random amount
+            const minRaise = this.playerBet + 20;
+            const maxRaise = this.playerBet + Math.min(100, this.dealerChips);
+            const raiseAmount = this.gameManager.rng.nextInt(maxRaise - minRaise + 1) + minRaise;
+            
+            // Calculate amount to add
+            const amountToAdd = raiseAmount - this.dealerBet;
+            
+            // Place raise bet
+            this.dealerChips -= amountToAdd;
+            this.pot += amountToAdd;
+            this.dealerBet = raiseAmount;
+            
+            this.emit('status', `Dealer raises to ${raiseAmount} chips. Your action?`);
+            this.emit('potChanged', this.pot, this.playerChips);
+            
+            // Switch back to player's turn
+            this.gameState = this.getGameStateFromRound();
+            
+            // Enable player controls
+            this.enablePokerControls(this.getGameStateFromRound());
+        }
     }
 
     getDealerDecision() {
@@ -636,7 +597,7 @@ export class TexasHoldEm {
         // More sophisticated AI would consider hand strength, pot odds, etc.
         
         // Random decision with weighted probabilities
-        const random = Math.random();
+        const random = this.gameManager.rng.next();
         
         if (random < 0.1) {
             // 10% chance to fold
@@ -687,22 +648,23 @@ export class TexasHoldEm {
     showdown() {
         console.log("Showdown!");
         
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updateStatus("Showdown! Revealing dealer's cards...");
-        }
+        this.emit('status', "Showdown! Revealing dealer's cards...");
         
         // Reveal dealer's cards
         for (const card of this.dealerHand) {
-            card.isFaceUp = true;
-            
-            if (card.mesh && this.gameManager.sceneManager) {
-                this.gameManager.sceneManager.flipCard(card.mesh, true);
-            }
+            card.flip(true);
+            this.emit('cardRevealed', card);
         }
         
         // Determine winner
-        setTimeout(() => this.determineWinner(), 2000);
+        this.gameState = 'showdown';
+        if (this.dealerDelay > 0) {
+            setTimeout(() => {
+                if (this.gameState === 'showdown') this.determineWinner();
+            }, 2000);
+        } else {
+            this.determineWinner();
+        }
     }
 
     determineWinner() {
@@ -710,7 +672,7 @@ export class TexasHoldEm {
         
         // For simplicity, let's just use a random winner
         // In a real implementation, you would evaluate the poker hands
-        const random = Math.random();
+        const random = this.gameManager.rng.next();
         
         if (random < 0.5) {
             // Player wins
@@ -727,45 +689,22 @@ export class TexasHoldEm {
         // Update game state
         this.gameState = 'gameOver';
         
+        this.emit('gameOver', winner);
+        
         // Update chips based on winner
         if (winner === 'player') {
             this.playerChips += this.pot;
-            
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.showWin();
-                this.gameManager.uiManager.updateStatus(`You win ${this.pot} chips!`);
-                this.gameManager.uiManager.updatePlayerChips(this.playerChips);
-                
-                // Play win sound
-                if (this.gameManager.soundManager) {
-                    this.gameManager.soundManager.playWinSound();
-                }
-            }
+            this.emit('status', `You win ${this.pot} chips!`);
         } else if (winner === 'dealer') {
             this.dealerChips += this.pot;
-            
-            // Update UI
-            if (this.gameManager.uiManager) {
-                this.gameManager.uiManager.showLose();
-                this.gameManager.uiManager.updateStatus(`Dealer wins ${this.pot} chips!`);
-                
-                // Play lose sound
-                if (this.gameManager.soundManager) {
-                    this.gameManager.soundManager.playLoseSound();
-                }
-            }
+            this.emit('status', `Dealer wins ${this.pot} chips!`);
         }
         
         // Reset pot
         this.pot = 0;
-        
-        // Update UI
-        if (this.gameManager.uiManager) {
-            this.gameManager.uiManager.updatePotAmount(this.pot);
-        }
+        this.emit('potChanged', this.pot, this.playerChips);
         
         // Disable all poker controls
         this.enablePokerControls('game-over');
     }
-} 
\ No newline at end of file
+}
@@ -25,12 +25,26 @@ export class TutorialManager {
             tutorialTitle.textContent = "Welcome to Quantum Blackjack!";
             tutorialSteps = [
                 "Your goal is to get a hand value closer to 21 than the dealer without going over.",
+                "Click chips of 5, 25, 100 or 500 into the bet circle, then Deal. Rebet repeats your last bet and Double Rebet doubles it, within the table limits.",
                 "Cards 2-10 are worth their face value. Face cards are worth 10. Aces are worth 1 or 11.",
                 "You'll start with two cards. The dealer gets two cards with one face down.",
+                "When the dealer shows an Ace you may take Insurance for half your bet: it pays 2:1 if the dealer's hole card makes blackjack. Holding a blackjack yourself, you can take Even Money instead.",
                 "You can Hit to get another card, or Stand to keep your current hand.",
+                "Surrender gives up your first two cards for half your bet. The hand is folded unobserved, so if a card was still superposed or entangled you also get half of that hand's quantum chips back.",
+                "On your first two cards you can Double: your bet doubles, you take exactly one more card and stand. House rules decide whether you may double while a card is superposed.",
+                "Split a pair into two hands, each with its own bet - up to four hands. The outlined hand is the one you are playing, and quantum chips act on the card you select in any hand still in play. Split aces get one card each.",
+                "Quantum Split takes a card superposed between two states and splits the worlds: for a matching bet, each branch becomes a definite card in its own hand.",
                 "The Hadamard button puts a card in superposition between two states.",
+                "The Z, S and T gates rotate a superposed card's phase. Apply Hadamard again and the branches interfere, shifting the odds.",
+                "The X gate swaps the odds of a superposed card's two states; the Y gate swaps them and flips the phase.",
+                "The Qutrit and Quantum Fourier chips spread a card over three or four states at once.",
+                "The Rotation chip tilts a card toward a new state by the amount you choose - superposition need not be a fair coin. Stronger tilts cost more.",
                 "The Schrödinger button measures a superposed card, collapsing it to one state.",
-                "The Entanglement button links two superposed cards, forcing them to collapse to the same suit color.",
+                "Under Schrödinger's hole card rules the dealer's face-down card is superposed too, and only collapses when it is turned over. The Color Filter measures just its color: the card keeps the branches of that color.",
+                "While your hand is superposed, the panel shows its expected total and your exact odds of busting or hitting 21. You only bust once every branch is over 21.",
+                "Superpositions are fragile: every card dealt and every turn drains a card's coherence meter. When it runs out, the card collapses on its own.",
+                "The Entanglement button links two superposed cards into a Bell state. Pick the correlation first: same color (Φ⁺), opposite color (Ψ⁺), same rank parity, or ranks that sum to 10.",
+                "The GHZ chip links three or more superposed cards into one group: measure any of them and the whole group collapses together (same color or same rank parity).",
                 "Use quantum mechanics wisely to beat the dealer!"
             ];
         } else if (gameType === 'poker') {
@@ -41,8 +55,14 @@ export class TutorialManager {
                 "Betting rounds occur before the deal, after the flop (first 3 cards), turn (4th card), and river (5th card).",
                 "You can Check (pass), Bet/Raise (add chips), Call (match bet), or Fold (give up).",
                 "The Hadamard button puts a card in superposition between two states.",
+                "The Z, S and T gates rotate a superposed card's phase. Apply Hadamard again and the branches interfere, shifting the odds.",
+                "The X gate swaps the odds of a superposed card's two states; the Y gate swaps them and flips the phase.",
+                "The Qutrit and Quantum Fourier chips spread a card over three or four states at once.",
+                "The Rotation chip tilts a card toward a new state by the amount you choose - superposition need not be a fair coin. Stronger tilts cost more.",
                 "The Schrödinger button measures a superposed card, collapsing it to one state.",
-                "The Entanglement button links two superposed cards, forcing them to collapse to the same suit color.",
+                "Superpositions are fragile: every card dealt and every turn drains a card's coherence meter. When it runs out, the card collapses on its own.",
+                "The Entanglement button links two superposed cards into a Bell state. Pick the correlation first: same color (Φ⁺), opposite color (Ψ⁺), same rank parity, or ranks that sum to 10.",
+                "The GHZ chip links three or more superposed cards into one group: measure any of them and the whole group collapses together (same color or same rank parity).",
                 "Use your quantum powers wisely to win the pot!"
             ];
         }
@@ -69,7 +89,7 @@ export class TutorialManager {
                 
                 // Start the game
                 if (this.gameManager) {
-                    this.gameManager.startNewGame();
+                    this.gameManager.newRound();
                 }
             }
         };
@@ -1,10 +1,16 @@
-import { GameState } from '../quantum/GameManager.js';
+import { GameState } from '../quantum/GameEngine.js';
+import { GateRegistry } from '../quantum/QuantumGates.js';
+import { Correlations } from '../quantum/Correlations.js';
+import { BLACKJACK_RULESETS, DEFAULT_BLACKJACK_RULES, BET_CHIPS, describeRules } from '../quantum/BlackjackRules.js';
+import { ChipShop, BULK_QUANTITIES } from '../quantum/ChipShop.js';
 
 export class UIManager {
     constructor(gameManager, soundManager) {
         console.log("Creating UIManager");
         this.gameManager = gameManager;
         this.soundManager = soundManager;
+        this.resultOverlayTimer = null;     // Hides the result overlay (see showResultOverlay)
+        this.notificationTimer = null;      // Hides the notification (see showNotification)
         this.setupUI();
         this.setupEventListeners();
     }
@@ -51,10 +57,23 @@ export class UIManager {
         blackjackControls.id = 'blackjack-controls';
         blackjackControls.className = 'game-controls';
         blackjackControls.innerHTML = `
+            <div id="bet-controls">
+                ${BET_CHIPS.map(chip => `<button id="chip${chip}-btn" class="bet-chip">${chip}</button>`).join('\n                ')}
+                <button id="clear-bet-btn">Clear Bet</button>
+                <button id="rebet-btn">Rebet</button>
+                <button id="double-rebet-btn">Double Rebet</button>
+                <button id="deal-btn">Deal</button>
+            </div>
             <button id="hit-btn">Hit</button>
             <button id="stand-btn">Stand</button>
             <button id="double-btn">Double</button>
             <button id="split-btn">Split</button>
+            <button id="quantum-split-btn">Quantum Split</button>
+            <button id="surrender-btn">Surrender</button>
+            <button id="insurance-btn">Insurance</button>
+            <button id="even-money-btn">Even Money</button>
+            <button id="no-insurance-btn">No Insurance</button>
+            <button id="play-on-btn">Play On</button>
             <button id="new-game-btn">New Game</button>
         `;
         
@@ -72,23 +91,24 @@ export class UIManager {
             <button id="deal-river-btn">Deal River</button>
         `;
         
-        // Quantum controls
+        // Quantum controls (filled in by renderQuantumControls)
         const quantumControls = document.createElement('div');
         quantumControls.className = 'quantum-controls';
-        quantumControls.innerHTML = `
-            <button id="hadamard-btn">Hadamard (Superposition)</button>
-            <button id="schrodinger-btn">Schrödinger (Measure)</button>
-            <button id="entanglement-btn">Entanglement</button>
-        `;
         
         // Game info display
         const gameInfo = document.createElement('div');
         gameInfo.className = 'game-info';
         gameInfo.innerHTML = `
             <div id="player-value"></div>
+            <div id="player-hands"></div>
             <div id="dealer-value"></div>
+            <div id="dealer-chips"></div>
             <div id="pot-amount"></div>
             <div id="player-chips"></div>
+            <div id="player-bet"></div>
+            <div id="quantum-chips"></div>
+            <div id="rng-seed"></div>
+            <div id="shoe-info"></div>
         `;
         
         // Status display
@@ -101,6 +121,26 @@ export class UIManager {
         tutorialDisplay.id = 'tutorial-display';
         tutorialDisplay.className = 'tutorial-display';
         
+        // Chip shop, open between hands
+        const shopButton = document.createElement('button');
+        shopButton.id = 'shop-btn';
+        shopButton.className = 'floating-btn';
+        shopButton.textContent = 'Chip Shop';
+        
+        const shopDialog = document.createElement('div');
+        shopDialog.id = 'shop-dialog';
+        shopDialog.className = 'dialog';
+        shopDialog.innerHTML = `
+            <h2>Quantum Chip Shop</h2>
+            <div id="shop-summary"></div>
+            <div id="shop-items"></div>
+            <button id="shop-close">Close</button>
+        `;
+        
+        const notification = document.createElement('div');
+        notification.id = 'notification';
+        notification.className = 'hidden';
+        
         // Add all elements to the container
         controls.appendChild(blackjackControls);
         controls.appendChild(pokerControls);
@@ -110,13 +150,57 @@ export class UIManager {
         gameContainer.appendChild(gameInfo);
         gameContainer.appendChild(statusDisplay);
         gameContainer.appendChild(tutorialDisplay);
+        gameContainer.appendChild(shopButton);
         
         // Add everything to the document
         document.body.appendChild(gameSelection);
         document.body.appendChild(gameContainer);
+        document.body.appendChild(shopDialog);
+        document.body.appendChild(notification);
         
         // Initially hide game container
         gameContainer.style.display = 'none';
+        
+        this.renderQuantumControls();
+    }
+
+    // Build the quantum control buttons from the registered gate chips
+    renderQuantumControls() {
+        const gateButtons = GateRegistry.getAll().map(gate => {
+            const button = `<button id="${gate.buttonId}" title="${gate.description}">${gate.label}</button>`;
+            if (!gate.parameter) {
+                return button;
+            }
+            
+            // Parameterized chips get a slider (shown in percent) next to their button
+            const { label, min, max, step } = gate.parameter;
+            return `
+                <div class="gate-parameter">
+                    ${button}
+                    <label>${label}
+                        <input type="range" id="${gate.chipType}-slider" min="${min * 100}" max="${max * 100}" step="${step * 100}" value="${gate.parameter.default * 100}">
+                    </label>
+                    <span id="${gate.chipType}-value"></span>
+                </div>
+            `;
+        }).join('\n');
+        
+        const correlationOptions = Object.values(Correlations)
+            .map(correlation => `<option value="${correlation.key}">${correlation.label}</option>`)
+            .join('\n');
+        
+        for (const container of document.querySelectorAll('.quantum-controls')) {
+            container.innerHTML = `
+                ${gateButtons}
+                <button id="schrodinger-btn">Schrödinger (Measure)</button>
+                <button id="color-filter-btn" title="Measure only the color of the dealer's superposed hole card">Color Filter (Partial Measure)</button>
+                <select id="correlation-select" title="Correlation imposed by the Entanglement and GHZ chips">
+                    ${correlationOptions}
+                </select>
+                <button id="entanglement-btn">Entanglement</button>
+                <button id="ghz-btn" title="Link three or more superposed cards so they all collapse together">GHZ (Group Entanglement)</button>
+            `;
+        }
     }
 
     setupEventListeners() {
@@ -142,6 +226,17 @@ export class UIManager {
             console.error("Game selection buttons not found in the DOM");
         }
 
+        this.addEventListenerSafely('resume-btn', 'click', () => this.resumeGame());
+        
+        // Player profiles
+        this.addEventListenerSafely('profile-select', 'change', event => this.selectProfile(event.target.value));
+        this.addEventListenerSafely('new-profile-btn', 'click', () => this.createProfile());
+        this.addEventListenerSafely('delete-profile-btn', 'click', () => this.deleteProfile());
+        this.addEventListenerSafely('ruleset-select', 'change', event => {
+            this.gameManager.selectRuleset(event.target.value);
+            this.updateRulesetPanel();
+        });
+        
         // Game selection buttons
         this.addEventListenerSafely('blackjack-btn', 'click', () => this.gameManager.startBlackjack());
         this.addEventListenerSafely('poker-btn', 'click', () => this.gameManager.startPoker());
@@ -151,7 +246,32 @@ export class UIManager {
         this.addEventListenerSafely('stand-btn', 'click', () => this.gameManager.playerStand());
         this.addEventListenerSafely('double-btn', 'click', () => this.gameManager.playerDouble());
         this.addEventListenerSafely('split-btn', 'click', () => this.gameManager.playerSplit());
-        this.addEventListenerSafely('new-game-btn', 'click', () => this.gameManager.startNewGame());
+        this.addEventListenerSafely('quantum-split-btn', 'click', () => this.gameManager.playerQuantumSplit());
+        this.addEventListenerSafely('surrender-btn', 'click', () => this.gameManager.playerSurrender());
+        this.addEventListenerSafely('play-on-btn', 'click', () => this.gameManager.declineSurrender());
+        this.addEventListenerSafely('insurance-btn', 'click', () => this.gameManager.playerInsurance());
+        this.addEventListenerSafely('even-money-btn', 'click', () => this.gameManager.playerEvenMoney());
+        this.addEventListenerSafely('no-insurance-btn', 'click', () => this.gameManager.declineInsurance());
+        this.addEventListenerSafely('new-game-btn', 'click', () => this.gameManager.newRound());
+        
+        // Betting controls
+        for (const chip of BET_CHIPS) {
+            this.addEventListenerSafely(`chip${chip}-btn`, 'click', () => this.gameManager.placeBet(chip));
+        }
+        this.addEventListenerSafely('clear-bet-btn', 'click', () => this.gameManager.clearBet());
+        this.addEventListenerSafely('rebet-btn', 'click', () => this.gameManager.rebet());
+        this.addEventListenerSafely('double-rebet-btn', 'click', () => this.gameManager.doubleRebet());
+        this.addEventListenerSafely('deal-btn', 'click', () => this.gameManager.startNewGame());
+        
+        // Chip shop
+        this.addEventListenerSafely('shop-btn', 'click', () => this.openShop());
+        this.addEventListenerSafely('shop-close', 'click', () => this.closeShop());
+        this.addEventListenerSafely('shop-items', 'click', event => {
+            const button = event.target.closest('.buy-btn');
+            if (button) {
+                this.gameManager.buyChip(button.dataset.type, Number(button.dataset.quantity));
+            }
+        });
         
         // Poker controls
         this.addEventListenerSafely('bet-btn', 'click', () => this.gameManager.pokerBet(10));
@@ -162,14 +282,21 @@ export class UIManager {
         this.addEventListenerSafely('deal-turn-btn', 'click', () => this.gameManager.pokerDealTurn());
         this.addEventListenerSafely('deal-river-btn', 'click', () => this.gameManager.pokerDealRiver());
         
-        // Quantum controls
-        this.addEventListenerSafely('hadamard-btn', 'click', () => {
-            if (this.gameManager.selectedCard) {
-                this.gameManager.applySuperposition(this.gameManager.selectedCard);
-            } else {
-                this.updateStatus("Select a card first to apply superposition");
+        // Quantum controls - one button per registered gate chip
+        for (const gate of GateRegistry.getAll()) {
+            if (gate.parameter) {
+                this.addEventListenerSafely(`${gate.chipType}-slider`, 'input', () => this.updateGateParameter(gate));
+                this.updateGateParameter(gate);
             }
-        });
+            
+            this.addEventListenerSafely(gate.buttonId, 'click', () => {
+                if (this.gameManager.selectedCard) {
+                    this.gameManager.applyGateChip(gate.name, this.gameManager.selectedCard, this.getGateParameter(gate));
+                } else {
+                    this.updateStatus(`Select a card first to apply the ${gate.label}`);
+                }
+            });
+        }
         
         this.addEventListenerSafely('schrodinger-btn', 'click', () => {
             if (this.gameManager.selectedCard) {
@@ -179,11 +306,23 @@ export class UIManager {
             }
         });
         
+        this.addEventListenerSafely('color-filter-btn', 'click', () => {
+            this.gameManager.measureHoleCardColor();
+        });
+        
         this.addEventListenerSafely('entanglement-btn', 'click', () => {
-            if (this.gameManager.selectedCard && this.gameManager.entanglementTarget) {
-                this.gameManager.applyEntanglement(this.gameManager.selectedCard, this.gameManager.entanglementTarget);
+            if (this.gameManager.selectedCard || this.gameManager.entanglementChip) {
+                this.gameManager.startEntanglement('entanglement', this.getSelectedCorrelation());
+            } else {
+                this.updateStatus("Select a superposed card first to entangle it");
+            }
+        });
+        
+        this.addEventListenerSafely('ghz-btn', 'click', () => {
+            if (this.gameManager.selectedCard || this.gameManager.entanglementChip) {
+                this.gameManager.startEntanglement('ghz', this.getSelectedCorrelation());
             } else {
-                this.updateStatus("Select two cards first to entangle them");
+                this.updateStatus("Select a superposed card first to start a GHZ group");
             }
         });
         
@@ -218,6 +357,86 @@ export class UIManager {
         }
     }
 
+    setupMenuButtons() {
+        // Create menu container if it doesn't exist
+        let menuContainer = document.querySelector('.game-menu');
+        if (!menuContainer) {
+            menuContainer = document.createElement('div');
+            menuContainer.className = 'game-menu';
+            menuContainer.style.position = 'absolute';
+            menuContainer.style.top = '10px';
+            menuContainer.style.right = '10px';
+            menuContainer.style.zIndex = '1000';
+            document.body.appendChild(menuContainer);
+        }
+        
+        // Create new game button
+        const newGameBtn = document.createElement('button');
+        newGameBtn.id = 'new-game-btn';
+        newGameBtn.textContent = 'New Game';
+        newGameBtn.className = 'menu-btn';
+        newGameBtn.style.display = 'none';
+        newGameBtn.style.marginBottom = '10px';
+        newGameBtn.style.backgroundColor = '#ff00ff';
+        newGameBtn.style.color = '#00ffff';
+        newGameBtn.style.border = 'none';
+        newGameBtn.style.padding = '10px 20px';
+        newGameBtn.style.borderRadius = '5px';
+        newGameBtn.style.fontFamily = "'VT323', monospace";
+        newGameBtn.style.fontSize = '18px';
+        newGameBtn.style.cursor = 'pointer';
+        newGameBtn.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+        
+        // Create main menu button
+        const mainMenuBtn = document.createElement('button');
+        mainMenuBtn.id = 'main-menu-btn';
+        mainMenuBtn.textContent = 'Main Menu';
+        mainMenuBtn.className = 'menu-btn';
+        mainMenuBtn.style.display = 'none';
+        mainMenuBtn.style.backgroundColor = '#ff00ff';
+        mainMenuBtn.style.color = '#00ffff';
+        mainMenuBtn.style.border = 'none';
+        mainMenuBtn.style.padding = '10px 20px';
+        mainMenuBtn.style.borderRadius = '5px';
+        mainMenuBtn.style.fontFamily = "'VT323', monospace";
+        mainMenuBtn.style.fontSize = '18px';
+        mainMenuBtn.style.cursor = 'pointer';
+        mainMenuBtn.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+        
+        // Add event listeners
+        newGameBtn.addEventListener('click', () => this.gameManager.newRound());
+        mainMenuBtn.addEventListener('click', () => this.gameManager.returnToMainMenu());
+        
+        // Add buttons to container
+        menuContainer.appendChild(newGameBtn);
+        menuContainer.appendChild(mainMenuBtn);
+    }
+    
+    showMenuButtons() {
+        const newGameBtn = document.getElementById('new-game-btn');
+        const mainMenuBtn = document.getElementById('main-menu-btn');
+        
+        if (newGameBtn) newGameBtn.style.display = 'block';
+        if (mainMenuBtn) mainMenuBtn.style.display = 'block';
+    }
+    
+    hideMenuButtons() {
+        const newGameBtn = document.getElementById('new-game-btn');
+        const mainMenuBtn = document.getElementById('main-menu-btn');
+        
+        if (newGameBtn) newGameBtn.style.display = 'none';
+        if (mainMenuBtn) mainMenuBtn.style.display = 'none';
+    }
+    
+    // Enable or disable the game's action buttons, e.g. { hit: true, dealFlop: false }
+    updateControls(controls) {
+        for (const [action, enabled] of Object.entries(controls)) {
+            const id = `${action.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}-btn`;
+            const button = document.getElementById(id);
+            if (button) button.disabled = !enabled;
+        }
+    }
+
     selectGame(gameType) {
         console.log(`Selecting game: ${gameType}`);
         
@@ -234,6 +453,12 @@ export class UIManager {
             return;
         }
 
+        // A hand left mid-play keeps its stake until it is resumed and settled
+        if (this.gameManager.hasSavedHandInPlay()) {
+            this.showError("Resume Hand to finish the hand in play before starting a new game.");
+            return;
+        }
+
         // Attempt to set the game type
         try {
             // Show loading indicator for game selection
@@ -270,6 +495,126 @@ export class UIManager {
         }
     }
 
+    // Pick up the hand saved when the tab was closed or the menu opened
+    resumeGame() {
+        if (!this.gameManager.resumeSavedGame()) {
+            this.showError("The saved hand could not be restored.");
+            return;
+        }
+        
+        const gameSelection = document.getElementById('game-selection');
+        if (gameSelection) {
+            gameSelection.style.display = 'none';
+        }
+        
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) {
+            gameContainer.style.display = 'block';
+        }
+    }
+
+    // Offer "Resume Hand" only when there is a saved hand
+    updateResumeButton() {
+        const resumeBtn = document.getElementById('resume-btn');
+        if (resumeBtn) {
+            resumeBtn.style.display = this.gameManager.hasSavedGame() ? '' : 'none';
+        }
+    }
+
+    selectProfile(name) {
+        if (this.gameManager.switchProfile(name)) {
+            this.updateProfilePanel();
+        }
+    }
+
+    createProfile() {
+        const input = document.getElementById('profile-name-input');
+        if (!input) return;
+        
+        if (!this.gameManager.createProfile(input.value)) {
+            this.showError("Enter a name that isn't already taken.");
+            return;
+        }
+        
+        input.value = '';
+        this.updateProfilePanel();
+    }
+
+    deleteProfile() {
+        const name = this.gameManager.profileName;
+        if (!window.confirm(`Delete profile "${name}" with its bankroll and statistics?`)) return;
+        
+        if (!this.gameManager.deleteProfile(name)) {
+            this.showError("The last profile can't be deleted.");
+            return;
+        }
+        
+        this.updateProfilePanel();
+    }
+
+    // Show the profiles, the active one's bankroll and lifetime statistics,
+    // and whether it has a hand to resume
+    updateProfilePanel() {
+        const select = document.getElementById('profile-select');
+        if (select) {
+            select.innerHTML = '';
+            for (const name of this.gameManager.getProfileNames()) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+            select.value = this.gameManager.profileName;
+        }
+        
+        const deleteBtn = document.getElementById('delete-profile-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = this.gameManager.getProfileNames().length <= 1;
+        }
+        
+        const statsDisplay = document.getElementById('profile-stats');
+        if (statsDisplay) {
+            const { blackjack, poker, chipsUsed } = this.gameManager.stats;
+            statsDisplay.textContent = `Bankroll: ${this.gameManager.money} | ` +
+                `Blackjack: ${blackjack.won}W ${blackjack.lost}L ${blackjack.tied}T | ` +
+                `Poker: ${poker.won}W ${poker.lost}L | ` +
+                `Quantum chips played: ${chipsUsed}`;
+        }
+        
+        this.updateRulesetPanel();
+        this.updateResumeButton();
+    }
+
+    // List the rulesets and spell out the chosen one's rules. The choice is for
+    // new games: say so when Resume Hand would keep a different table's rules.
+    updateRulesetPanel() {
+        const key = this.gameManager.profileRuleset;
+        const select = document.getElementById('ruleset-select');
+        if (select) {
+            select.innerHTML = '';
+            for (const [key, ruleset] of Object.entries(BLACKJACK_RULESETS)) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = ruleset.name;
+                select.appendChild(option);
+            }
+            select.value = key;
+        }
+        
+        const description = document.getElementById('ruleset-description');
+        if (description && BLACKJACK_RULESETS[key]) {
+            description.textContent = describeRules({ ...DEFAULT_BLACKJACK_RULES, ...BLACKJACK_RULESETS[key].rules }).join(' | ');
+        }
+        
+        const note = document.getElementById('ruleset-note');
+        if (note) {
+            const saved = this.gameManager.getSavedRulesetConflict();
+            note.textContent = saved
+                ? `Applies to new games. Resume Hand keeps the saved table's ${saved.name} rules.`
+                : '';
+        }
+    }
+
     enableGameSelection() {
         console.log("Enabling game selection buttons");
         const buttons = document.querySelectorAll('.game-btn');
@@ -279,6 +624,7 @@ export class UIManager {
                 button.disabled = false;
             });
             console.log("Game selection buttons enabled");
+            this.updateProfilePanel();
         } else {
             console.error("Game selection buttons not found");
         }
@@ -344,18 +690,63 @@ export class UIManager {
         }, 5000);
     }
 
-    updatePlayerValue(value) {
+    updatePlayerValue(odds) {
         const playerValue = document.getElementById('player-value');
         if (playerValue) {
-            playerValue.textContent = `Player: ${value}`;
+            playerValue.textContent = `Player: ${this.formatHandOdds(odds)}`;
+            playerValue.title = this.formatDistribution(odds);
         }
     }
 
-    updateDealerValue(value) {
+    // One line per player hand once a split has made several: the active
+    // hand is marked, and each shows its total, bet and status or result
+    updateHands(hands, activeHand, playing) {
+        const playerHands = document.getElementById('player-hands');
+        if (!playerHands) return;
+        
+        playerHands.innerHTML = '';
+        if (hands.length <= 1) return;
+        
+        hands.forEach((hand, index) => {
+            const line = document.createElement('div');
+            const isActive = playing && index === activeHand;
+            line.className = isActive ? 'player-hand active-hand' : 'player-hand';
+            
+            const outcome = hand.result || (hand.doubled && hand.status === 'stood' ? 'doubled' : hand.status);
+            line.textContent = `${isActive ? '▶ ' : ''}Hand ${index + 1}: ${this.formatHandOdds(hand.odds)} | Bet ${hand.bet} | ${outcome}`;
+            line.title = this.formatDistribution(hand.odds);
+            playerHands.appendChild(line);
+        });
+    }
+
+    updateDealerValue(odds) {
         const dealerValue = document.getElementById('dealer-value');
         if (dealerValue) {
-            dealerValue.textContent = `Dealer: ${value}`;
+            dealerValue.textContent = `Dealer: ${this.formatHandOdds(odds)}`;
+            dealerValue.title = this.formatDistribution(odds);
+        }
+    }
+
+    // One-line summary of a HandEvaluator result: the total when it is
+    // certain, otherwise the expected value and the odds that matter
+    formatHandOdds(odds) {
+        if (odds.isDefinite) {
+            return odds.softProbability > 0 ? `${odds.total} (soft)` : `${odds.total}`;
+        }
+
+        const percent = probability => `${Math.round(probability * 100)}%`;
+        return `EV ${odds.expectedValue.toFixed(1)} | Bust ${percent(odds.bustProbability)} | 21 ${percent(odds.twentyOneProbability)}`;
+    }
+
+    // Every possible total with its probability, e.g. "12: 50%, 21: 50%"
+    formatDistribution(odds) {
+        if (!odds || !odds.distribution) {
+            return '';
         }
+        return Object.entries(odds.distribution)
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([total, probability]) => `${total}: ${(probability * 100).toFixed(1)}%`)
+            .join(', ');
     }
 
     updatePotAmount(amount) {
@@ -365,6 +756,13 @@ export class UIManager {
         }
     }
 
+    updateBet(bet) {
+        const playerBet = document.getElementById('player-bet');
+        if (playerBet) {
+            playerBet.textContent = `Bet: ${bet}`;
+        }
+    }
+
     updatePlayerChips(chips) {
         const playerChips = document.getElementById('player-chips');
         if (playerChips) {
@@ -379,21 +777,204 @@ export class UIManager {
         }
     }
 
-    showWin(message = "You Win!") {
+    // Correlation chosen for the next entanglement
+    getSelectedCorrelation() {
+        const select = document.getElementById('correlation-select');
+        return select ? select.value : 'sameColor';
+    }
+    
+    // Current slider setting of a parameterized gate chip, or undefined
+    getGateParameter(gate) {
+        if (!gate.parameter) return undefined;
+        
+        const slider = document.getElementById(`${gate.chipType}-slider`);
+        return slider ? Number(slider.value) / 100 : gate.parameter.default;
+    }
+    
+    // Show a parameterized chip's setting and what it will cost
+    updateGateParameter(gate) {
+        const display = document.getElementById(`${gate.chipType}-value`);
+        if (display) {
+            const value = this.getGateParameter(gate);
+            display.textContent = `${Math.round(value * 100)}% - costs ${GateRegistry.getPrice(gate, value)}`;
+        }
+    }
+
+    updateChipInventory(chips) {
+        const chipDisplay = document.getElementById('quantum-chips');
+        if (chipDisplay) {
+            const gateCounts = GateRegistry.getAll()
+                .filter(gate => !gate.parameter)
+                .map(gate => `${gate.name}: ${chips[gate.chipType] || 0}`);
+            chipDisplay.textContent = [...gateCounts, `Measure: ${chips.schrodinger}`, `Color: ${chips.colorFilter || 0}`, `Entangle: ${chips.entanglement}`, `GHZ: ${chips.ghz}`].join(' | ');
+        }
+    }
+
+    // The seed and hand in play; in blackjack also the shoe, which a replay
+    // rebuilds from its first hand (see GameEngine.getShoeSeed)
+    updateSeed(seed, handNumber, shoeReplay = null) {
+        const seedDisplay = document.getElementById('rng-seed');
+        if (seedDisplay) {
+            const shoe = shoeReplay ? ` | Shoe: ${shoeReplay.shoe} from hand ${shoeReplay.firstHand}` : '';
+            seedDisplay.textContent = `Seed: ${seed} | Hand: ${handNumber}${shoe}`;
+            seedDisplay.title = shoeReplay
+                ? `Replay this shoe with ?seed=${encodeURIComponent(seed)}&hand=${shoeReplay.firstHand}&shoe=${shoeReplay.shoe}`
+                : `Replay this hand with ?seed=${encodeURIComponent(seed)}&hand=${handNumber}`;
+        }
+    }
+
+    // Cards left in the shoe and in the discard tray, and how far off the cut card is
+    updateShoe({ remaining, discarded, cutCard, cutCardReached }) {
+        const shoeDisplay = document.getElementById('shoe-info');
+        if (shoeDisplay) {
+            const cut = cutCardReached ? 'Cut card out: shuffle next round' : `Cut card in ${Math.max(remaining - cutCard, 0)}`;
+            shoeDisplay.textContent = `Shoe: ${remaining} | Discards: ${discarded} | ${cut}`;
+        }
+    }
+
+    // The quantum dealer's chips left this hand; null when the dealer plays without them
+    updateDealerChips(chips) {
+        const dealerChipsDisplay = document.getElementById('dealer-chips');
+        if (dealerChipsDisplay) {
+            dealerChipsDisplay.textContent = chips
+                ? `Dealer chips: Hadamard ${chips.hadamard || 0} | Schrödinger ${chips.schrodinger || 0} | Entanglement ${chips.entanglement || 0}`
+                : '';
+        }
+    }
+
+    hideShoe() {
+        const shoeDisplay = document.getElementById('shoe-info');
+        if (shoeDisplay) {
+            shoeDisplay.textContent = '';
+        }
+    }
+
+    // Open the chip shop; it only trades between hands
+    openShop() {
+        if (!this.gameManager.isBetweenHands()) {
+            this.updateStatus("The chip shop opens between hands.");
+            return;
+        }
+        
+        const dialog = document.getElementById('shop-dialog');
+        if (dialog) {
+            this.renderShop();
+            dialog.style.display = 'block';
+        }
+    }
+
+    closeShop() {
+        const dialog = document.getElementById('shop-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+
+    // List every chip with its price, what it does and the physics behind it,
+    // marking the flash sale and offering each stocked chip in bulk
+    renderShop() {
+        const summary = document.getElementById('shop-summary');
+        const list = document.getElementById('shop-items');
+        if (!summary || !list) return;
+        
+        const sale = this.gameManager.getShopSale();
+        const onSale = Object.entries(sale.discounts)
+            .map(([type, discount]) => `${ChipShop.getItem(type).label} ${Math.round(discount * 100)}% off`);
+        summary.innerHTML = `
+            <p>Bankroll: ${this.gameManager.money}</p>
+            <p class="sale-tag">Flash sale: ${onSale.join(', ')} - ${sale.handsLeft} more hand${sale.handsLeft === 1 ? '' : 's'}</p>
+        `;
+        
+        list.innerHTML = ChipShop.getItems().map(item => {
+            let price;
+            let buttons = '';
+            if (item.price === null) {
+                price = `<span class="price">${item.playPrice[0]}-${item.playPrice[1]}</span> each time it is played`;
+            } else {
+                const unit = ChipShop.getPrice(item.type, 1, sale);
+                price = unit < item.price
+                    ? `<s>${item.price}</s> <span class="price">${unit}</span>`
+                    : `<span class="price">${unit}</span>`;
+                buttons = BULK_QUANTITIES.map(quantity => {
+                    const total = ChipShop.getPrice(item.type, quantity, sale);
+                    const disabled = total > this.gameManager.money ? 'disabled' : '';
+                    return `<button class="buy-btn" data-type="${item.type}" data-quantity="${quantity}" ${disabled}>Buy ${quantity} · ${total}</button>`;
+                }).join('');
+            }
+            
+            return `
+                <div class="shop-item">
+                    <div class="chip-preview ${item.type}">${item.symbol}</div>
+                    <div class="chip-info">
+                        <h3>${item.label}</h3>
+                        <p>${item.description}</p>
+                        <p class="chip-blurb">${item.blurb}</p>
+                        <p>${price} · Owned: ${this.gameManager.chips[item.type] || 0}</p>
+                    </div>
+                    <div class="shop-buy">${buttons}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Brief message over the table, e.g. from the chip shop
+    showNotification(message) {
+        const notification = document.getElementById('notification');
+        if (!notification) return;
+        
+        notification.textContent = message;
+        notification.classList.remove('hidden');
+        
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => notification.classList.add('hidden'), 2500);
+    }
+
+    showWin(message = "You Win!", note = null) {
         this.updateStatus(message);
+        this.showResultOverlay(message, note, 'win-message');
         this.playSound('win');
     }
 
-    showLose(message = "You Lose!") {
+    showLose(message = "You Lose!", note = null) {
         this.updateStatus(message);
+        this.showResultOverlay(message, note, 'lose-message');
         this.playSound('lose');
     }
 
-    showTie(message = "It's a Tie!") {
+    showTie(message = "It's a Tie!", note = null) {
         this.updateStatus(message);
+        this.showResultOverlay(message, note, 'tie-message');
         this.playSound('tie');
     }
 
+    showSurrender(message = "Surrendered", note = null) {
+        this.updateStatus(message);
+        this.showResultOverlay(message, note, 'tie-message');
+        this.playSound('lose');
+    }
+
+    // Flash the round's result over the table, with how it was decided
+    // (blackjack, even money, insurance). A click dismisses it early.
+    showResultOverlay(message, note, className) {
+        const overlay = document.getElementById('result-overlay');
+        const messageElement = document.getElementById('result-message');
+        if (!overlay || !messageElement) return;
+
+        messageElement.textContent = message;
+        messageElement.className = `result-message ${className}`;
+
+        const noteElement = document.getElementById('result-note');
+        if (noteElement) {
+            noteElement.textContent = note || '';
+        }
+
+        overlay.classList.add('show');
+        overlay.onclick = () => overlay.classList.remove('show');
+
+        clearTimeout(this.resultOverlayTimer);
+        this.resultOverlayTimer = setTimeout(() => overlay.classList.remove('show'), 2500);
+    }
+
     playSound(soundName) {
         if (this.soundManager) {
             switch (soundName) {
@@ -422,6 +1003,9 @@ export class UIManager {
                     // Use generic sound for menu actions
                     this.soundManager.play('menu');
                     break;
+                case 'bet':
+                    this.soundManager.playBetSound();
+                    break;
                 case 'start':
                     // Use generic sound for starting game
                     this.soundManager.play('start');
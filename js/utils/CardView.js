@@ -0,0 +1,796 @@
+import * as THREE from 'three';
+
+// View of each card currently on the table
+const views = new WeakMap();
+
+/**
+ * Three.js view of a QuantumCard: draws its face and animates it in response
+ * to the card's events. The card itself knows nothing about rendering, so the
+ * same game runs headless; SceneManager.addCard creates one view per mesh.
+ */
+export class CardView {
+    constructor(card, mesh = null) {
+        // A card re-added to the scene replaces its old view
+        const previous = views.get(card);
+        if (previous) {
+            previous.dispose();
+        }
+        
+        this.card = card;
+        this.mesh = mesh;
+        this.pulseAnimation = null;
+        this.animationPhase = 0;            // Drives the shimmer animation; has no quantum effect
+        
+        this.listeners = {
+            superposed: () => this.animateSuperposition(),
+            gateApplied: angle => this.animateGate(angle),
+            collapsed: () => this.animateCollapse(),
+            changed: () => this.refreshTexture(),
+            partnerMeasured: () => this.onPartnerMeasured(),
+            partiallyMeasured: () => this.onPartnerMeasured(),
+            entangled: cards => {
+                // Animate the whole group once, from its first card
+                if (cards[0] === this.card) {
+                    CardView.animateEntanglement(cards.map(card => views.get(card)).filter(Boolean));
+                }
+            },
+            flipped: faceUp => this.flip(faceUp)
+        };
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            card.on(event, listener);
+        }
+        
+        views.set(card, this);
+    }
+    
+    // View of a card, if it is on the table
+    static for(card) {
+        return views.get(card) || null;
+    }
+    
+    // Stop listening to the card and animating its mesh
+    dispose() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.card.off(event, listener);
+        }
+        if (this.pulseAnimation) {
+            cancelAnimationFrame(this.pulseAnimation);
+            this.pulseAnimation = null;
+        }
+        if (views.get(this.card) === this) {
+            views.delete(this.card);
+        }
+    }
+    
+    /**
+     * Animate the card entering superposition
+     */
+    animateSuperposition() {
+        if (!this.mesh) return;
+        
+        // Save original scale for animation
+        const originalScale = this.mesh.scale.clone();
+        
+        // Animate entering superposition
+        const duration = 800; // ms
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const currentTime = Date.now();
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(1, elapsed / duration);
+            
+            // Easing function for smoother animation
+            const eased = this.easeInOutCubic(progress);
+            
+            // Scale effect (pulse out and back)
+            if (progress < 0.5) {
+                const scale = 1 + eased * 0.3; // Expand by 30%
+                this.mesh.scale.set(scale, scale, scale);
+            } else {
+                const scale = 1.3 - (eased - 0.5) * 0.6; // Contract back to slightly larger than original
+                this.mesh.scale.set(scale, scale, scale);
+            }
+            
+            // Rotation effect (wobble)
+            this.mesh.rotation.z = Math.sin(progress * Math.PI * 4) * 0.2;
+            
+            // Add cyan glow effect with increasing intensity
+            if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                const emissiveIntensity = progress * 0.3; // Ramp up to 0.3
+                for (const mat of this.mesh.material) {
+                    mat.emissive = new THREE.Color(0, 1, 1);
+                    mat.emissiveIntensity = emissiveIntensity;
+                }
+            }
+            
+            // Update texture as we progress
+            if (progress > 0.7 && this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
+                this.mesh.material[4].map = this.createCardTexture();
+                this.mesh.material[4].needsUpdate = true;
+            }
+            
+            // Continue animation if not complete
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                // Animation complete - set final values
+                this.mesh.scale.set(1.1, 1.1, 1.1); // Slightly larger than original
+                this.mesh.rotation.z = 0;
+                
+                // Add subtle pulsing animation for superposition state
+                this.startSuperpositionPulse();
+            }
+        };
+        
+        // Start animation
+        animate();
+    }
+    
+    /**
+     * Animate a gate on a superposed card by turning it through the change in
+     * phase and back
+     */
+    animateGate(angle) {
+        if (!this.mesh) return;
+        
+        const duration = 600; // ms
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const progress = Math.min(1, (Date.now() - startTime) / duration);
+            
+            // Swing out by the phase angle, then settle back
+            this.mesh.rotation.z = Math.sin(progress * Math.PI) * angle * 0.25;
+            
+            // Flash yellow while the phase turns
+            if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                for (const mat of this.mesh.material) {
+                    mat.emissive = new THREE.Color(1, 1, 0).lerp(new THREE.Color(0, 1, 1), progress);
+                    mat.emissiveIntensity = 0.3;
+                }
+            }
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.mesh.rotation.z = 0;
+                this.refreshTexture();
+            }
+        };
+        
+        animate();
+    }
+    
+    /**
+     * Animate the collapse of superposition
+     */
+    animateCollapse() {
+        if (!this.mesh) return;
+        
+        // Stop any ongoing pulse animations
+        if (this.pulseAnimation) {
+            cancelAnimationFrame(this.pulseAnimation);
+            this.pulseAnimation = null;
+        }
+        
+        // Create animation
+        const duration = 700; // ms
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const currentTime = Date.now();
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(1, elapsed / duration);
+            
+            // Easing function
+            const eased = this.easeInOutCubic(progress);
+            
+            // Phase 1: Collapse effect
+            if (progress < 0.5) {
+                // Rapidly pulse scale
+                const scale = 1.1 + 0.2 * Math.sin(progress * Math.PI * 10);
+                this.mesh.scale.set(scale, scale, scale);
+                
+                // Flicker intensity
+                if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                    const flicker = Math.random() * progress;
+                    for (const mat of this.mesh.material) {
+                        mat.emissive = new THREE.Color(0, 1 - progress * 2, 1 - progress * 2);
+                        mat.emissiveIntensity = 0.3 * (1 - flicker);
+                    }
+                }
+                
+                // Spin the card
+                this.mesh.rotation.z = Math.sin(progress * Math.PI * 6) * 0.3;
+            } 
+            // Phase 2: Settle into final state
+            else {
+                // Return to normal scale with damping
+                const dampedScale = 1 + 0.1 * Math.sin(progress * Math.PI * 6) * Math.exp(-(progress - 0.5) * 10);
+                this.mesh.scale.set(dampedScale, dampedScale, dampedScale);
+                
+                // Fade out glow
+                if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                    const fadeOut = 0.3 * (1 - eased);
+                    for (const mat of this.mesh.material) {
+                        mat.emissive = new THREE.Color(0, 0, 0);
+                        mat.emissiveIntensity = fadeOut;
+                    }
+                }
+                
+                // Stabilize rotation
+                this.mesh.rotation.z = Math.sin(progress * Math.PI * 4) * 0.1 * (1 - eased);
+                
+                // Update texture to show collapsed state
+                if (progress > 0.8 && this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
+                    this.mesh.material[4].map = this.createCardTexture();
+                    this.mesh.material[4].needsUpdate = true;
+                }
+            }
+            
+            // Continue animation if not complete
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                // Animation complete - reset to normal
+                this.mesh.scale.set(1, 1, 1);
+                this.mesh.rotation.z = 0;
+            }
+        };
+        
+        // Start animation
+        animate();
+    }
+    
+    /**
+     * Update visuals after an entangled partner was measured, or the card was
+     * partially measured, and this card was renormalized
+     */
+    onPartnerMeasured() {
+        if (!this.mesh) return;
+        
+        this.refreshTexture();
+        
+        if (this.card.isEntangled) {
+            this.startEntanglementPulse();
+        } else {
+            this.startSuperpositionPulse();
+        }
+    }
+    
+    /**
+     * Animate the views of cards being entangled: they drift toward each
+     * other, spin together and settle back with a magenta glow
+     */
+    static animateEntanglement(views) {
+        const animated = views.filter(view => view.mesh);
+        if (animated.length < 2) return;
+        
+        // Save original positions and rotations
+        const originalPositions = animated.map(view => view.mesh.position.clone());
+        const originalRotations = animated.map(view => view.mesh.rotation.z);
+        const centroid = originalPositions
+            .reduce((sum, position) => sum.add(position), new THREE.Vector3())
+            .multiplyScalar(1 / animated.length);
+        
+        // Create animation
+        const duration = 1500; // ms
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const currentTime = Date.now();
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(1, elapsed / duration);
+            
+            // Easing function
+            const eased = animated[0].easeInOutCubic(progress);
+            
+            animated.forEach((view, i) => {
+                const mesh = view.mesh;
+                
+                // Phase 1 (0-0.4): Cards move toward each other slightly
+                if (progress < 0.4) {
+                    const p = eased * 2.5; // Remap to 0-1 for this phase
+                    
+                    // Move cards closer
+                    mesh.position.lerpVectors(originalPositions[i], centroid, p * 0.3);
+                    
+                    // Add magenta color with increasing intensity
+                    if (mesh.material && Array.isArray(mesh.material)) {
+                        for (const mat of mesh.material) {
+                            mat.emissive = new THREE.Color(1, 0, 1);
+                            mat.emissiveIntensity = p * 0.3;
+                        }
+                    }
+                }
+                // Phase 2 (0.4-0.6): Spin effect
+                else if (progress < 0.6) {
+                    const p = (progress - 0.4) * 5; // Remap to 0-1 for this phase
+                    
+                    // Spin the cards
+                    mesh.rotation.z = originalRotations[i] + p * Math.PI * 2;
+                    
+                    // Pulse scale
+                    const scale = 1 + 0.2 * Math.sin(p * Math.PI * 3);
+                    mesh.scale.set(scale, scale, scale);
+                }
+                // Phase 3 (0.6-1.0): Return to original positions with glow
+                else {
+                    const p = (progress - 0.6) * 2.5; // Remap to 0-1 for this phase
+                    
+                    // Return to original position and rotation
+                    mesh.position.lerpVectors(mesh.position, originalPositions[i], p);
+                    mesh.rotation.z = originalRotations[i];
+                    
+                    // Set final scale
+                    mesh.scale.set(1.1, 1.1, 1.1);
+                    
+                    // Update card textures to show entangled state
+                    if (progress > 0.8) {
+                        view.refreshTexture();
+                    }
+                }
+            });
+            
+            // Continue animation if not complete
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                // Animation complete
+                for (const view of animated) {
+                    view.startEntanglementPulse();
+                }
+            }
+        };
+        
+        // Start animation
+        animate();
+    }
+
+    /**
+     * Animate a many-worlds split: the wavefunction forks at the source card,
+     * one cyan strand curling back onto it and a magenta strand carrying the
+     * branched card out to its new hand. The strands then fade away.
+     */
+    static animateBranching(source, branch) {
+        if (!source.mesh || !branch.mesh || !source.mesh.parent) return;
+        
+        const scene = source.mesh.parent;
+        const origin = source.mesh.position.clone();
+        const destination = branch.mesh.position.clone();
+        const root = origin.clone().add(new THREE.Vector3(0, 0.6, 0));
+        
+        // One strand per world: a loop back onto the source, an arc to the new hand
+        const strands = [
+            { color: 0x00ffff, points: [origin, root, origin.clone().add(new THREE.Vector3(-0.6, 0.3, 0.4)), origin] },
+            { color: 0xff00ff, points: [origin, root, destination.clone().lerp(root, 0.5).add(new THREE.Vector3(0, 1, 0)), destination] }
+        ].map(({ color, points }) => {
+            const curve = new THREE.CatmullRomCurve3(points);
+            const geometry = new THREE.TubeGeometry(curve, 48, 0.05, 8, false);
+            const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 });
+            const mesh = new THREE.Mesh(geometry, material);
+            geometry.setDrawRange(0, 0);
+            scene.add(mesh);
+            return { mesh, curve, count: geometry.index.count };
+        });
+        const outward = strands[1];
+        
+        const duration = 1200; // ms
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const progress = Math.min(1, (Date.now() - startTime) / duration);
+            
+            // Phase 1 (0-0.6): the strands grow and the branch rides the outward one
+            const growth = source.easeInOutCubic(Math.min(1, progress / 0.6));
+            for (const strand of strands) {
+                strand.mesh.geometry.setDrawRange(0, Math.floor(strand.count * growth / 3) * 3);
+            }
+            branch.mesh.position.copy(outward.curve.getPoint(growth));
+            
+            // Phase 2 (0.6-1.0): the strands fade out
+            const fade = progress < 0.6 ? 1 : 1 - (progress - 0.6) / 0.4;
+            for (const strand of strands) {
+                strand.mesh.material.opacity = 0.9 * fade;
+            }
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                branch.mesh.position.copy(destination);
+                for (const { mesh } of strands) {
+                    scene.remove(mesh);
+                    mesh.geometry.dispose();
+                    mesh.material.dispose();
+                }
+            }
+        };
+        
+        animate();
+    }
+    
+    /**
+     * Redraw the card face to match its current quantum state
+     */
+    refreshTexture() {
+        if (this.mesh && this.mesh.material && Array.isArray(this.mesh.material) && this.mesh.material[4]) {
+            this.mesh.material[4].map = this.createCardTexture();
+            this.mesh.material[4].needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Start subtle pulsing animation for cards in superposition
+     */
+    startSuperpositionPulse() {
+        if (!this.mesh) return;
+        
+        // Clear existing animation if any
+        if (this.pulseAnimation) {
+            cancelAnimationFrame(this.pulseAnimation);
+        }
+        
+        const animate = () => {
+            if (!this.card.isInSuperposition || !this.mesh) return;
+            
+            // Subtle scale pulsing
+            const pulseAmount = 0.05 * Math.sin(Date.now() * 0.003 + this.animationPhase);
+            this.mesh.scale.set(1.1 + pulseAmount, 1.1, 1.1 + pulseAmount);
+            
+            // Update glow intensity
+            if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                const emissiveIntensity = 0.2 + 0.1 * Math.sin(Date.now() * 0.004 + this.animationPhase);
+                for (const mat of this.mesh.material) {
+                    mat.emissive = new THREE.Color(0, 1, 1);
+                    mat.emissiveIntensity = emissiveIntensity;
+                }
+            }
+            
+            // Continue animation as long as card is in superposition
+            this.pulseAnimation = requestAnimationFrame(animate);
+        };
+        
+        // Start the continuous animation
+        this.pulseAnimation = requestAnimationFrame(animate);
+    }
+    
+    /**
+     * Start subtle pulsing animation for entangled cards
+     */
+    startEntanglementPulse() {
+        if (!this.mesh) return;
+        
+        // Clear existing animation if any
+        if (this.pulseAnimation) {
+            cancelAnimationFrame(this.pulseAnimation);
+        }
+        
+        const animate = () => {
+            if (!this.card.isEntangled || !this.mesh) return;
+            
+            // Subtle scale pulsing
+            const pulseAmount = 0.05 * Math.sin(Date.now() * 0.002);
+            this.mesh.scale.set(1.1 + pulseAmount, 1.1, 1.1 + pulseAmount);
+            
+            // Update glow intensity
+            if (this.mesh.material && Array.isArray(this.mesh.material)) {
+                const emissiveIntensity = 0.2 + 0.1 * Math.sin(Date.now() * 0.003);
+                for (const mat of this.mesh.material) {
+                    mat.emissive = new THREE.Color(1, 0, 1);
+                    mat.emissiveIntensity = emissiveIntensity;
+                }
+            }
+            
+            // Continue animation as long as card is entangled
+            this.pulseAnimation = requestAnimationFrame(animate);
+        };
+        
+        // Start the continuous animation
+        this.pulseAnimation = requestAnimationFrame(animate);
+    }
+    
+    /**
+     * Animate the card turning face up or face down
+     */
+    flip(faceUp) {
+        // If the card has a mesh, animate the flip
+        if (this.mesh) {
+            // Animate flip
+            const initialRotation = this.mesh.rotation.y;
+            const targetRotation = faceUp ? 0 : Math.PI;
+            
+            // Use a simple animation loop
+            let progress = 0;
+            const duration = 500; // ms
+            const startTime = Date.now();
+            
+            const animate = () => {
+                const currentTime = Date.now();
+                progress = Math.min(1, (currentTime - startTime) / duration);
+                
+                // Easing function for smoother animation
+                const eased = 0.5 - 0.5 * Math.cos(progress * Math.PI);
+                
+                // Update rotation
+                this.mesh.rotation.y = initialRotation * (1 - eased) + targetRotation * eased;
+                
+                // Continue animation if not complete
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    // Animation complete
+                    this.mesh.rotation.y = targetRotation;
+                }
+            };
+            
+            // Start animation
+            animate();
+        }
+    }
+    
+    /**
+     * Easing function for smooth animations
+     */
+    easeInOutCubic(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+    
+    /**
+     * Create a texture for the card
+     */
+    createCardTexture() {
+        // Canvas for drawing card face
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 768;
+        const ctx = canvas.getContext('2d');
+        
+        // Create gradient background based on suit
+        let gradientColors;
+        if (this.card.suit === 'hearts' || this.card.suit === 'diamonds') {
+            gradientColors = ['#ffeeee', '#ffffff', '#ffdddd']; // Red suits
+        } else {
+            gradientColors = ['#eeeeff', '#ffffff', '#ddddff']; // Black suits
+        }
+        
+        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+        gradient.addColorStop(0, gradientColors[0]);
+        gradient.addColorStop(0.5, gradientColors[1]);
+        gradient.addColorStop(1, gradientColors[2]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        // Draw card border with rounded corners
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 8;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.roundRect(10, 10, canvas.width - 20, canvas.height - 20, 20);
+        ctx.stroke();
+        
+        // Determine color based on suit
+        const color = (this.card.suit === 'hearts' || this.card.suit === 'diamonds') ? '#ee0000' : '#000066';
+        
+        // Get value and suit symbols
+        const valueText = this.getValueText();
+        const suitSymbol = this.getSuitSymbol();
+        
+        // Top left value and suit with decorative styling
+        ctx.font = 'bold 80px Arial, sans-serif';
+        ctx.fillStyle = color;
+        ctx.textAlign = 'left';
+        
+        // Add shadow for depth
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+        ctx.shadowBlur = 5;
+        ctx.shadowOffsetX = 2;
+        ctx.shadowOffsetY = 2;
+        
+        // Draw value
+        ctx.fillText(valueText, 40, 100);
+        
+        // Draw suit with slight offset
+        ctx.font = 'bold 80px Arial, sans-serif';
+        ctx.fillText(suitSymbol, 40, 180);
+        
+        // Bottom right value and suit (upside down)
+        ctx.save();
+        ctx.translate(canvas.width - 40, canvas.height - 40);
+        ctx.rotate(Math.PI);
+        ctx.textAlign = 'right';
+        ctx.fillText(valueText, 0, 0);
+        ctx.fillText(suitSymbol, 0, 80);
+        ctx.restore();
+        
+        // Reset shadow
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
+        
+        // Draw decorative suit pattern in the background
+        ctx.save();
+        ctx.globalAlpha = 0.03;
+        ctx.fillStyle = color;
+        
+        for (let i = 0; i < 5; i++) {
+            for (let j = 0; j < 8; j++) {
+                ctx.font = '50px Arial, sans-serif';
+                ctx.fillText(suitSymbol, 100 + i * 80, 150 + j * 80);
+            }
+        }
+        ctx.restore();
+        
+        // Large central suit with glow
+        ctx.font = 'bold 300px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = color;
+        
+        // Add glow effect
+        ctx.shadowColor = this.card.isInSuperposition ? '#00ffff' : (this.card.isEntangled ? '#ff00ff' : color);
+        ctx.shadowBlur = this.card.isInSuperposition || this.card.isEntangled ? 30 : 10;
+        
+        // Draw the central suit symbol
+        ctx.fillText(suitSymbol, canvas.width / 2, canvas.height / 2 + 75);
+        
+        // Reset shadow for further drawing
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        
+        // Add quantum effects if in superposition
+        if (this.card.isInSuperposition) {
+            // Add wave interference pattern
+            ctx.save();
+            ctx.globalAlpha = 0.2;
+            ctx.strokeStyle = '#00ffff';
+            ctx.lineWidth = 2;
+            
+            // Draw interference waves based on phase
+            for (let i = 0; i < 20; i++) {
+                const y = canvas.height * (i / 20);
+                const amplitude = 30 * Math.sin(this.card.phase + i * Math.PI / 10);
+                const wavelength = 15 + 10 * Math.sin(this.card.phase / 2);
+                
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                
+                for (let x = 0; x < canvas.width; x += 5) {
+                    const yOffset = amplitude * Math.sin((x / wavelength) + this.card.phase);
+                    ctx.lineTo(x, y + yOffset);
+                }
+                
+                ctx.stroke();
+            }
+            ctx.restore();
+            
+            // Add probability indicators in a more visually appealing display
+            ctx.save();
+            
+            // Create a semi-transparent panel for probabilities, tall enough for every state
+            const amplitudes = this.card.amplitudes;
+            const rowHeight = this.card.superpositionStates.length > 2 ? 32 : 50;
+            const panelHeight = 60 + this.card.superpositionStates.length * rowHeight;
+            const panelTop = canvas.height - 40 - panelHeight;
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.beginPath();
+            ctx.roundRect(40, panelTop, canvas.width - 80, panelHeight, 10);
+            ctx.fill();
+            
+            // Title for probability panel
+            ctx.font = 'bold 24px Arial, sans-serif';
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'center';
+            ctx.fillText('QUANTUM STATES', canvas.width / 2, panelTop + 30);
+            
+            // Display each state with probability bars
+            this.card.superpositionStates.forEach((state, index) => {
+                const prob = amplitudes[index].real * amplitudes[index].real + 
+                            amplitudes[index].imag * amplitudes[index].imag;
+                
+                // Get display values
+                const displayValue = this.card.getValueString(state.value);
+                const displaySuit = this.card.capitalizeFirstLetter(state.suit);
+                const stateColor = (state.suit === 'hearts' || state.suit === 'diamonds') ? '#ff6666' : '#6666ff';
+                
+                // Position for this state entry
+                const y = panelTop + 60 + index * rowHeight;
+                
+                // Draw state description
+                ctx.textAlign = 'left';
+                ctx.font = '20px Arial, sans-serif';
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(`${displayValue} of ${displaySuit}:`, 50, y);
+                
+                // Draw probability bar background
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.beginPath();
+                ctx.roundRect(250, y - 15, 200, 20, 5);
+                ctx.fill();
+                
+                // Draw probability bar
+                ctx.fillStyle = stateColor;
+                ctx.beginPath();
+                ctx.roundRect(250, y - 15, 200 * prob, 20, 5);
+                ctx.fill();
+                
+                // Draw probability percentage
+                ctx.textAlign = 'right';
+                ctx.fillStyle = '#ffffff';
+                ctx.font = 'bold 16px Arial, sans-serif';
+                ctx.fillText(`${(prob * 100).toFixed(1)}%`, canvas.width - 50, y);
+            });
+            
+            ctx.restore();
+        }
+        
+        // Add entanglement indicators
+        if (this.card.isEntangled && this.card.entangledWith) {
+            ctx.save();
+            
+            // Add entanglement indicator at top
+            ctx.fillStyle = 'rgba(255, 0, 255, 0.8)';
+            ctx.beginPath();
+            ctx.roundRect(canvas.width / 2 - 100, 20, 200, 40, 10);
+            ctx.fill();
+            
+            ctx.font = 'bold 20px Arial, sans-serif';
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'center';
+            const groupSize = this.card.register.cards.length;
+            ctx.fillText(groupSize > 2 ? `GHZ GROUP (${groupSize})` : 'ENTANGLED', canvas.width / 2, 48);
+            
+            // Name the correlation under the badge
+            if (this.card.register.correlation) {
+                ctx.font = 'bold 16px Arial, sans-serif';
+                ctx.fillStyle = '#ff00ff';
+                ctx.fillText(this.card.register.correlation.label.toUpperCase(), canvas.width / 2, 80);
+            }
+            
+            // Add pulsing effect
+            const pulseOpacity = 0.3 + 0.2 * Math.sin(Date.now() * 0.003);
+            ctx.globalAlpha = pulseOpacity;
+            ctx.strokeStyle = '#ff00ff';
+            ctx.lineWidth = 5;
+            ctx.setLineDash([10, 5]);
+            ctx.beginPath();
+            ctx.roundRect(20, 20, canvas.width - 40, canvas.height - 40, 20);
+            ctx.stroke();
+            
+            ctx.restore();
+        }
+        
+        // Create texture from canvas
+        const texture = new THREE.Texture(canvas);
+        texture.needsUpdate = true;
+        
+        return texture;
+    }
+    
+    /**
+     * Get the text representation of the card's value
+     */
+    getValueText() {
+        switch (this.card.value) {
+            case 1: return 'A';
+            case 11: return 'J';
+            case 12: return 'Q';
+            case 13: return 'K';
+            default: return this.card.value.toString();
+        }
+    }
+    
+    /**
+     * Get the Unicode symbol for the card's suit
+     */
+    getSuitSymbol() {
+        switch (this.card.suit) {
+            case 'hearts': return '♥';
+            case 'diamonds': return '♦';
+            case 'clubs': return '♣';
+            case 'spades': return '♠';
+            default: return '?';
+        }
+    }
+}
@@ -0,0 +1,239 @@
+// Version of the stored profile schema; add a migration when it changes
+export const PROFILE_VERSION = 1;
+
+// localStorage key holding every profile and which one is active
+const PROFILES_KEY = 'qblackjack-profiles';
+
+// Session autosave written before profiles existed (one per browser)
+const LEGACY_SAVE_KEY = 'qblackjack-save';
+
+const DEFAULT_PROFILE_NAME = 'Player';
+
+// Bankroll and quantum chips a new profile starts with
+export const createStartingChips = () => ({
+    hadamard: 3,
+    schrodinger: 2,
+    colorFilter: 1,
+    entanglement: 2,
+    ghz: 1,
+    xGate: 1,
+    yGate: 1,
+    zGate: 1,
+    sGate: 1,
+    tGate: 1,
+    qutrit: 1,
+    fourier: 1
+});
+
+export const STARTING_MONEY = 1000;
+
+// Lifetime results per game and the number of quantum chips played
+export const createStats = () => ({
+    blackjack: { played: 0, won: 0, lost: 0, tied: 0 },
+    poker: { played: 0, won: 0, lost: 0, tied: 0 },
+    chipsUsed: 0
+});
+
+export function createProfile(name = DEFAULT_PROFILE_NAME) {
+    return {
+        version: PROFILE_VERSION,
+        name,
+        createdAt: new Date().toISOString(),
+        money: STARTING_MONEY,
+        chips: createStartingChips(),
+        stats: createStats(),
+        settings: {
+            decoherence: {},
+            tutorialShown: { blackjack: false, poker: false }
+        }
+    };
+}
+
+/**
+ * Schema migrations, keyed by the version they upgrade from. Each takes a
+ * stored profile of that version and returns it one version newer.
+ *
+ * Version 0 is the session autosave from before profiles existed: it already
+ * held the bankroll, chips and decoherence settings, so they carry over.
+ */
+const MIGRATIONS = {
+    0: (legacy, name) => {
+        const profile = createProfile(name);
+        if (typeof legacy.money === 'number') profile.money = legacy.money;
+        if (legacy.chips) profile.chips = { ...profile.chips, ...legacy.chips };
+        if (legacy.decoherence) profile.settings.decoherence = { ...legacy.decoherence };
+        return profile;
+    }
+};
+
+/**
+ * Named player profiles kept in localStorage: bankroll, quantum chip
+ * inventory, lifetime statistics and settings. Profiles are migrated to
+ * PROFILE_VERSION as they are loaded. When storage is unavailable (private
+ * browsing, Node) the profiles still work for the session, in memory.
+ */
+export class ProfileStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage || null;
+        this.profiles = {};
+        this.activeName = null;
+    }
+
+    // Read the stored profiles, migrating old ones, and pick the active profile
+    load() {
+        const stored = this.read(PROFILES_KEY);
+        this.profiles = {};
+
+        if (stored && stored.profiles) {
+            for (const [name, profile] of Object.entries(stored.profiles)) {
+                try {
+                    this.profiles[name] = ProfileStore.migrate(profile, name);
+                } catch (error) {
+                    console.error(`Dropping unreadable profile "${name}":`, error);
+                }
+            }
+            this.activeName = stored.active;
+        } else {
+            this.importLegacySave();
+        }
+
+        if (Object.keys(this.profiles).length === 0) {
+            this.profiles[DEFAULT_PROFILE_NAME] = createProfile(DEFAULT_PROFILE_NAME);
+        }
+        if (!this.profiles[this.activeName]) {
+            this.activeName = this.getNames()[0];
+        }
+
+        this.write();
+        return this.getActive();
+    }
+
+    // Bring a stored profile up to PROFILE_VERSION
+    static migrate(profile, name) {
+        let migrated = profile;
+        let version = profile.version || 0;
+
+        if (version > PROFILE_VERSION) {
+            throw new Error(`Profile version ${version} is newer than this game (${PROFILE_VERSION})`);
+        }
+
+        while (version < PROFILE_VERSION) {
+            migrated = MIGRATIONS[version](migrated, name);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+
+    // First run with profiles: turn the old autosave into the default profile
+    // and keep its hand as that profile's saved session
+    importLegacySave() {
+        const legacy = this.read(LEGACY_SAVE_KEY);
+        if (!legacy) return;
+
+        console.log("Migrating the saved session into a profile");
+        // Its `version` is the session format's, not a profile version
+        this.profiles[DEFAULT_PROFILE_NAME] = ProfileStore.migrate({ ...legacy, version: 0 }, DEFAULT_PROFILE_NAME);
+        this.activeName = DEFAULT_PROFILE_NAME;
+
+        this.writeKey(ProfileStore.getSessionKey(DEFAULT_PROFILE_NAME), legacy);
+        this.remove(LEGACY_SAVE_KEY);
+    }
+
+    getNames() {
+        return Object.keys(this.profiles);
+    }
+
+    getActive() {
+        return this.profiles[this.activeName];
+    }
+
+    // Add an empty profile; returns null if the name is blank or taken
+    create(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed || this.profiles[trimmed]) {
+            return null;
+        }
+
+        this.profiles[trimmed] = createProfile(trimmed);
+        this.write();
+        return this.profiles[trimmed];
+    }
+
+    select(name) {
+        if (!this.profiles[name]) {
+            return null;
+        }
+
+        this.activeName = name;
+        this.write();
+        return this.profiles[name];
+    }
+
+    // Remove a profile and its saved session. The last profile can't be deleted.
+    delete(name) {
+        if (!this.profiles[name] || this.getNames().length <= 1) {
+            return false;
+        }
+
+        delete this.profiles[name];
+        this.remove(ProfileStore.getSessionKey(name));
+        if (this.activeName === name) {
+            this.activeName = this.getNames()[0];
+        }
+        this.write();
+        return true;
+    }
+
+    // Store the active profile's latest bankroll, chips, stats and settings
+    update(changes) {
+        const profile = this.getActive();
+        if (!profile) return null;
+
+        Object.assign(profile, changes, { version: PROFILE_VERSION, name: this.activeName });
+        this.write();
+        return profile;
+    }
+
+    // Key of the mid-hand session saved for a profile (see GameManager.saveGame)
+    static getSessionKey(name) {
+        return `${LEGACY_SAVE_KEY}:${name}`;
+    }
+
+    write() {
+        this.writeKey(PROFILES_KEY, { active: this.activeName, profiles: this.profiles });
+    }
+
+    read(key) {
+        if (!this.storage) return null;
+
+        try {
+            const value = this.storage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return null;
+        }
+    }
+
+    writeKey(key, value) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${key}:`, error);
+            return false;
+        }
+    }
+
+    remove(key) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(key);
+        } catch (error) {
+            console.error(`Error removing ${key}:`, error);
+        }
+    }
+}
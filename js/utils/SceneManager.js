@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { CardView } from './CardView.js';
+
+// Height of one card in the shoe and discard stacks
+const STACK_CARD_HEIGHT = 0.004;
+
+// Where the shoe (dealer's left) and the discard tray (dealer's right) stand
+const SHOE_POSITION = { x: 6.5, z: -3.5 };
+const DISCARD_POSITION = { x: -6.5, z: -3.5 };
+
+// The bet circle in front of the player's cards, and the colors of its chips
+const BET_CIRCLE_POSITION = { x: 0, z: 4.6 };
+const BET_CHIP_COLORS = { 500: 0x8833cc, 100: 0x222244, 25: 0x22aa66, 5: 0xff3355 };
+const BET_CHIP_HEIGHT = 0.08;
+const MAX_BET_CHIPS_SHOWN = 20;
 
 export class SceneManager {
     constructor(canvas, assetLoader) {
@@ -11,6 +25,11 @@ export class SceneManager {
         this.renderer = null;
         this.cardObjects = [];
         this.tableObject = null;
+        this.handMarker = null;             // Outline under the active split hand
+        this.rulesPlaque = null;            // Ruleset printed on the felt
+        this.shoeObjects = null;            // Shoe, its card stack, the cut card and the discard pile
+        this.betCircle = null;              // Ring on the felt the player's chips sit in
+        this.betChips = [];
         this.clickListeners = [];
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -362,6 +381,10 @@ export class SceneManager {
                 for (const cardObj of this.cardObjects) {
                     if (!cardObj) continue;
                     
+                    // Stop animating the card
+                    const view = cardObj.userData.card && CardView.for(cardObj.userData.card);
+                    if (view) view.dispose();
+                    
                     // Remove from scene
                     this.scene.remove(cardObj);
                     
@@ -381,6 +404,11 @@ export class SceneManager {
             
             // Clear the card objects array
             this.cardObjects = [];
+            this.handMarker = null;
+            this.rulesPlaque = null;
+            this.shoeObjects = null;
+            this.betCircle = null;
+            this.betChips = [];
             
             // Keep the table and lights, but remove other objects
             const objectsToKeep = [this.tableObject];
@@ -428,6 +456,9 @@ export class SceneManager {
         try {
             console.log(`Adding card: ${card.toString()} at position`, position);
             
+            // The view draws the card and animates it as its quantum state changes
+            const view = new CardView(card);
+            
             // Create card mesh with slightly larger dimensions for better visibility
             const cardGeometry = new THREE.BoxGeometry(1.2, 0.05, 1.8);
             
@@ -435,14 +466,7 @@ export class SceneManager {
             let frontTexture, backTexture;
             
             try {
-                // Use the card's own createCardTexture method if it exists
-                if (typeof card.createCardTexture === 'function') {
-                    console.log("Using card's own texture generation");
-                    frontTexture = card.createCardTexture();
-                } else {
-                    console.log("Falling back to SceneManager texture generation");
-                    frontTexture = this.createCardTexture(card);
-                }
+                frontTexture = view.createCardTexture();
                 
                 // Always use SceneManager's back texture for consistency
                 backTexture = this.createCardBackTexture();
@@ -500,7 +524,8 @@ export class SceneManager {
             this.scene.add(cardMesh);
             this.cardObjects.push(cardMesh);
             
-            // Store mesh reference in card
+            // Store mesh reference in the view and the card
+            view.mesh = cardMesh;
             card.mesh = cardMesh;
             
             // Apply quantum effects if the card is already in a quantum state
@@ -680,49 +705,233 @@ export class SceneManager {
     }
 
     flipCard(card, faceUp = true) {
-        if (!card || !card.mesh) {
-            console.error("Cannot flip card - invalid card or missing mesh", card);
+        if (!card || !CardView.for(card)) {
+            console.error("Cannot flip card - invalid card or not on the table", card);
             return;
         }
 
-        try {
-            // Animate the card flip
-            const mesh = card.mesh;
-            const initialRotation = mesh.rotation.y;
-            const targetRotation = faceUp ? 0 : Math.PI;
-            
-            // Use a simple animation loop
-            let progress = 0;
-            const duration = 500; // ms
-            const startTime = Date.now();
-            
-            const animate = () => {
-                const currentTime = Date.now();
-                progress = Math.min(1, (currentTime - startTime) / duration);
-                
-                // Easing function for smoother animation
-                const eased = 0.5 - 0.5 * Math.cos(progress * Math.PI);
-                
-                // Update rotation
-                mesh.rotation.y = initialRotation * (1 - eased) + targetRotation * eased;
-                
-                // Continue animation if not complete
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Animation complete
-                    card.isFaceUp = faceUp;
-                    mesh.rotation.y = targetRotation;
-                }
-            };
-            
-            // Start animation
-            animate();
-        } catch (error) {
-            console.error("Error flipping card:", error);
+        // The card's view animates the flip
+        card.flip(faceUp);
+    }
+
+    // Slide a card already on the table to a new spot, e.g. when a split fans
+    // the player's hands out. angle turns the card about the vertical axis.
+    moveCard(card, position, angle = 0) {
+        if (!card || !card.mesh) return;
+        
+        const mesh = card.mesh;
+        mesh.position.x = position.x;
+        mesh.position.z = position.z + (mesh.userData.isPlayerCard ? 0.1 : 0);
+        mesh.rotation.y = angle;
+    }
+
+    // Show a quantum split: branch flies out of card along the forking wavefunction
+    animateBranching(card, branch) {
+        const source = CardView.for(card);
+        const target = CardView.for(branch);
+        if (!source || !target) return;
+
+        CardView.animateBranching(source, target);
+    }
+
+    // The ruleset printed on the felt between the dealer and the player
+    showTableRules(title, lines) {
+        if (!this.initialized) return;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 256;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.textAlign = 'center';
+        ctx.shadowBlur = 12;
+        ctx.shadowColor = '#ff00ff';
+        ctx.fillStyle = '#ff00ff';
+        ctx.font = 'bold 56px VT323, monospace';
+        ctx.fillText(title.toUpperCase(), canvas.width / 2, 60);
+        
+        ctx.shadowColor = '#00ffff';
+        ctx.fillStyle = '#00ffff';
+        ctx.font = '34px VT323, monospace';
+        lines.forEach((line, index) => {
+            ctx.fillText(line.toUpperCase(), canvas.width / 2, 112 + index * 42);
+        });
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        if (!this.rulesPlaque) {
+            const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0.6, depthWrite: false });
+            this.rulesPlaque = new THREE.Mesh(new THREE.PlaneGeometry(8, 2), material);
+            this.rulesPlaque.rotation.x = -Math.PI / 2;
+            this.rulesPlaque.position.set(0, 0.012, 0);
+            this.scene.add(this.rulesPlaque);
+        } else {
+            this.rulesPlaque.material.map.dispose();
+            this.rulesPlaque.material.map = texture;
+            this.rulesPlaque.material.needsUpdate = true;
+        }
+        this.rulesPlaque.visible = true;
+    }
+
+    hideTableRules() {
+        if (this.rulesPlaque) {
+            this.rulesPlaque.visible = false;
+        }
+    }
+
+    // Neon outline under the hand being played when there are several
+    showHandMarker(center, angle, width, depth = 2.4) {
+        if (!this.initialized) return;
+        
+        if (!this.handMarker) {
+            const material = new THREE.MeshBasicMaterial({
+                color: 0x00ffff,
+                transparent: true,
+                opacity: 0.25,
+                side: THREE.DoubleSide
+            });
+            this.handMarker = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+            this.scene.add(this.handMarker);
+        }
+        
+        // Lay the plane flat, then turn it with the hand
+        this.handMarker.rotation.set(-Math.PI / 2, 0, angle);
+        this.handMarker.scale.set(width, depth, 1);
+        this.handMarker.position.set(center.x, 0.015, center.z);
+        this.handMarker.visible = true;
+    }
+
+    hideHandMarker() {
+        if (this.handMarker) {
+            this.handMarker.visible = false;
         }
     }
 
+    // The bet circle with the amount stacked in it, largest chips at the bottom
+    showBet(amount) {
+        if (!this.initialized) return;
+        
+        if (!this.betCircle) {
+            const material = new THREE.MeshBasicMaterial({
+                color: 0xff00ff,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide
+            });
+            this.betCircle = new THREE.Mesh(new THREE.RingGeometry(0.6, 0.7, 48), material);
+            this.betCircle.rotation.x = -Math.PI / 2;
+            this.betCircle.position.set(BET_CIRCLE_POSITION.x, 0.012, BET_CIRCLE_POSITION.z);
+            this.scene.add(this.betCircle);
+        }
+        this.betCircle.visible = true;
+        
+        for (const chip of this.betChips) {
+            this.scene.remove(chip);
+            chip.geometry.dispose();
+            chip.material.dispose();
+        }
+        this.betChips = [];
+        
+        // Break the amount into as few chips as possible
+        let rest = amount;
+        for (const value of Object.keys(BET_CHIP_COLORS).map(Number).sort((a, b) => b - a)) {
+            while (rest >= value && this.betChips.length < MAX_BET_CHIPS_SHOWN) {
+                const chip = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.45, 0.45, BET_CHIP_HEIGHT, 32),
+                    new THREE.MeshStandardMaterial({ color: BET_CHIP_COLORS[value], emissive: 0x00ffff, emissiveIntensity: 0.1 })
+                );
+                chip.position.set(
+                    BET_CIRCLE_POSITION.x,
+                    BET_CHIP_HEIGHT * (this.betChips.length + 0.5),
+                    BET_CIRCLE_POSITION.z
+                );
+                this.scene.add(chip);
+                this.betChips.push(chip);
+                rest -= value;
+            }
+        }
+    }
+
+    hideBet() {
+        this.showBet(0);
+        if (this.betCircle) {
+            this.betCircle.visible = false;
+        }
+    }
+
+    // The shoe and the discard pile, each stacked as deep as the cards it
+    // holds, with the cut card showing how far the shoe will be dealt
+    updateShoe({ remaining, discarded, cutCard, cutCardReached }) {
+        if (!this.initialized) return;
+        
+        if (!this.shoeObjects) {
+            this.shoeObjects = this.createShoeObjects();
+        }
+        const { housing, stack, cut, discard } = this.shoeObjects;
+        
+        this.setStackHeight(stack, remaining);
+        this.setStackHeight(discard, discarded);
+        housing.visible = true;
+        
+        // Once it is out the cut card leans on top of the shoe until the shuffle
+        cut.visible = remaining > 0 || cutCardReached;
+        if (cutCardReached) {
+            cut.position.y = remaining * STACK_CARD_HEIGHT + 0.05;
+            cut.rotation.x = 0.35;
+            cut.material.emissiveIntensity = 1;
+        } else {
+            cut.position.y = cutCard * STACK_CARD_HEIGHT;
+            cut.rotation.x = 0;
+            cut.material.emissiveIntensity = 0.4;
+        }
+    }
+
+    hideShoe() {
+        if (this.shoeObjects) {
+            Object.values(this.shoeObjects).forEach(mesh => { mesh.visible = false; });
+        }
+    }
+
+    createShoeObjects() {
+        const cardMaterial = () => new THREE.MeshStandardMaterial({
+            color: 0x2a0a4a,
+            emissive: 0x00ffff,
+            emissiveIntensity: 0.15,
+            roughness: 0.6
+        });
+        
+        // A translucent neon box the shoe's cards sit in
+        const housing = new THREE.Mesh(
+            new THREE.BoxGeometry(1.6, 1.9, 2.2),
+            new THREE.MeshStandardMaterial({ color: 0xff00ff, transparent: true, opacity: 0.2, depthWrite: false })
+        );
+        housing.position.set(SHOE_POSITION.x, 0.95, SHOE_POSITION.z);
+        
+        // Unit-high boxes, scaled to the number of cards (see setStackHeight)
+        const stack = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1, 1.8), cardMaterial());
+        stack.position.set(SHOE_POSITION.x, 0, SHOE_POSITION.z);
+        const discard = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1, 1.8), cardMaterial());
+        discard.position.set(DISCARD_POSITION.x, 0, DISCARD_POSITION.z);
+        discard.rotation.y = 0.2;
+        
+        const cut = new THREE.Mesh(
+            new THREE.BoxGeometry(1.3, 0.01, 2.0),
+            new THREE.MeshStandardMaterial({ color: 0xff3366, emissive: 0xff3366, emissiveIntensity: 0.4 })
+        );
+        cut.position.set(SHOE_POSITION.x, 0, SHOE_POSITION.z);
+        
+        const objects = { housing, stack, cut, discard };
+        Object.values(objects).forEach(mesh => this.scene.add(mesh));
+        return objects;
+    }
+
+    // Grow a stack from the felt to the height of its cards
+    setStackHeight(mesh, cards) {
+        const height = cards * STACK_CARD_HEIGHT;
+        mesh.visible = cards > 0;
+        mesh.scale.y = Math.max(height, STACK_CARD_HEIGHT);
+        mesh.position.y = height / 2;
+    }
+
     render() {
         if (!this.renderer || !this.scene || !this.camera) return;
         this.renderer.render(this.scene, this.camera);
@@ -741,15 +950,20 @@ export class SceneManager {
         for (const cardObj of this.cardObjects) {
             const card = cardObj.userData.card;
             if (card) {
+                this.updateCoherenceMeter(cardObj, card);
+                
                 // Update superposition effects
-                if (card.isInSuperposition) {
+                const view = CardView.for(card);
+                if (card.isInSuperposition && view) {
+                    view.animationPhase += deltaTime * 2;
+                    
                     // Make the card pulse/glow with phase-dependent intensity
-                    const pulseAmount = 0.1 * Math.sin(Date.now() * 0.003 + card.phase);
+                    const pulseAmount = 0.1 * Math.sin(Date.now() * 0.003 + view.animationPhase);
                     cardObj.scale.set(1 + pulseAmount, 1, 1 + pulseAmount);
                     
                     // Add cyan glow effect with phase-dependent intensity
                     if (cardObj.material && Array.isArray(cardObj.material)) {
-                        const emissiveIntensity = 0.3 + 0.2 * Math.sin(Date.now() * 0.005 + card.phase);
+                        const emissiveIntensity = 0.3 + 0.2 * Math.sin(Date.now() * 0.005 + view.animationPhase);
                         for (const mat of cardObj.material) {
                             mat.emissive = new THREE.Color(0, 1, 1);
                             mat.emissiveIntensity = emissiveIntensity;
@@ -765,7 +979,7 @@ export class SceneManager {
                         }
                         
                         // Create interference pattern texture
-                        const interferenceTexture = this.createInterferenceTexture(card.phase);
+                        const interferenceTexture = this.createInterferenceTexture(view.animationPhase, card.superpositionStates.length);
                         frontMat.map = interferenceTexture;
                         frontMat.needsUpdate = true;
                     }
@@ -808,6 +1022,54 @@ export class SceneManager {
         this.updateEntanglementLines();
     }
 
+    // Coherence meter beside a superposed card: a bar that drains from green to
+    // red as the card decoheres, removed once the card is definite
+    updateCoherenceMeter(cardObj, card) {
+        let meter = cardObj.userData.coherenceMeter;
+        
+        if (!card.isInSuperposition) {
+            if (meter) {
+                cardObj.remove(meter);
+                meter.children.forEach(bar => {
+                    bar.geometry.dispose();
+                    bar.material.dispose();
+                });
+                cardObj.userData.coherenceMeter = null;
+            }
+            return;
+        }
+        
+        if (!meter) {
+            meter = new THREE.Group();
+            
+            const track = new THREE.Mesh(
+                new THREE.BoxGeometry(0.08, 0.02, 1.8),
+                new THREE.MeshBasicMaterial({ color: 0x222222 })
+            );
+            const fill = new THREE.Mesh(
+                new THREE.BoxGeometry(0.08, 0.03, 1.8),
+                new THREE.MeshBasicMaterial({ color: 0x00ff00 })
+            );
+            fill.name = 'coherence-fill';
+            
+            // Clicks should pick the card, not its meter
+            track.raycast = () => {};
+            fill.raycast = () => {};
+            
+            meter.add(track, fill);
+            meter.position.set(0.7, 0.03, 0);
+            cardObj.add(meter);
+            cardObj.userData.coherenceMeter = meter;
+        }
+        
+        // Shrink the bar toward the card's near edge as coherence drops
+        const coherence = Math.max(0.001, Math.min(1, card.coherence));
+        const fill = meter.getObjectByName('coherence-fill');
+        fill.scale.z = coherence;
+        fill.position.z = 0.9 * (1 - coherence);
+        fill.material.color.setRGB(1 - coherence, coherence, 0);
+    }
+
     updateEntanglementLines() {
         if (!this.scene) {
             console.warn("Cannot update entanglement lines - scene is null");
@@ -835,37 +1097,41 @@ export class SceneManager {
                 if (line.material) line.material.dispose();
             }
             
-            // Find all entangled cards
-            const entangledCards = [];
+            // Group entangled cards by the joint state they share
+            const groups = new Map();
             for (const cardObj of this.cardObjects) {
-                if (cardObj && cardObj.userData && cardObj.userData.card && 
-                    cardObj.userData.card.entangledWith) {
-                    entangledCards.push(cardObj.userData.card);
+                const card = cardObj && cardObj.userData && cardObj.userData.card;
+                if (card && card.isEntangled && card.mesh) {
+                    if (!groups.has(card.register)) {
+                        groups.set(card.register, []);
+                    }
+                    groups.get(card.register).push(card);
                 }
             }
             
-            // Create new entanglement lines
-            for (const card of entangledCards) {
-                if (card.entangledWith && card.mesh && card.entangledWith.mesh) {
-                    // Create line geometry
-                    const points = [];
-                    points.push(card.mesh.position);
-                    points.push(card.entangledWith.mesh.position);
-                    
-                    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-                    const material = new THREE.LineBasicMaterial({
-                        color: 0xff00ff,
-                        transparent: true,
-                        opacity: 0.5 + 0.3 * Math.sin(Date.now() * 0.002),
-                        linewidth: 2
-                    });
-                    
-                    // Create line
-                    const line = new THREE.Line(geometry, material);
-                    line.userData.isEntanglementLine = true;
+            const opacity = 0.5 + 0.3 * Math.sin(Date.now() * 0.002);
+            
+            for (const group of groups.values()) {
+                if (group.length < 2) continue;
+                
+                const positions = group.map(card => card.mesh.position);
+                
+                if (group.length === 2) {
+                    // A pair is joined by a single line
+                    this.addEntanglementLine(new THREE.Line(new THREE.BufferGeometry().setFromPoints(positions), this.createEntanglementMaterial(opacity)));
+                } else {
+                    // A GHZ group is outlined as a polygon, with beams from its
+                    // centre to every member to show they share one state
+                    this.addEntanglementLine(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(positions), this.createEntanglementMaterial(opacity)));
                     
-                    // Add to scene
-                    this.scene.add(line);
+                    const centre = positions
+                        .reduce((sum, position) => sum.add(position), new THREE.Vector3())
+                        .multiplyScalar(1 / positions.length);
+                    const beams = [];
+                    for (const position of positions) {
+                        beams.push(centre, position);
+                    }
+                    this.addEntanglementLine(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(beams), this.createEntanglementMaterial(opacity * 0.6, 0x00ffff)));
                 }
             }
         } catch (error) {
@@ -873,6 +1139,20 @@ export class SceneManager {
         }
     }
 
+    createEntanglementMaterial(opacity, color = 0xff00ff) {
+        return new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            linewidth: 2
+        });
+    }
+
+    addEntanglementLine(line) {
+        line.userData.isEntanglementLine = true;
+        this.scene.add(line);
+    }
+
     createVaporwaveBackground() {
         // Create a canvas for the background
         const canvas = document.createElement('canvas');
@@ -919,7 +1199,10 @@ export class SceneManager {
         return texture;
     }
 
-    createInterferenceTexture(phase) {
+    // Interference rings; cards spread over more than two states get one spiral arm per state
+    createInterferenceTexture(phase, stateCount = 2) {
+        const arms = stateCount > 2 ? stateCount : 0;
+
         const canvas = document.createElement('canvas');
         canvas.width = 512;
         canvas.height = 512;
@@ -937,9 +1220,10 @@ export class SceneManager {
             const dx = x - canvas.width / 2;
             const dy = y - canvas.height / 2;
             const distance = Math.sqrt(dx * dx + dy * dy);
+            const angle = Math.atan2(dy, dx);
             
             // Create interference rings
-            const intensity = Math.sin(distance * 0.1 + phase) * 0.5 + 0.5;
+            const intensity = Math.sin(distance * 0.1 + arms * angle + phase) * 0.5 + 0.5;
             
             // Set RGBA values
             data[i] = 0;     // R
@@ -961,9 +1245,11 @@ export class SceneManager {
     applyQuantumEffects(cardMesh, card) {
         if (!cardMesh || !card) return;
         
+        const view = CardView.for(card);
+        
         // Add cyan glow effect
         if (cardMesh.material && Array.isArray(cardMesh.material)) {
-            const emissiveIntensity = 0.3 * (1 + Math.sin(card.phase || 0));
+            const emissiveIntensity = 0.3 * (1 + Math.sin(view ? view.animationPhase : 0));
             for (const mat of cardMesh.material) {
                 mat.emissive = new THREE.Color(0, 1, 1);
                 mat.emissiveIntensity = emissiveIntensity;
@@ -971,8 +1257,8 @@ export class SceneManager {
         }
         
         // Start pulsing animation
-        if (typeof card.startSuperpositionPulse === 'function') {
-            card.startSuperpositionPulse();
+        if (view) {
+            view.startSuperpositionPulse();
         }
     }
 
@@ -990,8 +1276,9 @@ export class SceneManager {
         }
         
         // Start pulsing animation
-        if (typeof card.startEntanglementPulse === 'function') {
-            card.startEntanglementPulse();
+        const view = CardView.for(card);
+        if (view) {
+            view.startEntanglementPulse();
         }
     }
 } 
\ No newline at end of file
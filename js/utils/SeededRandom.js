@@ -0,0 +1,61 @@
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    // Pick a fresh, short seed string when none is supplied
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    // Hash any seed string into a 32-bit integer (FNV-1a)
+    static hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+        return this;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    // Next float in [0, 1) - drop-in replacement for Math.random() (mulberry32)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Next integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Pick a random element from an array
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    // Shuffle an array in place (Fisher-Yates)
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+// Fallback generator for code that runs without a GameManager
+export const defaultRandom = new SeededRandom();